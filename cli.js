@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/*
+ HPA simulator command line
+ Replays a recorded metric trace against an HPA manifest with the same engine the page uses,
+ prints summary statistics and the decision log, and checks optional assertions so autoscaling
+ changes can be regression-tested in CI.
+
+ Usage: node cli.js --manifest hpa.yaml --trace metrics.csv [options]
+ Exit codes: 0 all assertions passed, 1 an assertion failed, 2 invalid arguments or input,
+ 3 an unexpected error (a bug in the simulator, printed with its stack).
+*/
+
+/* global require, process, console */
+
+const fs = require("fs");
+const engine = require("./engine.js");
+const manifest = require("./manifest.js");
+const trace = require("./trace.js");
+
+const USAGE = `Usage: node cli.js --manifest <file> --trace <file> [options]
+
+Input:
+  --manifest <file>          HPA manifest (YAML or JSON, autoscaling/v2)
+  --hpa <name>               HPA to use when the manifest holds several
+  --trace <file>             metric trace (CSV or JSON); one column per metric, named like the metric
+
+Simulation:
+  --duration <s>             seconds to simulate (default: trace length)
+  --time-step <s>            seconds per tick (default 1)
+  --sync-period <s>          HPA sync period (default 15)
+  --initial-replicas <n>     replicas at t = 0 (default: minReplicas, at least 1 without scale to zero)
+  --pod-startup <s>          seconds from pod creation to Ready (default 0)
+  --pod-shutdown <s>         seconds a deleted pod keeps terminating (default 0)
+  --kubernetes-version <v>   controller release to follow: ${engine.kubernetesVersions.map((v) => v.id).join(", ")} (default ${engine.DEFAULT_CONFIG.kubernetesVersion})
+  --tolerance <f>            controller --horizontal-pod-autoscaler-tolerance, used unless
+                             per-direction tolerance is on (default 0.1)
+  --configurable-tolerance   enable the HPAConfigurableTolerance feature gate (1.33+), so the
+                             manifest's per-direction tolerance replaces --tolerance
+  --scrape-interval <s>      seconds between metric scrapes (default 0: the HPA reads the trace directly)
+  --scrape-window <s>        seconds each scrape averages the trace over (default 0)
+  --metric-latency <s>       seconds from a scrape until the HPA can read it (default 0)
+  --metric-drop-rate <f>     fraction of scrapes lost (default 0)
+  --metric-stale-after <s>   scrapes older than this are no data and the HPA keeps the scale (default 0: never)
+  --max-nodes <n>            schedule pods onto a node pool of at most n nodes (default 0: no pool)
+  --pods-per-node <n>        pods that fit on one node (default 110)
+  --node-provisioning <s>    seconds until a node added for Pending pods is Ready (default 90)
+  --scale-to-zero            enable the HPAScaleToZero feature gate, so minReplicas 0 scales to and from 0
+  --keda-activation          scale to and from 0 with a KEDA-style activator instead; the HPA keeps at least 1
+  --activation-threshold <v> Object and External metrics above this are active (default 0)
+  --polling-interval <s>     seconds between the activator's checks (default 30)
+  --cooldown-period <s>      seconds without an active metric before scaling to 0 (default 300)
+
+Assertions (exit code 1 on failure):
+  --max-replicas <n>         replicas never exceed n
+  --min-replicas <n>         replicas never drop below n
+  --max-scale-events <k>[/<s>]
+                             at most k scale events within any s seconds (default 600)
+
+Output:
+  --quiet                    print the summary and assertions only, without the decision log
+  --json                     print { summary, assertions, decisions } as JSON
+  --help                     show this help
+
+Exit codes: 0 all assertions passed, 1 an assertion failed, 2 invalid arguments or input,
+3 an unexpected error`;
+
+const OPTIONS = {
+    "--manifest": "manifest",
+    "--hpa": "hpa",
+    "--trace": "trace",
+    "--duration": "duration",
+    "--time-step": "timeStep",
+    "--sync-period": "syncPeriod",
+    "--initial-replicas": "initialReplicas",
+    "--pod-startup": "podStartupSeconds",
+    "--pod-shutdown": "podShutdownSeconds",
+    "--kubernetes-version": "kubernetesVersion",
+    "--tolerance": "controllerTolerance",
+    "--scrape-interval": "scrapeInterval",
+    "--scrape-window": "scrapeWindow",
+    "--metric-latency": "metricLatency",
+    "--metric-drop-rate": "metricDropRate",
+    "--metric-stale-after": "metricStaleAfter",
+    "--max-nodes": "maxNodes",
+    "--pods-per-node": "podsPerNode",
+    "--node-provisioning": "nodeProvisionSeconds",
+    "--activation-threshold": "activationThreshold",
+    "--polling-interval": "kedaPollingInterval",
+    "--cooldown-period": "kedaCooldownPeriod",
+    "--max-replicas": "maxReplicas",
+    "--min-replicas": "minReplicas",
+    "--max-scale-events": "maxScaleEvents",
+};
+const FLAGS = { "--scale-to-zero": "hpaScaleToZero", "--configurable-tolerance": "hpaConfigurableTolerance", "--keda-activation": "kedaActivation", "--quiet": "quiet", "--json": "json", "--help": "help" };
+const NUMERIC = ["duration", "timeStep", "syncPeriod", "initialReplicas", "podStartupSeconds", "podShutdownSeconds", "controllerTolerance", "maxReplicas", "minReplicas",
+    "scrapeInterval", "scrapeWindow", "metricLatency", "metricDropRate", "metricStaleAfter", "maxNodes", "podsPerNode", "nodeProvisionSeconds",
+    "activationThreshold", "kedaPollingInterval", "kedaCooldownPeriod"];
+
+function usageError(message) {
+    const e = new Error(message);
+    e.usage = true;
+    return e;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        const [name, inline] = arg.startsWith("--") && arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, null];
+        if (FLAGS[name]) {
+            args[FLAGS[name]] = true;
+        } else if (OPTIONS[name]) {
+            const value = inline != null ? inline : argv[(i += 1)];
+            if (value == null) throw usageError(`${name} needs a value`);
+            args[OPTIONS[name]] = value;
+        } else {
+            throw usageError(`unknown option ${arg}`);
+        }
+    }
+    NUMERIC.forEach((k) => {
+        if (args[k] == null) return;
+        const n = Number(args[k]);
+        if (!Number.isFinite(n) || n < 0) throw usageError(`--${k.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)} must be a non-negative number`);
+        args[k] = n;
+    });
+    if (args.timeStep === 0) throw usageError("--time-step must be greater than 0");
+    if (args.syncPeriod === 0) throw usageError("--sync-period must be greater than 0");
+    if (args.metricDropRate > 1) throw usageError("--metric-drop-rate must be between 0 and 1");
+    if (args.kedaPollingInterval === 0) throw usageError("--polling-interval must be greater than 0");
+    if (args.kubernetesVersion != null && !engine.kubernetesVersions.some((v) => v.id === args.kubernetesVersion)) {
+        throw usageError(`--kubernetes-version must be one of ${engine.kubernetesVersions.map((v) => v.id).join(", ")}`);
+    }
+    if (args.maxScaleEvents != null) {
+        const m = /^(\d+)(?:\/(\d+(?:\.\d+)?))?$/.exec(args.maxScaleEvents);
+        if (!m) throw usageError("--max-scale-events must look like 3 or 3/600");
+        args.maxScaleEvents = { count: Number(m[1]), window: m[2] ? Number(m[2]) : 600 };
+        if (args.maxScaleEvents.window <= 0) throw usageError("--max-scale-events window must be greater than 0 seconds");
+    }
+    return args;
+}
+
+function readFile(path) {
+    try {
+        return fs.readFileSync(path, "utf8");
+    } catch (e) {
+        throw usageError(`cannot read ${path}: ${e.message}`);
+    }
+}
+
+function loadHpa(args) {
+    const hpas = manifest.importHpaManifest(readFile(args.manifest));
+    if (hpas.length === 0) throw usageError(`${args.manifest}: no HorizontalPodAutoscaler found`);
+    let hpa = hpas[0];
+    if (args.hpa) {
+        hpa = hpas.find((h) => h.name === args.hpa);
+        if (!hpa) throw usageError(`${args.manifest}: no HPA named ${args.hpa} (found ${hpas.map((h) => h.name).join(", ")})`);
+    } else if (hpas.length > 1) {
+        throw usageError(`${args.manifest} holds ${hpas.length} HPAs (${hpas.map((h) => h.name).join(", ")}); pick one with --hpa`);
+    }
+    if (hpa.errors.length) throw usageError(`${args.manifest}: cannot import ${hpa.name}:\n  ${hpa.errors.join("\n  ")}`);
+    return hpa;
+}
+
+// Most scale events inside any window of the given length, and when that window ends
+function busiestWindow(events, window) {
+    let best = { count: 0, t: null };
+    let start = 0;
+    events.forEach((e, i) => {
+        while (start <= i && events[start].t <= e.t - window) start += 1;
+        if (i - start + 1 > best.count) best = { count: i - start + 1, t: e.t };
+    });
+    return best;
+}
+
+function checkAssertions(args, summary, timeline, decisions) {
+    const results = [];
+    if (args.maxReplicas != null) {
+        const over = timeline.find((p) => p.replicas > args.maxReplicas);
+        results.push({
+            name: `max replicas <= ${args.maxReplicas}`,
+            passed: !over,
+            detail: over ? `reached ${over.replicas} at t=${over.t.toFixed(0)}s (peak ${summary.peakReplicas})` : `peak ${summary.peakReplicas}`,
+        });
+    }
+    if (args.minReplicas != null) {
+        const under = timeline.find((p) => p.replicas < args.minReplicas);
+        results.push({
+            name: `min replicas >= ${args.minReplicas}`,
+            passed: !under,
+            detail: under ? `dropped to ${under.replicas} at t=${under.t.toFixed(0)}s` : `lowest ${summary.lowestReplicas}`,
+        });
+    }
+    if (args.maxScaleEvents) {
+        const { count, window } = args.maxScaleEvents;
+        const busiest = busiestWindow(decisions.filter((d) => d.appliedChange !== 0), window);
+        results.push({
+            name: `scale events per ${window}s <= ${count}`,
+            passed: busiest.count <= count,
+            detail: busiest.count ? `busiest window has ${busiest.count}, ending at t=${busiest.t.toFixed(0)}s` : "no scale events",
+        });
+    }
+    return results;
+}
+
+// Same columns as the Decision Log table on the page
+function formatLog(decisions) {
+    const headers = ["t (s)", "Driver", "Metric", "Ratio", "Desired", "Stabilized", "Dir", "Allowed", "Applied", "Replicas", "Bound By"];
+    const rows = decisions.map((row) => [
+        row.t.toFixed(0),
+        row.driver,
+        Number.isFinite(row.metric) ? row.metric.toFixed(1) : "no data",
+        Number.isFinite(row.ratio) ? row.ratio.toFixed(2) : "-",
+        row.desired,
+        row.stabilized,
+        row.direction,
+        row.allowed,
+        row.appliedChange,
+        row.replicas,
+        row.boundBy,
+    ].map(String));
+    const widths = headers.map((h, i) => rows.reduce((max, r) => Math.max(max, r[i].length), h.length));
+    const line = (cells) => cells.map((c, i) => (i === 1 || i === cells.length - 1 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ").trimEnd();
+    return [line(headers), ...rows.map(line)].join("\n");
+}
+
+function formatSummary(name, summary) {
+    const busiest = summary.busiestWindow;
+    const lines = [
+        `HPA ${name}: ${summary.duration.toFixed(0)}s simulated, ${summary.syncs} syncs`,
+        `  replicas: peak ${summary.peakReplicas}, lowest ${summary.lowestReplicas}, final ${summary.finalReplicas}`,
+        `  pod-hours: ${summary.podHours.toFixed(2)}, time above target: ${summary.timeAboveTarget.toFixed(0)}s`,
+        `  scale events: ${summary.scaleUps} up, ${summary.scaleDowns} down (busiest ${busiest.window}s window: ${busiest.count})`,
+    ];
+    if (summary.lowestReplicas === 0) {
+        lines.push(`  scale to zero: ${summary.timeAtZero.toFixed(0)}s at 0 replicas, ${summary.wakeUps} wake-up${summary.wakeUps === 1 ? "" : "s"}`);
+    }
+    if (summary.peakNodes != null) {
+        lines.push(`  nodes: peak ${summary.peakNodes}, node-hours ${summary.nodeHours.toFixed(2)}; pods pending ${summary.timePending.toFixed(0)}s (at most ${summary.peakPending})`);
+    }
+    return lines.join("\n");
+}
+
+function run(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!args.manifest || !args.trace) throw usageError("--manifest and --trace are required");
+
+    const hpa = loadHpa(args);
+    let recorded;
+    let series;
+    try {
+        recorded = trace.parseTrace(readFile(args.trace));
+        series = trace.seriesForMetrics(recorded, hpa.params.metrics);
+    } catch (e) {
+        throw usageError(`${args.trace}: ${e.message}`);
+    }
+
+    const { params } = hpa;
+    const timeStep = args.timeStep || 1;
+    const config = {
+        minReplicas: params.minReplicas,
+        maxReplicas: params.maxReplicas,
+        syncPeriod: args.syncPeriod != null ? args.syncPeriod : engine.DEFAULT_CONFIG.syncPeriod,
+        podStartupSeconds: args.podStartupSeconds || 0,
+        podShutdownSeconds: args.podShutdownSeconds || 0,
+        kubernetesVersion: args.kubernetesVersion || engine.DEFAULT_CONFIG.kubernetesVersion,
+        controllerTolerance: args.controllerTolerance != null ? args.controllerTolerance : 0.1,
+        hpaConfigurableTolerance: !!args.hpaConfigurableTolerance,
+        scrapeInterval: args.scrapeInterval || 0,
+        scrapeWindow: args.scrapeWindow || 0,
+        metricLatency: args.metricLatency || 0,
+        metricDropRate: args.metricDropRate || 0,
+        metricStaleAfter: args.metricStaleAfter || 0,
+        maxNodes: args.maxNodes || 0,
+        podsPerNode: args.podsPerNode || engine.DEFAULT_CONFIG.podsPerNode,
+        nodeProvisionSeconds: args.nodeProvisionSeconds != null ? args.nodeProvisionSeconds : engine.DEFAULT_CONFIG.nodeProvisionSeconds,
+        hpaScaleToZero: !!args.hpaScaleToZero,
+        kedaActivation: !!args.kedaActivation,
+        kedaPollingInterval: args.kedaPollingInterval || engine.DEFAULT_CONFIG.kedaPollingInterval,
+        kedaCooldownPeriod: args.kedaCooldownPeriod != null ? args.kedaCooldownPeriod : engine.DEFAULT_CONFIG.kedaCooldownPeriod,
+        metrics: params.metrics.map((m) => (args.activationThreshold != null && (m.type === "Object" || m.type === "External")
+            ? Object.assign({}, m, { activationThreshold: args.activationThreshold })
+            : m)),
+        behavior: { up: params.up, down: params.down },
+    };
+    // Start at the minReplicas the HPA works with: minReplicas 0 without scale to zero counts as 1
+    config.initialReplicas = args.initialReplicas != null ? args.initialReplicas
+        : engine.scaleToZeroMode(config) ? 0 : engine.hpaMinReplicas(config);
+    const duration = args.duration != null ? args.duration : recorded.duration;
+    const { timeline, decisions } = engine.simulate(config, { duration, timeStep, series });
+    if (timeline.length === 0) throw usageError("nothing to simulate: the duration is shorter than one time step");
+
+    const window = args.maxScaleEvents ? args.maxScaleEvents.window : 600;
+    const summary = engine.summarize(config, { timeline, decisions });
+    summary.busiestWindow = Object.assign({ window }, busiestWindow(decisions.filter((d) => d.appliedChange !== 0), window));
+    const assertions = checkAssertions(args, summary, timeline, decisions);
+    const failed = assertions.filter((a) => !a.passed);
+
+    if (args.json) {
+        console.log(JSON.stringify({ hpa: hpa.name, summary, assertions, decisions }, null, 2));
+    } else {
+        console.log(formatSummary(hpa.name, summary));
+        if (!args.quiet) console.log(`\n${formatLog(decisions)}`);
+        if (assertions.length) {
+            console.log("");
+            assertions.forEach((a) => console.log(`${a.passed ? "PASS" : "FAIL"}  ${a.name}: ${a.detail}`));
+        }
+    }
+    return failed.length ? 1 : 0;
+}
+
+try {
+    process.exitCode = run(process.argv.slice(2));
+} catch (e) {
+    if (e.usage) {
+        console.error(`error: ${e.message}`);
+        console.error("Run with --help for usage.");
+        process.exitCode = 2;
+    } else {
+        // Not a problem with the input: keep it apart from usage errors so CI can tell them apart
+        console.error(`internal error: ${e && e.stack ? e.stack : e}`);
+        process.exitCode = 3;
+    }
+}
@@ -0,0 +1,138 @@
+// Display downsampling for long simulations: keeps min/max summaries of a growing, time-sorted
+// point array at several resolutions, so a chart can draw any time range with a few points per
+// pixel column however long the run is. The points themselves are kept at full resolution.
+// Loaded as window.HPA_DOWNSAMPLE in the browser and with require() in Node.
+//
+//   const store = createSeriesStore(points, [{ value: (p) => p.replicas }, ...]);
+//   points.push(...);             // append as the simulation runs
+//   store.query(t0, t1, 928);     // [[t, v], ...] per series: the min and max of each column
+
+/* global module, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.HPA_DOWNSAMPLE = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    // Each level summarizes FANOUT buckets of the level below
+    const FANOUT = 8;
+
+    // points: array of { t, ... } sorted by t, appended to over time (never shifted or rewritten).
+    // series: [{ value(point) }]. Call query() at any time; new points are summarized on demand.
+    function createSeriesStore(points, series) {
+        // levels[k] buckets summarize FANOUT^(k+1) points: { min, minI, max, maxI } per series
+        const levels = [];
+        let indexed = 0;
+
+        function addPoint(bucket, i, values) {
+            values.forEach((v, s) => {
+                if (Number.isNaN(v)) return;
+                if (v < bucket.min[s]) {
+                    bucket.min[s] = v;
+                    bucket.minI[s] = i;
+                }
+                if (v > bucket.max[s]) {
+                    bucket.max[s] = v;
+                    bucket.maxI[s] = i;
+                }
+            });
+        }
+
+        function newBucket() {
+            return { min: series.map(() => Infinity), minI: series.map(() => -1), max: series.map(() => -Infinity), maxI: series.map(() => -1) };
+        }
+
+        function update() {
+            for (; indexed < points.length; indexed += 1) {
+                const i = indexed;
+                const values = series.map((s) => s.value(points[i]));
+                for (let k = 0, size = FANOUT; size <= i + 1 || k < levels.length; k += 1, size *= FANOUT) {
+                    if (!levels[k]) {
+                        // A level appears once there are enough points to fill its first bucket
+                        levels[k] = [newBucket()];
+                        for (let j = 0; j <= i; j += 1) addPoint(levels[k][0], j, series.map((s) => s.value(points[j])));
+                        continue;
+                    }
+                    const b = Math.floor(i / size);
+                    if (!levels[k][b]) levels[k][b] = newBucket();
+                    addPoint(levels[k][b], i, values);
+                }
+            }
+        }
+
+        // Index of the first point at or after t
+        function indexAt(t) {
+            let lo = 0;
+            let hi = points.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (points[mid].t < t) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo;
+        }
+
+        // For each series, [t, v] pairs between t0 and t1 (plus one point either side so lines reach
+        // the edges) with at most the minimum and maximum of each of `columns` time columns, in
+        // time order
+        function query(t0, t1, columns) {
+            update();
+            const out = series.map(() => []);
+            if (points.length === 0) return out;
+            const from = Math.max(0, indexAt(t0) - 1);
+            const to = Math.min(points.length, indexAt(t1) + 1);
+            // Coarsest level that still leaves at least two summaries per column
+            let k = -1;
+            let size = 1;
+            while (k + 1 < levels.length && (to - from) / (size * FANOUT) >= columns * 2) {
+                k += 1;
+                size *= FANOUT;
+            }
+            const span = t1 - t0 || 1;
+            let column = null;
+            let acc = null;
+            const flush = () => {
+                if (!acc) return;
+                series.forEach((s, j) => {
+                    const a = acc.minI[j];
+                    const b = acc.maxI[j];
+                    if (a < 0) return;
+                    if (a === b) out[j].push([points[a].t, acc.min[j]]);
+                    else if (a < b) out[j].push([points[a].t, acc.min[j]], [points[b].t, acc.max[j]]);
+                    else out[j].push([points[b].t, acc.max[j]], [points[a].t, acc.min[j]]);
+                });
+            };
+            for (let e = Math.floor(from / size); e * size < to; e += 1) {
+                const first = e * size;
+                const c = Math.floor(((points[first].t - t0) / span) * columns);
+                if (c !== column) {
+                    flush();
+                    column = c;
+                    acc = newBucket();
+                }
+                if (k < 0) {
+                    addPoint(acc, first, series.map((s) => s.value(points[first])));
+                } else {
+                    const bucket = levels[k][e];
+                    series.forEach((s, j) => {
+                        if (bucket.min[j] < acc.min[j]) {
+                            acc.min[j] = bucket.min[j];
+                            acc.minI[j] = bucket.minI[j];
+                        }
+                        if (bucket.max[j] > acc.max[j]) {
+                            acc.max[j] = bucket.max[j];
+                            acc.maxI[j] = bucket.maxI[j];
+                        }
+                    });
+                }
+            }
+            flush();
+            return out;
+        }
+
+        return { points, update, query, indexAt };
+    }
+
+    return {
+        createSeriesStore,
+    };
+});
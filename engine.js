@@ -0,0 +1,1413 @@
+/*
+ Headless HPA simulation engine
+ The controller math behind the simulator (replica calculation, tolerance, stabilization
+ window, scaling policies, pod lifecycle) with no DOM access, so the browser UI and Node
+ scripts run exactly the same logic.
+
+ Browser: loaded with a <script> tag, exposed as window.HPA_ENGINE.
+ Node:    const engine = require("./engine.js");
+          const { timeline, decisions } = engine.simulate(config, { duration: 600 });
+*/
+
+/* global module, require, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./expr.js"));
+    else root.HPA_ENGINE = factory(root.HPA_EXPR);
+})(typeof self !== "undefined" ? self : this, function (expr) {
+    // Built-in metric scenarios, all centred on the metric's target
+    const metricScenarios = [
+        { id: "rise-and-fall", name: "Gradual rise then fall" },
+        { id: "noisy", name: "Noisy around target" },
+        { id: "burst", name: "Sudden burst" },
+        { id: "sine", name: "Sine wave" },
+        { id: "layers", name: "Scenario layers" },
+        { id: "trace", name: "Recorded trace" },
+        { id: "custom", name: "Custom f(t)" },
+    ];
+
+    // Controller releases the simulator can follow. Only what the simulator models differs:
+    //   stabilization  "direction": before 1.21 stabilizeRecommendationWithBehaviors only looked at
+    //              the window of the way the recommendation moves (scale-up for one at or above the
+    //              current count) and did not cap the result at the current count; "both": both
+    //              windows always apply and the result stays between the current count and the
+    //              recommendation, see stabilize().
+    //   tolerance  "global": the controller's --horizontal-pod-autoscaler-tolerance holds in both
+    //              directions, compared as |1 - ratio| <= tolerance, and spec.behavior has no
+    //              tolerance field; "per-direction": with the HPAConfigurableTolerance feature gate
+    //              (alpha in 1.33, config.hpaConfigurableTolerance) scaleUp/scaleDown.tolerance
+    //              override it, see effectiveTolerance().
+    //   containerResource  "alpha": ContainerResource metrics need the HPAContainerMetrics feature
+    //              gate; "GA": always available. The simulator runs them either way.
+    //   apiVersion  the newest HPA API the release serves, for exports.
+    const kubernetesVersions = [
+        {
+            id: "1.20", name: "1.18-1.20", stabilization: "direction", tolerance: "global", containerResource: "alpha", apiVersion: "autoscaling/v2beta2",
+            note: "autoscaling/v2beta2; stabilization only looks at the window of the direction the recommendation moves in, uncapped; one tolerance for both directions",
+        },
+        {
+            id: "1.23", name: "1.23", stabilization: "both", tolerance: "global", containerResource: "alpha", apiVersion: "autoscaling/v2",
+            note: "autoscaling/v2 GA; both stabilization windows apply; one tolerance for both directions; ContainerResource alpha",
+        },
+        {
+            id: "1.30", name: "1.30", stabilization: "both", tolerance: "global", containerResource: "GA", apiVersion: "autoscaling/v2",
+            note: "both stabilization windows apply; one tolerance for both directions; ContainerResource GA",
+        },
+        {
+            id: "1.33", name: "1.33+", stabilization: "both", tolerance: "per-direction", containerResource: "GA", apiVersion: "autoscaling/v2",
+            note: "both stabilization windows apply; per-direction tolerance with the HPAConfigurableTolerance feature gate (alpha)",
+        },
+    ];
+
+    // Profile for a version id; unknown ids get the newest
+    function versionProfile(id) {
+        return kubernetesVersions.find((v) => v.id === id) || kubernetesVersions[kubernetesVersions.length - 1];
+    }
+
+    // A complete simulation config; withDefaults() fills a partial one from here
+    const DEFAULT_CONFIG = {
+        minReplicas: 1,
+        maxReplicas: 50,
+        initialReplicas: 3,
+        syncPeriod: 15, // seconds
+        loadModel: "per-pod", // "per-pod" (open loop) or "demand" (closed loop)
+        demandScale: 3, // pods: scenario value x demandScale = total demand
+        podStartupSeconds: 0, // creation -> Ready
+        podShutdownSeconds: 0, // deletion -> gone (terminating pods serve no traffic)
+        cpuInitializationPeriod: 300, // --horizontal-pod-autoscaler-cpu-initialization-period
+        metricWindowSeconds: 30, // metrics-server sample window
+        // Metrics pipeline between the true load and what the HPA reads, see observeMetrics() in
+        // createSimulation(). With all of them 0 the HPA reads the true value at every sync.
+        scrapeInterval: 0, // seconds between scrapes (metrics-server --metric-resolution); 0: every tick
+        scrapeWindow: 0, // seconds each scrape averages the true value over; 0: the value at the scrape
+        metricLatency: 0, // seconds from a scrape until the HPA can read it (adapter and API delay)
+        metricDropRate: 0, // fraction of scrapes lost; the HPA keeps reading the one before
+        podMetricDropRate: 0, // fraction of ready pods missing from a scrape of a per-pod metric
+        metricStaleAfter: 0, // older samples are no data and the HPA keeps the scale; 0: never stale
+        metricOutageStart: 0, // every scrape from this time...
+        metricOutageSeconds: 0, // ...for this long is lost
+        // Node pool the pods are scheduled onto, see scheduleNodes() in createSimulation(). With
+        // maxNodes 0 there is no pool and every pod is scheduled as soon as it is created.
+        maxNodes: 0,
+        minNodes: 1,
+        podsPerNode: 110, // kubelet --max-pods
+        nodeCpu: 4, // allocatable cores per node, for the containers' CPU requests
+        nodeMemoryGiB: 16, // allocatable memory per node, for the containers' memory requests
+        nodeProvisionSeconds: 90, // pods Pending -> the cluster autoscaler's new node is Ready
+        nodeScaleDownSeconds: 600, // cluster autoscaler --scale-down-unneeded-time
+        // Scale to zero, see scaleToZeroMode(). minReplicas 0 only holds with an Object or External
+        // metric and one of these; otherwise it counts as 1.
+        hpaScaleToZero: false, // HPAScaleToZero feature gate (alpha): the HPA scales to and from 0 itself
+        kedaActivation: false, // KEDA-style activation: the HPA keeps at least 1, an activator does 0 <-> 1
+        kedaPollingInterval: 30, // seconds between the activator's checks (ScaledObject pollingInterval)
+        kedaCooldownPeriod: 300, // seconds without an active metric before it scales to 0 (cooldownPeriod)
+        kubernetesVersion: "1.33", // controller release to follow, see kubernetesVersions
+        controllerTolerance: 0.1, // --horizontal-pod-autoscaler-tolerance
+        hpaConfigurableTolerance: false, // HPAConfigurableTolerance feature gate, see effectiveTolerance()
+        // The pod's containers, see containerUsage(). When there are any, Resource and
+        // ContainerResource metrics are computed from them instead of their own scenario.
+        containers: [],
+        seed: 1, // seeds the noisy scenario and random scenario layers
+        scenarioLayers: [], // stack for the "layers" scenario: [{type, params}], see scenarioLayerTypes
+        trace: null, // recorded samples for the "trace" scenario, see traceValue()
+        metrics: [
+            { type: "Resource", name: "cpu", targetType: "Utilization", target: 100, scenario: "rise-and-fall", customFormula: "" },
+        ],
+        behavior: {
+            up: {
+                stabilizationWindowSeconds: 0,
+                tolerance: 0.1,
+                selectPolicy: "Max",
+                policies: [
+                    { type: "Percent", value: 100, periodSeconds: 15 },
+                    { type: "Pods", value: 4, periodSeconds: 15 },
+                ],
+            },
+            down: {
+                stabilizationWindowSeconds: 300,
+                tolerance: 0.1,
+                selectPolicy: "Max",
+                policies: [
+                    { type: "Percent", value: 100, periodSeconds: 15 },
+                ],
+            },
+        },
+    };
+
+    function withDefaults(config) {
+        const out = Object.assign(JSON.parse(JSON.stringify(DEFAULT_CONFIG)), config);
+        out.behavior = Object.assign({}, DEFAULT_CONFIG.behavior, config.behavior);
+        return out;
+    }
+
+    function clamp(val, min, max) {
+        return Math.max(min, Math.min(max, val));
+    }
+
+    // True when config's metrics pipeline is not ideal, i.e. the HPA may read something other than
+    // the true value
+    function hasMetricsPipeline(config) {
+        return ["scrapeInterval", "scrapeWindow", "metricLatency", "metricDropRate", "podMetricDropRate", "metricOutageSeconds"]
+            .some((k) => config[k] > 0);
+    }
+
+    // How minReplicas 0 is honored: "hpa" when the HPAScaleToZero feature gate lets the HPA scale to
+    // and from 0 itself, "keda" when a KEDA-style activator does it (see activate() in
+    // createSimulation()), otherwise null. Like the API, both need an Object or External metric.
+    function scaleToZeroMode(config) {
+        if (config.minReplicas > 0 || !config.metrics.some((m) => !isPerPodMetric(m))) return null;
+        if (config.kedaActivation) return "keda";
+        return config.hpaScaleToZero ? "hpa" : null;
+    }
+
+    // The minReplicas the HPA scales between: 0 only when it may scale to zero itself
+    function hpaMinReplicas(config) {
+        return scaleToZeroMode(config) === "hpa" ? 0 : Math.max(1, config.minReplicas);
+    }
+
+    // autoscaling/v2 metric source types and the target types each accepts
+    const metricTargetTypes = {
+        Resource: ["Utilization", "AverageValue"],
+        ContainerResource: ["Utilization", "AverageValue"],
+        Pods: ["AverageValue"],
+        Object: ["Value", "AverageValue"],
+        External: ["Value", "AverageValue"],
+    };
+
+    // Resource, ContainerResource and Pods metrics are per-pod averages; Object and External
+    // metrics are a single value
+    function isPerPodMetric(m) {
+        return isResourceMetric(m) || m.type === "Pods";
+    }
+
+    // Resource metrics sum all of a pod's containers, ContainerResource metrics read m.container only
+    function isResourceMetric(m) {
+        return m.type === "Resource" || m.type === "ContainerResource";
+    }
+
+    function isCpuMetric(m) {
+        return isResourceMetric(m) && m.name === "cpu";
+    }
+
+    // A container is { name, requests: { cpu, memory }, levels: { cpu, memory }, scenario,
+    // customFormula } with requests in cores and bytes (0 or missing: no request). Its scenario
+    // gives its usage of each resource as a % of the request, centred on that resource's level.
+    // Returns usage in the request's units.
+    function containerUsage(c, resource, t, ctx) {
+        const request = (c.requests && c.requests[resource]) || 0;
+        const level = c.levels && c.levels[resource] != null ? c.levels[resource] : 50;
+        const percent = scenarioValue({ scenario: c.scenario, target: level, customFormula: c.customFormula }, t, ctx);
+        return Math.max(0, (request * percent) / 100);
+    }
+
+    // What the metrics API reports for resource metric m of one pod, the way the replica calculator
+    // reads it: usage over requests summed over the pod's containers (Resource) or for the one
+    // container (ContainerResource). Returns { value, containers: [{ name, usage, request }] }
+    // where value is a utilization % for Utilization targets and the usage otherwise; value is
+    // NaN when the container is missing or a counted container has no request, which the
+    // controller treats as an error for the metric. scale multiplies every usage (demand mode).
+    function containerMetric(m, containers, t, ctx, scale = 1) {
+        const counted = m.type === "ContainerResource" ? containers.filter((c) => c.name === m.container) : containers;
+        const parts = counted.map((c) => ({
+            name: c.name,
+            usage: containerUsage(c, m.name, t, ctx) * scale,
+            request: (c.requests && c.requests[m.name]) || 0,
+        }));
+        const usage = parts.reduce((sum, p) => sum + p.usage, 0);
+        const request = parts.reduce((sum, p) => sum + p.request, 0);
+        if (parts.length === 0) return { value: NaN, containers: parts };
+        if (m.targetType !== "Utilization") return { value: usage, containers: parts };
+        if (parts.some((p) => p.request <= 0)) return { value: NaN, containers: parts };
+        return { value: (usage / request) * 100, containers: parts };
+    }
+
+    // Custom f(t) expressions are compiled once per distinct text; invalid ones map to null
+    // (the UI shows the syntax error) and the scenario holds the target
+    const formulaCache = new Map();
+    function compileFormula(src) {
+        if (!src) return null;
+        if (!formulaCache.has(src)) {
+            if (formulaCache.size > 200) formulaCache.clear();
+            let compiled = null;
+            try {
+                compiled = expr.compile(src);
+            } catch (e) {
+                if (!(e instanceof expr.ExprError)) throw e;
+            }
+            formulaCache.set(src, compiled);
+        }
+        return formulaCache.get(src);
+    }
+
+    // Value of metric m's scenario at t. ctx carries what some scenarios need:
+    //   random  uniform [0, 1) generator for "noisy" (defaults to Math.random)
+    //   layers, seed  stack and seed for "layers"
+    //   trace   recorded trace for "trace"
+    //   replicas  current replica count, visible to custom expressions
+    function scenarioValue(m, t, ctx = {}) {
+        const base = m.target;
+        switch (m.scenario) {
+            case "rise-and-fall": {
+                if (t < 60) return base + (t / 60) * 100; // up to +100 over 1m
+                if (t < 120) return base + 100 - ((t - 60) / 60) * 120; // down 120 in next minute
+                return base + 20 * Math.sin((t - 120) / 20);
+            }
+            case "noisy": {
+                const noise = ((ctx.random || Math.random)() - 0.5) * 30; // +/-15
+                return base + noise;
+            }
+            case "burst": {
+                if (t < 30) return base;
+                if (t < 60) return base + 150; // burst
+                if (t < 120) return base + 50; // elevated
+                return base + 10 * Math.sin(t / 10);
+            }
+            case "sine": {
+                return base + 80 * Math.sin(t / 20);
+            }
+            case "layers": {
+                return layeredValue(ctx.layers || [], base, t, ctx.seed || 0);
+            }
+            case "trace": {
+                return ctx.trace ? traceValue(ctx.trace, m, t) : base;
+            }
+            case "custom": {
+                const fn = compileFormula(m.customFormula);
+                if (!fn) return base;
+                const v = fn.evaluate({ t, target: base, replicas: ctx.replicas != null ? ctx.replicas : 0 });
+                return Number.isFinite(v) ? v : base;
+            }
+            default:
+                return base;
+        }
+    }
+
+    // Uniform [0, 1) value fixed by (seed, layer, n), so random layers are a pure function of time
+    function hashRandom(seed, layer, n) {
+        const h = Math.imul(seed | 0, 0x9e3779b1) ^ Math.imul(layer + 1, 0x85ebca77) ^ Math.imul(n | 0, 0xc2b2ae3d);
+        return createRandom(h)();
+    }
+
+    // hashRandom layer for the metrics pipeline's drops, clear of the scenario layers' indexes
+    const PIPELINE_STREAM = 1 << 20;
+
+    // Composable scenario library. A "layers" scenario starts at the metric's target and applies
+    // each layer in order: most layers scale the level, spikes and noise add a multiple of the
+    // target. Random layers derive everything from the seed, the layer's index and the time, so
+    // a seed reproduces the same curve however the simulation samples it.
+    const scenarioLayerTypes = {
+        diurnal: {
+            name: "Diurnal (daily cycle)",
+            params: [
+                { key: "amplitude", label: "Amplitude (x)", value: 0.5, step: 0.05 },
+                { key: "periodSeconds", label: "Period (s)", value: 86400, step: 60 },
+                { key: "peakAt", label: "Peak at (s)", value: 50400, step: 60 },
+            ],
+            apply: (level, t, p) => level * (1 + p.amplitude * Math.cos((2 * Math.PI * (t - p.peakAt)) / (p.periodSeconds || 1))),
+        },
+        weekly: {
+            name: "Weekly seasonality",
+            params: [
+                { key: "weekendFactor", label: "Weekend (x)", value: 0.6, step: 0.05 },
+                { key: "daySeconds", label: "Day length (s)", value: 86400, step: 60 },
+                { key: "startDay", label: "Start day (0 = Mon)", value: 0, step: 1 },
+            ],
+            apply: (level, t, p) => {
+                const day = (Math.floor(t / (p.daySeconds || 1)) + p.startDay) % 7;
+                return day >= 5 ? level * p.weekendFactor : level;
+            },
+        },
+        "flash-sale": {
+            name: "Flash sale (step)",
+            params: [
+                { key: "start", label: "Start (s)", value: 300, step: 10 },
+                { key: "duration", label: "Duration (s)", value: 600, step: 10 },
+                { key: "factor", label: "Traffic (x)", value: 3, step: 0.1 },
+                { key: "edgeSeconds", label: "Edge (s)", value: 30, step: 5 },
+            ],
+            apply: (level, t, p) => {
+                const end = p.start + p.duration;
+                if (t < p.start || t >= end + p.edgeSeconds) return level;
+                // Linear edges so the step is not a single-tick jump
+                const rise = p.edgeSeconds > 0 ? Math.min(1, (t - p.start) / p.edgeSeconds) : 1;
+                const fall = t < end ? 1 : 1 - (t - end) / p.edgeSeconds;
+                return level * (1 + (p.factor - 1) * Math.min(rise, fall));
+            },
+        },
+        ramp: {
+            name: "Gradual ramp",
+            params: [
+                { key: "start", label: "Start (s)", value: 0, step: 10 },
+                { key: "end", label: "End (s)", value: 1800, step: 10 },
+                { key: "from", label: "From (x)", value: 1, step: 0.1 },
+                { key: "to", label: "To (x)", value: 2, step: 0.1 },
+            ],
+            apply: (level, t, p) => {
+                const span = p.end - p.start;
+                const f = span > 0 ? clamp((t - p.start) / span, 0, 1) : t >= p.start ? 1 : 0;
+                return level * (p.from + (p.to - p.from) * f);
+            },
+        },
+        spikes: {
+            name: "Spiky arrivals (Poisson)",
+            params: [
+                { key: "ratePerHour", label: "Spikes per hour", value: 12, step: 1 },
+                { key: "height", label: "Height (x target)", value: 1, step: 0.1 },
+                { key: "decaySeconds", label: "Decay (s)", value: 60, step: 5 },
+            ],
+            // Arrivals come from a Poisson process sampled per bucket of decaySeconds; each spike
+            // jumps by height x target and decays exponentially
+            apply: (level, t, p, base, seed, index) => {
+                const bucket = Math.max(1, p.decaySeconds);
+                const mean = (p.ratePerHour / 3600) * bucket;
+                const limit = Math.exp(-mean);
+                let added = 0;
+                for (let k = Math.floor(t / bucket) - 6; k <= Math.floor(t / bucket); k += 1) {
+                    const random = createRandom(Math.floor(hashRandom(seed, index, k) * 4294967296));
+                    // Knuth's method for the number of arrivals in this bucket
+                    let u = random();
+                    while (u > limit) {
+                        const at = (k + random()) * bucket;
+                        if (at <= t) added += p.height * base * Math.exp(-(t - at) / bucket);
+                        u *= random();
+                    }
+                }
+                return level + added;
+            },
+        },
+        outage: {
+            name: "Outage then recovery",
+            params: [
+                { key: "start", label: "Start (s)", value: 600, step: 10 },
+                { key: "duration", label: "Duration (s)", value: 120, step: 10 },
+                { key: "floor", label: "During (x)", value: 0.1, step: 0.05 },
+                { key: "surge", label: "Retry surge (x)", value: 1.8, step: 0.1 },
+                { key: "recoverySeconds", label: "Recovery (s)", value: 300, step: 10 },
+            ],
+            // Traffic collapses during the outage, then clients retry: a surge that fades linearly
+            apply: (level, t, p) => {
+                const end = p.start + p.duration;
+                if (t < p.start) return level;
+                if (t < end) return level * p.floor;
+                if (t >= end + p.recoverySeconds) return level;
+                return level * (p.surge - (p.surge - 1) * ((t - end) / (p.recoverySeconds || 1)));
+            },
+        },
+        noise: {
+            name: "Noise",
+            params: [
+                { key: "amplitude", label: "Amplitude (x target)", value: 0.1, step: 0.01 },
+                { key: "intervalSeconds", label: "Interval (s)", value: 5, step: 1 },
+            ],
+            // Smooth value noise: a random point every interval, interpolated in between
+            apply: (level, t, p, base, seed, index) => {
+                const step = Math.max(1e-3, p.intervalSeconds);
+                const n = Math.floor(t / step);
+                const a = hashRandom(seed, index, n) * 2 - 1;
+                const b = hashRandom(seed, index, n + 1) * 2 - 1;
+                return level + p.amplitude * base * (a + (b - a) * (t / step - n));
+            },
+        },
+    };
+
+    // A new layer of the given type with its default parameters
+    function createScenarioLayer(type) {
+        const params = {};
+        scenarioLayerTypes[type].params.forEach((p) => (params[p.key] = p.value));
+        return { type, params };
+    }
+
+    function layeredValue(layers, base, t, seed) {
+        return layers.reduce((level, layer, index) => {
+            const type = scenarioLayerTypes[layer.type];
+            if (!type) return level;
+            const params = Object.assign({}, createScenarioLayer(layer.type).params, layer.params);
+            return type.apply(level, t, params, base, seed, index);
+        }, base);
+    }
+
+    // Value of sorted samples [{t, value}] at time t: "linear" interpolates between neighbours,
+    // "step" holds the previous sample. Values are held flat beyond either end.
+    function sampleAt(samples, t, interpolation = "linear") {
+        if (t <= samples[0].t) return samples[0].value;
+        const last = samples[samples.length - 1];
+        if (t >= last.t) return last.value;
+        let lo = 0;
+        let hi = samples.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (samples[mid].t <= t) lo = mid;
+            else hi = mid;
+        }
+        const a = samples[lo];
+        const b = samples[hi];
+        if (interpolation === "step") return a.value;
+        return a.value + ((t - a.t) / (b.t - a.t)) * (b.value - a.value);
+    }
+
+    // Metric source backed by recorded samples: series[i] is a [{t, value}] list for metric i,
+    // sorted by t.
+    function seriesSource(series, interpolation) {
+        return (m, i, t) => {
+            const samples = series[i];
+            if (!samples || samples.length === 0) return m.target;
+            return sampleAt(samples, t, interpolation);
+        };
+    }
+
+    // Seeded uniform [0, 1) generator (mulberry32), so noisy scenarios can be replayed exactly
+    function createRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6d2b79f5) >>> 0;
+            let x = a;
+            x = Math.imul(x ^ (x >>> 15), x | 1);
+            x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+            return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Metric source that several simulations can share: the scenarios of metrics are evaluated
+    // once per metric index and time, so every run sees the identical stream whatever its own
+    // targets, load model or call order. Metrics beyond the list fall back to their own scenario.
+    // Custom expressions that read replicas are feedback, not stream, and use each run's count.
+    function sharedSource(metrics, ctx = {}) {
+        const cache = new Map();
+        return (m, i, t, replicas) => {
+            const metric = metrics[i] || m;
+            if (metric.scenario === "custom") {
+                const fn = compileFormula(metric.customFormula);
+                if (fn && fn.uses("replicas")) return scenarioValue(metric, t, Object.assign({}, ctx, { replicas }));
+            }
+            const key = `${i}@${t.toFixed(6)}`;
+            if (!cache.has(key)) cache.set(key, scenarioValue(metric, t, ctx));
+            return cache.get(key);
+        };
+    }
+
+    // Value of the "trace" scenario. trace is a parsed trace (see trace.js) plus playback settings:
+    // { series, column, start, end, scale, interpolation }. A metric replays the column with its
+    // name, or the selected column; simulation time 0 maps to trace time start, and the value at
+    // end is held once the trimmed range runs out.
+    function traceValue(trace, m, t) {
+        const samples = trace.series[m.name] || trace.series[trace.column];
+        if (!samples || samples.length === 0) return m.target;
+        const end = trace.end != null ? trace.end : Infinity;
+        const at = Math.min((trace.start || 0) + t, end);
+        return sampleAt(samples, at, trace.interpolation) * (trace.scale != null ? trace.scale : 1);
+    }
+
+    // True when config has a node pool that can run out of room, see nodeFit()
+    function hasNodePool(config) {
+        return config.maxNodes > 0;
+    }
+
+    // How many of config's pods fit on one node of its pool: { pods, boundBy } where boundBy names
+    // the limit that binds: "pods" (podsPerNode), "cpu" or "memory" (the sum of the containers'
+    // requests against the node's allocatable resources)
+    function nodeFit(config) {
+        const requested = (resource) => (config.containers || []).reduce((sum, c) => sum + ((c.requests && c.requests[resource]) || 0), 0);
+        let fit = { pods: Math.max(0, Math.floor(config.podsPerNode)), boundBy: "pods" };
+        [["cpu", config.nodeCpu], ["memory", config.nodeMemoryGiB * 1024 * 1024 * 1024]].forEach(([resource, allocatable]) => {
+            const request = requested(resource);
+            if (request > 0 && Math.floor(allocatable / request + 1e-9) < fit.pods) fit = { pods: Math.floor(allocatable / request + 1e-9), boundBy: resource };
+        });
+        return fit;
+    }
+
+    // Pod lifecycle: a pod is "pending" until it is scheduled onto a node, "starting" until
+    // readyAt, "ready" afterwards and "terminating" from deletion until goneAt, when it is
+    // dropped entirely.
+    function podPhase(pod, t) {
+        if (pod.deletedAt != null) return "terminating";
+        if (pod.scheduledAt == null) return "pending";
+        return t >= pod.readyAt ? "ready" : "starting";
+    }
+
+    function countPods(pods, t, phase) {
+        return pods.filter((p) => podPhase(p, t) === phase).length;
+    }
+
+    // Group pods the way the replica calculator does: terminating pods are ignored, Pending pods
+    // are unready, and pods without a sample are missing. Only CPU metrics look at readiness: a pod
+    // that is not Ready yet is unready, and so is a Ready pod inside the initialization period
+    // (counted from when it was scheduled and started) until one full metric window has been
+    // collected since it became Ready. For other metrics a running pod with a sample counts as
+    // ready whether or not it is Ready. sampled, when given, is the set of pod ids the metric's
+    // scrape has a sample for; without it every running pod has one.
+    function groupPods(pods, t, cpu, config, sampled) {
+        const groups = { ready: 0, unready: 0, missing: 0 };
+        pods.forEach((p) => {
+            const phase = podPhase(p, t);
+            if (phase === "terminating") return;
+            if (phase === "pending") {
+                groups.unready += 1;
+                return;
+            }
+            if (sampled && !sampled.has(p.id)) {
+                groups.missing += 1;
+                return;
+            }
+            const unready = cpu && (phase === "starting"
+                || (p.scheduledAt + config.cpuInitializationPeriod > t && t < p.readyAt + config.metricWindowSeconds));
+            if (unready) groups.unready += 1;
+            else groups.ready += 1;
+        });
+        return groups;
+    }
+
+    // True when config's scaleUp/scaleDown.tolerance apply: its version has the field and the
+    // HPAConfigurableTolerance feature gate is on
+    function configurableTolerance(config) {
+        return versionProfile(config.kubernetesVersion).tolerance === "per-direction" && !!config.hpaConfigurableTolerance;
+    }
+
+    // The { up, down, global } tolerances config applies: the controller's one for both directions
+    // (global true), or with configurableTolerance() each direction's own where it is set
+    function effectiveTolerance(config) {
+        const global = config.controllerTolerance != null ? config.controllerTolerance : DEFAULT_CONFIG.controllerTolerance;
+        if (!configurableTolerance(config)) return { up: global, down: global, global: true };
+        const own = (rules) => (rules.tolerance != null ? rules.tolerance : global);
+        return { up: own(config.behavior.up), down: own(config.behavior.down), global: false };
+    }
+
+    // True when ratio is close enough to 1 to keep the current count. A global tolerance is the
+    // controller's |1 - ratio| <= tolerance; per direction (1.33+) it is the band
+    // [1 - down, 1 + up], which also takes a ratio exactly at its edge in floating point.
+    function withinTolerance(tolerance, ratio) {
+        if (tolerance.global) return Math.abs(1 - ratio) <= tolerance.up;
+        return ratio >= 1 - tolerance.down && ratio <= 1 + tolerance.up;
+    }
+
+    // Calculate desired replicas the way the replica calculator does: desired = readyPods * (metric / target).
+    // When pods are unready (scale up) or missing metrics (either direction) the ratio is recomputed
+    // assuming unready pods use 0% and missing pods 100% (scale down) or 0% (scale up) of the target,
+    // and the change is dropped if that flips the direction or lands within tolerance.
+    // Returns { desired, ratio, gated, reason } where gated means tolerance held the current count
+    // and reason says how desired was reached, for decision traces: "no-data" (no target or no ready
+    // pods), "tolerance", "ratio", "flipped" (the recomputed ratio points the other way) or "reversed"
+    // (the recomputed count moves against the ratio). rawRatio is set when the ratio was recomputed.
+    // tolerance is { up, down, global }, see effectiveTolerance().
+    function computeDesiredReplicas(currentReplicas, groups, metric, target, tolerance) {
+        if (target <= 0 || groups.ready === 0) return { desired: currentReplicas, ratio: 1, gated: false, reason: "no-data" };
+        const ratio = metric / target;
+        const scaleUpWithUnready = groups.unready > 0 && ratio > 1;
+        if (!scaleUpWithUnready && groups.missing === 0) {
+            if (withinTolerance(tolerance, ratio)) return { desired: currentReplicas, ratio, gated: true, reason: "tolerance" };
+            return { desired: Math.max(0, Math.ceil(ratio * groups.ready)), ratio, gated: false, reason: "ratio" };
+        }
+
+        let usage = ratio * groups.ready;
+        let count = groups.ready;
+        if (groups.missing > 0) {
+            if (ratio < 1) {
+                usage += groups.missing;
+                count += groups.missing;
+            } else if (ratio > 1) {
+                count += groups.missing;
+            }
+        }
+        if (scaleUpWithUnready) count += groups.unready;
+
+        const newRatio = usage / count;
+        if (withinTolerance(tolerance, newRatio)) return { desired: currentReplicas, ratio: newRatio, rawRatio: ratio, gated: true, reason: "tolerance" };
+        if ((ratio < 1 && newRatio > 1) || (ratio > 1 && newRatio < 1)) {
+            return { desired: currentReplicas, ratio: newRatio, rawRatio: ratio, gated: false, reason: "flipped" };
+        }
+        const desired = Math.ceil(newRatio * count);
+        if ((newRatio < 1 && desired > currentReplicas) || (newRatio > 1 && desired < currentReplicas)) {
+            return { desired: currentReplicas, ratio: newRatio, rawRatio: ratio, gated: false, reason: "reversed" };
+        }
+        return { desired, ratio: newRatio, rawRatio: ratio, gated: false, reason: "ratio" };
+    }
+
+    // Desired replicas for one metric. Per-pod metrics go through the pod-aware calculation above with
+    // the groups groupsFor(cpu) returns; Object/External metrics use the usage ratio directly: Value
+    // targets scale the ready pod count by the ratio, AverageValue targets divide the total by the
+    // per-pod target. Returns the same fields as computeDesiredReplicas.
+    function computeMetricReplicas(m, value, currentReplicas, groupsFor, tolerance) {
+        if (!Number.isFinite(value)) return { desired: currentReplicas, ratio: 1, gated: false, reason: "no-data" };
+        if (isPerPodMetric(m)) return computeDesiredReplicas(currentReplicas, groupsFor(isCpuMetric(m)), value, m.target, tolerance);
+        if (m.target <= 0) return { desired: currentReplicas, ratio: 1, gated: false, reason: "no-data" };
+        if (m.targetType === "AverageValue") {
+            const ratio = value / (m.target * currentReplicas);
+            if (withinTolerance(tolerance, ratio)) return { desired: currentReplicas, ratio, gated: true, reason: "tolerance" };
+            return { desired: Math.ceil(value / m.target), ratio, gated: false, reason: "ratio" };
+        }
+        const ratio = value / m.target;
+        if (currentReplicas === 0) return { desired: Math.ceil(ratio), ratio, gated: false, reason: "ratio" };
+        if (withinTolerance(tolerance, ratio)) return { desired: currentReplicas, ratio, gated: true, reason: "tolerance" };
+        return { desired: Math.ceil(ratio * groupsFor(false).ready), ratio, gated: false, reason: "ratio" };
+    }
+
+    // Stabilization: the recommendation is held between the lowest one within the scale-up window
+    // and the highest one within the scale-down window, this one included, so from 1.21 a window
+    // cannot reverse the direction. history is the recommendations of earlier syncs. mode is the
+    // version's stabilization, see kubernetesVersions.
+    function applyStabilization(behavior, history, t, direction, desired, currentReplicas, mode = "both") {
+        return stabilize(behavior, history, t, direction, desired, currentReplicas, mode).stabilized;
+    }
+
+    // applyStabilization with its workings, for decision traces: { stabilized, window, from, pick,
+    // capped, toward } for the window that applies, where toward is its direction, pick is the
+    // { t, desired } sample that bounds the result (the latest of equal ones, null when no window
+    // applies) and capped says the current replica count bounded it instead. As in
+    // stabilizeRecommendationWithBehaviors both windows always apply ("both"), and a sample exactly
+    // one window old is already out of it. Before 1.21 ("direction") only the window toward the
+    // recommendation applied, scale-up for one at or above the current count, and nothing kept
+    // the result from passing the current count: a low sample in the scale-up window scaled down.
+    function stabilize(behavior, history, t, direction, desired, currentReplicas, mode = "both") {
+        const upWindow = behavior.up.stabilizationWindowSeconds || 0;
+        const downWindow = behavior.down.stabilizationWindowSeconds || 0;
+        if (mode === "direction") {
+            const toward = desired >= currentReplicas ? "up" : "down";
+            const win = toward === "up" ? upWindow : downWindow;
+            const better = (a, b) => (toward === "up" ? a <= b : a >= b);
+            let pick = null;
+            history.forEach((d) => {
+                if (d.t > t - win && (!pick || better(d.desired, pick.desired))) pick = d;
+            });
+            if (!pick || better(desired, pick.desired)) pick = { t, desired };
+            if (win <= 0) return { stabilized: desired, window: win, from: t, pick: null, capped: false, toward };
+            return { stabilized: pick.desired, window: win, from: t - win, pick: { t: pick.t, desired: pick.desired }, capped: false, toward };
+        }
+        let lowest = null;
+        let highest = null;
+        history.forEach((d) => {
+            if (d.t > t - upWindow && (!lowest || d.desired <= lowest.desired)) lowest = d;
+            if (d.t > t - downWindow && (!highest || d.desired >= highest.desired)) highest = d;
+        });
+        if (!lowest || desired <= lowest.desired) lowest = { t, desired };
+        if (!highest || desired >= highest.desired) highest = { t, desired };
+        const stabilized = Math.min(Math.max(currentReplicas, lowest.desired), highest.desired);
+        const toward = direction === "hold" ? null : direction;
+        const win = direction === "up" ? upWindow : direction === "down" ? downWindow : 0;
+        if (win <= 0) return { stabilized, window: win, from: t, pick: null, capped: false, toward };
+        const pick = direction === "up" ? lowest : highest;
+        return { stabilized, window: win, from: t - win, pick: { t: pick.t, desired: pick.desired }, capped: stabilized !== pick.desired, toward };
+    }
+
+    // Replicas added ("up") or removed ("down") by scale events within the last periodSeconds
+    function replicasChangedInPeriod(events, t, direction, periodSeconds) {
+        const cutoff = t - periodSeconds;
+        return events
+            .filter((e) => e.direction === direction && e.t > cutoff)
+            .reduce((sum, e) => sum + e.count, 0);
+    }
+
+    function describePolicy(p) {
+        return p.type === "Pods" ? `${p.value} pods / ${p.periodSeconds}s` : `${p.value}% / ${p.periodSeconds}s`;
+    }
+
+    // Replica bound for one direction, as calculateScaleUpLimitWithScalingRules /
+    // calculateScaleDownLimitWithBehaviors compute it: each policy proposes a bound relative to the
+    // replica count at the start of its period (current minus what was added plus what was removed
+    // within periodSeconds), and selectPolicy keeps the most (Max) or least (Min) permissive one.
+    // Returns { limit, policy, candidates } where policy is the one that produced the limit and
+    // candidates lists every policy with its { periodStart, proposed } bound.
+    function computeScaleLimit(rules, direction, currentReplicas, events, t) {
+        if (rules.selectPolicy === "Disabled") return { limit: currentReplicas, policy: null, candidates: [] };
+        if (!rules.policies || rules.policies.length === 0) {
+            return { limit: direction === "up" ? Infinity : -Infinity, policy: null, candidates: [] };
+        }
+
+        const wantHighest = (direction === "up") === (rules.selectPolicy !== "Min");
+        let best = null;
+        const candidates = [];
+        rules.policies.forEach((p) => {
+            const periodStart = currentReplicas
+                - replicasChangedInPeriod(events, t, "up", p.periodSeconds)
+                + replicasChangedInPeriod(events, t, "down", p.periodSeconds);
+            let proposed;
+            if (direction === "up") {
+                // Rounded up so that a percent policy can always add at least one pod
+                proposed = p.type === "Pods" ? periodStart + p.value : Math.ceil(periodStart * (1 + p.value / 100));
+            } else {
+                proposed = p.type === "Pods" ? periodStart - p.value : Math.floor(periodStart * (1 - p.value / 100));
+            }
+            candidates.push({ policy: p, periodStart, proposed });
+            if (!best || (wantHighest ? proposed > best.limit : proposed < best.limit)) {
+                best = { limit: proposed, policy: p };
+            }
+        });
+        return Object.assign(best, { candidates });
+    }
+
+    // Bound the stabilized recommendation by the scaling policies and min/max replicas,
+    // as convertDesiredReplicasWithBehaviorRate does. Returns { replicas, allowed, boundBy }
+    // where allowed is the largest change the policies permit right now; scaleLimit is the
+    // computeScaleLimit result behind it (null when there is no change to bound).
+    function normalizeDesiredReplicas(config, events, t, currentReplicas, desired) {
+        if (desired > currentReplicas) {
+            const scaleLimit = computeScaleLimit(config.behavior.up, "up", currentReplicas, events, t);
+            const { limit: rawLimit, policy } = scaleLimit;
+            // Events still inside the period can push the limit below current; wait for them to age out
+            const limit = Math.max(rawLimit, currentReplicas);
+            const policyBound = limit < config.maxReplicas;
+            const maxAllowed = policyBound ? limit : config.maxReplicas;
+            const boundBy = policyBound
+                ? (policy ? `policy ${describePolicy(policy)}` : "selectPolicy Disabled")
+                : "maxReplicas";
+            return {
+                replicas: Math.min(desired, maxAllowed),
+                allowed: limit - currentReplicas,
+                boundBy: desired > maxAllowed ? boundBy : "-",
+                scaleLimit,
+            };
+        }
+        if (desired < currentReplicas) {
+            const scaleLimit = computeScaleLimit(config.behavior.down, "down", currentReplicas, events, t);
+            const { limit: rawLimit, policy } = scaleLimit;
+            const limit = Math.min(rawLimit, currentReplicas);
+            const policyBound = limit > hpaMinReplicas(config);
+            const minAllowed = policyBound ? limit : hpaMinReplicas(config);
+            const boundBy = policyBound
+                ? (policy ? `policy ${describePolicy(policy)}` : "selectPolicy Disabled")
+                : "minReplicas";
+            return {
+                replicas: Math.max(desired, minAllowed),
+                allowed: currentReplicas - limit,
+                boundBy: desired < minAllowed ? boundBy : "-",
+                scaleLimit,
+            };
+        }
+        return { replicas: desired, allowed: 0, boundBy: "-", scaleLimit: null };
+    }
+
+    // Create a running simulation. The config is read on every tick, so changes made to it
+    // between ticks take effect immediately. Options:
+    //   source(m, index, t, replicas) -> raw value of metric m at t (defaults to its scenario)
+    //   random()            -> uniform [0, 1) generator for the noisy scenario (defaults to one
+    //                          seeded with config.seed)
+    // tick(dt) advances time and returns { point, decision }: point is the chart sample for this
+    // tick, decision the decision-log row when an HPA sync happened or the activator scaled
+    // (otherwise null).
+    function createSimulation(config, options = {}) {
+        const random = options.random || createRandom(config.seed != null ? config.seed : 1);
+        const scenarioCtx = () => ({
+            random,
+            trace: config.trace,
+            layers: config.scenarioLayers,
+            seed: config.seed,
+            replicas: sim.replicas,
+        });
+        const source = options.source || ((m, i, t) => scenarioValue(m, t, scenarioCtx()));
+        const sim = {
+            t: 0, // seconds
+            elapsedSinceSync: 0,
+            replicas: config.initialReplicas,
+            pods: [], // [{id, createdAt, scheduledAt, readyAt, deletedAt, goneAt}]
+            nextPodId: 0,
+            desiredHistory: [], // for stabilization: {t, desired} recommended at each sync
+            scaleEvents: [], // for policy periods: array of {t, direction, count}
+            demand: null, // total demand of the first metric at current t (demand mode only)
+            lastScrape: -Infinity, // time of the last metrics scrape
+            scrapes: 0,
+            // per metric: { recent, pending, current } true values in the scrape window, scrapes not
+            // readable yet and the newest readable scrape, see observeMetrics()
+            pipelines: [],
+            nodes: [], // the node pool: [{id, readyAt}], see scheduleNodes()
+            nextNodeId: 0,
+            nodesUnneededSince: null, // since when the pool has had more nodes than it needs
+            lastPoll: -Infinity, // time of the activator's last check, see activate()
+            lastActive: 0, // when the activator last saw an active metric
+        };
+
+        function createPod(createdAt) {
+            sim.nextPodId += 1;
+            return { id: sim.nextPodId, createdAt, scheduledAt: null, readyAt: null, deletedAt: null, goneAt: null };
+        }
+
+        function addNodes(count, readyAt) {
+            for (let i = 0; i < count; i += 1) {
+                sim.nextNodeId += 1;
+                sim.nodes.push({ id: sim.nextNodeId, readyAt });
+            }
+        }
+
+        // Bind Pending pods to free room on Ready nodes, oldest first, and run the node pool the
+        // way the cluster autoscaler does: while pods are Pending it adds the nodes they need (up
+        // to maxNodes), which become Ready nodeProvisionSeconds later, and once the pool has had
+        // more Ready nodes than its pods need for nodeScaleDownSeconds it removes them (down to
+        // minNodes). Room is counted in pods for the whole pool (see nodeFit), and terminating pods
+        // keep their room until they are gone. Without a node pool every pod is bound at once.
+        // initial binds as pods that have been running for a long time.
+        function scheduleNodes(initial) {
+            const bind = (p) => {
+                p.scheduledAt = initial ? -Infinity : sim.t;
+                p.readyAt = initial ? -Infinity : sim.t + config.podStartupSeconds;
+            };
+            const pending = sim.pods.filter((p) => p.scheduledAt == null && p.deletedAt == null);
+            if (!hasNodePool(config)) {
+                pending.forEach(bind);
+                return;
+            }
+            const fit = nodeFit(config).pods;
+            const placed = sim.pods.length - pending.length;
+            const wanted = fit > 0 ? clamp(Math.ceil(sim.pods.length / fit), config.minNodes, config.maxNodes) : config.minNodes;
+            // A pool switched on mid-run starts with the nodes its scheduled pods are already on
+            if (sim.nodes.length === 0) addNodes(initial ? wanted : clamp(Math.ceil(placed / Math.max(1, fit)), config.minNodes, config.maxNodes), -Infinity);
+            const ready = sim.nodes.filter((n) => n.readyAt <= sim.t).length;
+            let free = ready * fit - placed;
+            pending.forEach((p) => {
+                if (free <= 0) return;
+                bind(p);
+                free -= 1;
+            });
+            if (pending.some((p) => p.scheduledAt == null) && wanted > sim.nodes.length) {
+                addNodes(wanted - sim.nodes.length, sim.t + config.nodeProvisionSeconds);
+            }
+            if (ready > wanted && ready === sim.nodes.length) {
+                if (sim.nodesUnneededSince == null) sim.nodesUnneededSince = sim.t;
+                if (sim.t - sim.nodesUnneededSince >= config.nodeScaleDownSeconds) {
+                    sim.nodes = sim.nodes.slice(0, wanted);
+                    sim.nodesUnneededSince = null;
+                }
+            } else {
+                sim.nodesUnneededSince = null;
+            }
+        }
+
+        // The node pool now, for points and decision traces: { nodes, provisioning, nextNodeAt,
+        // capacity, pending, perNode, boundBy } where capacity is the pods the Ready nodes fit
+        function nodeState() {
+            const ready = sim.nodes.filter((n) => n.readyAt <= sim.t);
+            const provisioning = sim.nodes.filter((n) => n.readyAt > sim.t);
+            const fit = nodeFit(config);
+            return {
+                nodes: ready.length,
+                provisioning: provisioning.length,
+                nextNodeAt: provisioning.length ? Math.min(...provisioning.map((n) => n.readyAt)) : null,
+                capacity: ready.length * fit.pods,
+                pending: countPods(sim.pods, sim.t, "pending"),
+                perNode: fit.pods,
+                boundBy: fit.boundBy,
+                maxNodes: config.maxNodes,
+            };
+        }
+
+        // Initial pods have been running for a long time, on as many nodes as they need
+        for (let i = 0; i < sim.replicas; i += 1) sim.pods.push(createPod(-Infinity));
+        scheduleNodes(true);
+
+        const fromContainers = (m) => isResourceMetric(m) && config.containers && config.containers.length > 0;
+
+        // Scenario curves are expressed as the per-pod load at demandScale replicas,
+        // so both load models start from the same picture.
+        function computeDemand(m, i) {
+            if (fromContainers(m)) return containerMetric(m, config.containers, sim.t, scenarioCtx(), config.demandScale).value;
+            return source(m, i, sim.t, sim.replicas) * config.demandScale;
+        }
+
+        // Value the HPA reads for metric m, as { value, containers } where containers is the
+        // breakdown for metrics computed from the pod's containers (see containerMetric) and
+        // otherwise null. Only per-pod metrics close the loop: Object and External metrics are
+        // read straight from their source in both load models.
+        function computeMetric(m, i) {
+            const demand = config.loadModel === "demand";
+            if (fromContainers(m)) {
+                const scale = demand ? config.demandScale / reportingPods(m) : 1;
+                return containerMetric(m, config.containers, sim.t, scenarioCtx(), scale);
+            }
+            if (!demand || !isPerPodMetric(m)) return { value: source(m, i, sim.t, sim.replicas), containers: null };
+            return { value: computeDemand(m, i) / reportingPods(m), containers: null };
+        }
+
+        // Pods a per-pod metric is averaged over in the demand model. Only Ready pods serve the
+        // load, but for metrics other than CPU the HPA also counts started pods that are not Ready
+        // yet (see groupPods), and those read 0.
+        function reportingPods(m) {
+            const ready = countPods(sim.pods, sim.t, "ready");
+            return Math.max(1, isCpuMetric(m) ? ready : ready + countPods(sim.pods, sim.t, "starting"));
+        }
+
+        // Mean of the true readings in a scrape window, container breakdown included
+        function averageReadings(recent) {
+            const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+            const last = recent[recent.length - 1];
+            return {
+                value: mean(recent.map((r) => r.value)),
+                containers: last.containers && last.containers.map((c, k) => Object.assign({}, c, {
+                    usage: mean(recent.map((r) => (r.containers && r.containers[k] ? r.containers[k].usage : c.usage))),
+                })),
+            };
+        }
+
+        // What the HPA can read of each metric this tick, given the true readings. Every
+        // scrapeInterval the pipeline scrapes each metric, averaging its true value over
+        // scrapeWindow; a scrape is lost with probability metricDropRate or during the outage, and
+        // for per-pod metrics each scheduled pod is left out of it with probability
+        // podMetricDropRate. A scrape becomes readable metricLatency after it was taken and is read until a newer one
+        // is, or until it is older than metricStaleAfter. Returns per metric { value, containers,
+        // pipeline } where pipeline is null for an ideal pipeline (the true reading is used as is)
+        // and otherwise { trueValue, sampledAt, age, stale, pods }; value is NaN when there is no
+        // scrape to read. Drops are drawn from config.seed, apart from the scenarios' stream.
+        function observeMetrics(truth) {
+            if (!hasMetricsPipeline(config)) return truth.map((r) => Object.assign({ pipeline: null }, r));
+            const scrapeNow = sim.t >= sim.lastScrape + config.scrapeInterval - 1e-6;
+            const outage = sim.t >= config.metricOutageStart && sim.t < config.metricOutageStart + config.metricOutageSeconds;
+            if (scrapeNow) {
+                sim.lastScrape = sim.t;
+                sim.scrapes += 1;
+            }
+            return truth.map((r, i) => {
+                const m = config.metrics[i];
+                const p = sim.pipelines[i] || (sim.pipelines[i] = { recent: [], pending: [], current: null });
+                p.recent.push({ t: sim.t, value: r.value, containers: r.containers });
+                while (p.recent.length > 1 && p.recent[0].t <= sim.t - (config.scrapeWindow || 0)) p.recent.shift();
+                if (scrapeNow) {
+                    const random = createRandom(Math.floor(hashRandom(config.seed || 0, PIPELINE_STREAM + i, sim.scrapes) * 4294967296));
+                    const lost = random() < (config.metricDropRate || 0) || outage;
+                    const pods = isPerPodMetric(m)
+                        ? new Set(sim.pods.filter((pod) => ["starting", "ready"].includes(podPhase(pod, sim.t)) && random() >= (config.podMetricDropRate || 0)).map((pod) => pod.id))
+                        : null;
+                    if (!lost) p.pending.push(Object.assign(averageReadings(p.recent), { t: sim.t, pods }));
+                }
+                while (p.pending.length && p.pending[0].t + (config.metricLatency || 0) <= sim.t + 1e-6) p.current = p.pending.shift();
+                const sample = p.current;
+                const age = sample ? sim.t - sample.t : null;
+                const stale = !!sample && config.metricStaleAfter > 0 && age > config.metricStaleAfter;
+                const pipeline = { trueValue: r.value, sampledAt: sample ? sample.t : null, age, stale, pods: sample && !stale ? sample.pods : null };
+                if (!sample || stale) return { value: NaN, containers: null, pipeline };
+                return { value: sample.value, containers: sample.containers, pipeline };
+            });
+        }
+
+        // Bring the non-terminating pod set in line with sim.replicas, the way a
+        // ReplicaSet does: new pods start Pending, and scale-in deletes Pending pods
+        // first, then not-ready pods before ready ones, newest first. Pending pods
+        // have nothing to shut down and go at once.
+        function reconcilePods() {
+            const live = sim.pods.filter((p) => p.deletedAt == null);
+            if (live.length < sim.replicas) {
+                for (let i = live.length; i < sim.replicas; i += 1) sim.pods.push(createPod(sim.t));
+            } else if (live.length > sim.replicas) {
+                const rank = { pending: 0, starting: 1, ready: 2 };
+                const victims = live
+                    .slice()
+                    .sort((a, b) => rank[podPhase(a, sim.t)] - rank[podPhase(b, sim.t)] || b.createdAt - a.createdAt)
+                    .slice(0, live.length - sim.replicas);
+                victims.forEach((p) => {
+                    p.goneAt = sim.t + (podPhase(p, sim.t) === "pending" ? 0 : config.podShutdownSeconds);
+                    p.deletedAt = sim.t;
+                });
+            }
+            sim.pods = sim.pods.filter((p) => p.deletedAt == null || p.goneAt > sim.t);
+            scheduleNodes(false);
+        }
+
+        function recordScaleEvent(change) {
+            if (change === 0) return;
+            sim.scaleEvents.push({ t: sim.t, direction: change > 0 ? "up" : "down", count: Math.abs(change) });
+            // Events older than the longest policy period can no longer limit anything
+            const periods = config.behavior.up.policies.concat(config.behavior.down.policies).map((p) => p.periodSeconds);
+            const cutoff = sim.t - Math.max(0, ...periods);
+            sim.scaleEvents = sim.scaleEvents.filter((e) => e.t > cutoff);
+        }
+
+        // KEDA-style activation (scaleToZeroMode "keda"): every kedaPollingInterval, each Object and
+        // External metric is active while the value read of it is above its activationThreshold
+        // (default 0). An active metric wakes a workload at 0 to 1 replica; once none has been active
+        // for kedaCooldownPeriod (counted from the start if none ever was) the workload goes to 0.
+        // The activator scales the workload directly, so the HPA's policies do not limit it. Returns
+        // the decision-log row for a change, otherwise null.
+        function activate(observed) {
+            if (scaleToZeroMode(config) !== "keda" || sim.t < sim.lastPoll + config.kedaPollingInterval - 1e-6) return null;
+            sim.lastPoll = sim.t;
+            const triggers = [];
+            config.metrics.forEach((m, i) => {
+                if (isPerPodMetric(m)) return;
+                const value = observed[i].value;
+                const threshold = m.activationThreshold || 0;
+                triggers.push({ name: m.name, type: m.type, value, target: m.target, threshold, active: value > threshold });
+            });
+            const active = triggers.some((a) => a.active);
+            if (active) sim.lastActive = sim.t;
+            const idle = sim.t - sim.lastActive;
+            const next = sim.replicas === 0 && active ? 1
+                : sim.replicas > 0 && !active && idle >= config.kedaCooldownPeriod ? 0
+                    : sim.replicas;
+            if (next === sim.replicas) return null;
+            const driver = triggers.find((a) => a.active) || triggers[0];
+            const trace = {
+                replicas: sim.replicas,
+                activation: { triggers, active, lastActive: sim.lastActive, idle, cooldown: config.kedaCooldownPeriod, polling: config.kedaPollingInterval },
+            };
+            const appliedChange = next - sim.replicas;
+            sim.replicas = next;
+            reconcilePods();
+            return {
+                t: sim.t,
+                driver: driver.name,
+                metric: driver.value,
+                ratio: Number.isFinite(driver.value) && driver.target > 0 ? driver.value / driver.target : 0,
+                desired: next,
+                stabilized: next,
+                direction: appliedChange > 0 ? "up" : "down",
+                allowed: Math.abs(appliedChange),
+                appliedChange,
+                replicas: next,
+                boundBy: active ? "activation" : "cooldown",
+                trace,
+            };
+        }
+
+        // Every stage of a sync for the decision log's explanation: each metric's reading and how its
+        // desired count was reached, the stabilization window (history as [t, desired] at each change
+        // of desired) and, filled in by tick(), the policy limits and min/max clamp
+        function traceDecision(readings, recommendation, direction, stabilization, groupsOf) {
+            const history = [];
+            sim.desiredHistory.forEach((d) => {
+                if (d.t <= stabilization.from) return;
+                const last = history[history.length - 1];
+                if (!last || last[1] !== d.desired) history.push([d.t, d.desired]);
+            });
+            const newest = sim.desiredHistory[sim.desiredHistory.length - 1];
+            const last = history[history.length - 1];
+            if (newest && last && last[0] !== newest.t) history.push([newest.t, newest.desired]);
+            return {
+                replicas: sim.replicas,
+                version: versionProfile(config.kubernetesVersion).id,
+                tolerance: effectiveTolerance(config),
+                metrics: readings.map((r, i) => {
+                    const m = config.metrics[i];
+                    const perPod = isPerPodMetric(m) || (m.targetType === "Value" && sim.replicas > 0);
+                    return {
+                        name: m.name,
+                        type: m.type,
+                        container: m.type === "ContainerResource" ? m.container : null,
+                        targetType: m.targetType,
+                        target: m.target,
+                        value: r.value,
+                        containers: r.containers,
+                        pipeline: r.pipeline && { trueValue: r.pipeline.trueValue, sampledAt: r.pipeline.sampledAt, age: r.pipeline.age, stale: r.pipeline.stale },
+                        groups: perPod ? groupsOf[i](isPerPodMetric(m) && isCpuMetric(m)) : null,
+                        ratio: r.ratio,
+                        rawRatio: r.rawRatio != null ? r.rawRatio : null,
+                        desired: r.desired,
+                        gated: r.gated,
+                        reason: r.reason,
+                    };
+                }),
+                driver: readings.indexOf(recommendation),
+                direction,
+                stabilization: {
+                    mode: versionProfile(config.kubernetesVersion).stabilization,
+                    toward: stabilization.toward,
+                    rule: stabilization.toward === "down" ? "highest" : stabilization.toward === "up" ? "lowest" : null,
+                    window: stabilization.window,
+                    from: stabilization.from,
+                    pick: stabilization.pick,
+                    capped: stabilization.capped,
+                    stabilized: stabilization.stabilized,
+                    history,
+                },
+                limits: null,
+                clamp: null,
+                nodes: null,
+            };
+        }
+
+        function tick(dt) {
+            sim.t += dt;
+            sim.elapsedSinceSync += dt;
+            reconcilePods();
+            if (config.loadModel === "demand") sim.demand = computeDemand(config.metrics[0], 0);
+            const truth = config.metrics.map((m, i) => computeMetric(m, i));
+            const observed = observeMetrics(truth);
+            // The activator goes first; an HPA sync due now runs on the next tick, at the new scale
+            const activation = activate(observed);
+            // Each metric groups the pods against its own scrape, since pods can be missing from it
+            const groupsOf = observed.map((o) => (cpu) => groupPods(sim.pods, sim.t, cpu, config, o.pipeline && o.pipeline.pods));
+            const tolerance = effectiveTolerance(config);
+            // Tolerance is applied inside each metric's replica calculation, which then holds the current count
+            const readings = config.metrics.map((m, i) => {
+                const { value, containers, pipeline } = observed[i];
+                return Object.assign({ name: m.name, value, containers, pipeline }, computeMetricReplicas(m, value, sim.replicas, groupsOf[i], tolerance));
+            });
+            // The HPA follows the metric that asks for the most replicas
+            const recommendation = readings.reduce((best, r) => (r.desired > best.desired ? r : best), readings[0]);
+            recommendation.gated = recommendation.desired === sim.replicas && readings.some((r) => r.gated);
+            const metric = recommendation.value;
+            // Like the controller, an HPA whose target is at 0 replicas is disabled unless it may
+            // scale from zero itself: it recommends 0 and keeps no history
+            const disabled = sim.replicas === 0 && hpaMinReplicas(config) > 0;
+            const desiredRaw = disabled ? 0 : recommendation.desired;
+            // Determine direction
+            const direction = desiredRaw > sim.replicas ? "up" : desiredRaw < sim.replicas ? "down" : "hold";
+
+            // The controller only runs on sync boundaries; between them the charts show what it would
+            // recommend, stabilized against the recommendations of past syncs
+            const isSync = !activation && sim.elapsedSinceSync >= config.syncPeriod - 1e-6;
+            // Like maybeInitScaleDownStabilizationWindow, the first sync counts the running replicas
+            // as a recent recommendation, so a new HPA does not scale down at once
+            if (isSync && !disabled && sim.desiredHistory.length === 0) sim.desiredHistory.push({ t: sim.t, desired: sim.replicas });
+
+            // Stabilization window
+            const stabilization = stabilize(config.behavior, sim.desiredHistory, sim.t, direction, desiredRaw, sim.replicas,
+                versionProfile(config.kubernetesVersion).stabilization);
+            const stabilizedDesired = stabilization.stabilized;
+            // The way the count moves: the recommendation's, unless stabilization before 1.21 turned it
+            const moving = stabilizedDesired > sim.replicas ? "up" : stabilizedDesired < sim.replicas ? "down" : direction;
+
+            let decision = activation;
+            if (isSync && disabled) {
+                sim.elapsedSinceSync = 0;
+                const trace = traceDecision(readings, recommendation, direction, stabilization, groupsOf);
+                trace.disabled = { minReplicas: hpaMinReplicas(config), activator: scaleToZeroMode(config) === "keda" };
+                decision = {
+                    t: sim.t,
+                    driver: recommendation.name,
+                    metric,
+                    ratio: recommendation.ratio,
+                    desired: 0,
+                    stabilized: 0,
+                    direction: "hold",
+                    allowed: 0,
+                    appliedChange: 0,
+                    replicas: 0,
+                    boundBy: "scaling disabled",
+                    trace,
+                };
+            } else if (isSync) {
+                sim.elapsedSinceSync = 0;
+                // Record this sync's unstabilized recommendation, dropping those older than both windows
+                sim.desiredHistory.push({ t: sim.t, desired: desiredRaw });
+                const maxWindow = Math.max(
+                    config.behavior.up.stabilizationWindowSeconds || 0,
+                    config.behavior.down.stabilizationWindowSeconds || 0
+                );
+                sim.desiredHistory = sim.desiredHistory.filter((d) => d.t > sim.t - maxWindow || d.t === sim.t);
+                const trace = traceDecision(readings, recommendation, direction, stabilization, groupsOf);
+                if (moving !== "hold") {
+                    const bounded = normalizeDesiredReplicas(config, sim.scaleEvents, sim.t, sim.replicas, stabilizedDesired);
+                    const next = clamp(bounded.replicas, hpaMinReplicas(config), config.maxReplicas);
+                    const appliedChange = next - sim.replicas;
+                    trace.limits = bounded.scaleLimit && {
+                        selectPolicy: config.behavior[moving].selectPolicy,
+                        candidates: bounded.scaleLimit.candidates,
+                        policy: bounded.scaleLimit.policy,
+                        limit: bounded.scaleLimit.limit,
+                        allowed: bounded.allowed,
+                        replicas: bounded.replicas,
+                    };
+                    trace.clamp = { min: hpaMinReplicas(config), max: config.maxReplicas, before: bounded.replicas, after: next };
+                    recordScaleEvent(appliedChange);
+                    sim.replicas = next;
+                    reconcilePods();
+                    decision = {
+                        t: sim.t,
+                        driver: recommendation.name,
+                        metric,
+                        ratio: recommendation.ratio,
+                        desired: desiredRaw,
+                        stabilized: stabilizedDesired,
+                        direction: moving,
+                        allowed: Number.isFinite(bounded.allowed) ? bounded.allowed : "∞",
+                        appliedChange,
+                        replicas: sim.replicas,
+                        boundBy: stabilizedDesired !== desiredRaw && appliedChange === 0 ? "stabilization window" : bounded.boundBy,
+                        trace,
+                    };
+                } else {
+                    decision = {
+                        t: sim.t,
+                        driver: recommendation.name,
+                        metric,
+                        ratio: recommendation.ratio,
+                        desired: desiredRaw,
+                        stabilized: stabilizedDesired,
+                        direction: recommendation.gated ? "gated" : "hold",
+                        allowed: 0,
+                        appliedChange: 0,
+                        replicas: sim.replicas,
+                        boundBy: recommendation.gated ? "tolerance" : "-",
+                        trace,
+                    };
+                }
+                // After the decision, so new pods that must wait for a node show as Pending
+                if (hasNodePool(config)) trace.nodes = nodeState();
+            }
+
+            const pool = hasNodePool(config) ? nodeState() : null;
+            const point = {
+                t: sim.t,
+                demand: config.loadModel === "demand" ? sim.demand : null,
+                metric: truth[0].value,
+                metrics: truth.map((r) => r.value),
+                observed: readings.map((r) => r.value), // what the HPA read, NaN for no data
+                replicas: sim.replicas,
+                ready: countPods(sim.pods, sim.t, "ready"),
+                starting: countPods(sim.pods, sim.t, "starting"),
+                terminating: countPods(sim.pods, sim.t, "terminating"),
+                pending: countPods(sim.pods, sim.t, "pending"),
+                nodes: pool ? pool.nodes : null, // Ready nodes, null without a node pool
+                capacity: pool ? pool.capacity : null, // pods the Ready nodes fit
+                desired: desiredRaw,
+                stabilized: stabilizedDesired,
+            };
+            return { point, decision };
+        }
+
+        return { state: sim, tick };
+    }
+
+    // Run a whole simulation and return { timeline, decisions }. Options:
+    //   duration  seconds to simulate (required)
+    //   timeStep  seconds per tick (default 1)
+    //   series    recorded samples per metric, see seriesSource()
+    //   source, random: as for createSimulation
+    function simulate(config, options) {
+        const run = createRun(config, options);
+        run.advance(run.steps);
+        return { timeline: run.timeline, decisions: run.decisions };
+    }
+
+    // simulate() in slices, for long runs that report progress or must not block: advance(n)
+    // runs up to n more ticks and returns true once the duration is reached. timeline and
+    // decisions fill in as it goes; done counts the ticks run out of steps, and result() gives
+    // { timeline, decisions } as simulate() would.
+    function createRun(config, options) {
+        const cfg = withDefaults(config);
+        const timeStep = options.timeStep || 1;
+        const source = options.source || (options.series ? seriesSource(options.series) : undefined);
+        const sim = createSimulation(cfg, { source, random: options.random });
+        const run = {
+            timeline: [],
+            decisions: [],
+            steps: Math.round(options.duration / timeStep),
+            done: 0,
+            advance(n) {
+                const end = Math.min(run.steps, run.done + n);
+                for (; run.done < end; run.done += 1) {
+                    const { point, decision } = sim.tick(timeStep);
+                    run.timeline.push(point);
+                    if (decision) run.decisions.push(decision);
+                }
+                return run.done >= run.steps;
+            },
+            result: () => ({ timeline: run.timeline, decisions: run.decisions }),
+        };
+        return run;
+    }
+
+    // Headline numbers for a run. Each point counts for the time since the one before it, so live
+    // runs with uneven ticks add up too. Pod time counts every pod that exists (starting and
+    // terminating pods are paid for too); time above target is the time any metric read above its
+    // target; overshoot is how far a metric read above its target, as a fraction of the target; a
+    // reversal is a scale event in the other direction to the one before, within the flap window.
+    // Time pending is the time any pod waited for a node; node-hours and peak nodes are null
+    // without a node pool. Syncs leave out the activator's changes; wake-ups count 0 -> n changes
+    // and time at zero the time with no replicas. Options:
+    //   pricePerPodHour    cost of one pod for one hour (default 0)
+    //   saturation         metric / target ratio from which a metric counts as saturated (default 1.5)
+    //   flapWindowSeconds  how soon a reversal must follow to count as flapping (default 300)
+    function summarize(config, run, options = {}) {
+        const { timeline, decisions } = run;
+        const saturation = options.saturation != null ? options.saturation : 1.5;
+        const flapWindow = options.flapWindowSeconds != null ? options.flapWindowSeconds : 300;
+        const events = decisions.filter((d) => d.appliedChange !== 0);
+        const summary = {
+            duration: timeline.length ? timeline[timeline.length - 1].t : 0,
+            syncs: decisions.filter((d) => !d.trace || !d.trace.activation).length,
+            peakReplicas: -Infinity,
+            lowestReplicas: Infinity,
+            finalReplicas: timeline.length ? timeline[timeline.length - 1].replicas : config.initialReplicas,
+            podSeconds: 0,
+            podHours: 0,
+            cost: 0,
+            timeAboveTarget: 0,
+            timeSaturated: 0,
+            peakOvershoot: 0,
+            peakOvershootAt: null,
+            peakOvershootMetric: null,
+            scaleUps: events.filter((d) => d.appliedChange > 0).length,
+            scaleDowns: events.filter((d) => d.appliedChange < 0).length,
+            reversals: events.filter((d, i) => i > 0
+                && Math.sign(d.appliedChange) !== Math.sign(events[i - 1].appliedChange)
+                && d.t - events[i - 1].t <= flapWindow).length,
+            reversalsPerHour: 0,
+            wakeUps: events.filter((d) => d.appliedChange > 0 && d.replicas === d.appliedChange).length,
+            timeAtZero: 0,
+            timePending: 0,
+            peakPending: 0,
+            peakNodes: null,
+            nodeHours: null,
+        };
+        let nodeSeconds = null;
+        let prevT = 0;
+        timeline.forEach((p) => {
+            const dt = p.t - prevT;
+            prevT = p.t;
+            summary.peakReplicas = Math.max(summary.peakReplicas, p.replicas);
+            summary.lowestReplicas = Math.min(summary.lowestReplicas, p.replicas);
+            summary.podSeconds += (p.ready + p.starting + p.terminating) * dt;
+            if (p.replicas === 0) summary.timeAtZero += dt;
+            if (p.pending > 0) summary.timePending += dt;
+            summary.peakPending = Math.max(summary.peakPending, p.pending || 0);
+            if (p.nodes != null) {
+                summary.peakNodes = Math.max(summary.peakNodes || 0, p.nodes);
+                nodeSeconds = (nodeSeconds || 0) + p.nodes * dt;
+            }
+            let above = false;
+            let saturated = false;
+            config.metrics.forEach((m, i) => {
+                if (p.metrics[i] > m.target) above = true;
+                if (!(m.target > 0)) return;
+                const ratio = p.metrics[i] / m.target;
+                if (ratio >= saturation) saturated = true;
+                if (ratio - 1 > summary.peakOvershoot) {
+                    summary.peakOvershoot = ratio - 1;
+                    summary.peakOvershootAt = p.t;
+                    summary.peakOvershootMetric = m.name;
+                }
+            });
+            if (above) summary.timeAboveTarget += dt;
+            if (saturated) summary.timeSaturated += dt;
+        });
+        summary.podHours = summary.podSeconds / 3600;
+        summary.nodeHours = nodeSeconds == null ? null : nodeSeconds / 3600;
+        summary.cost = summary.podHours * (options.pricePerPodHour || 0);
+        summary.reversalsPerHour = summary.duration ? summary.reversals / (summary.duration / 3600) : 0;
+        return summary;
+    }
+
+    return {
+        metricScenarios,
+        metricTargetTypes,
+        kubernetesVersions,
+        versionProfile,
+        configurableTolerance,
+        DEFAULT_CONFIG,
+        withDefaults,
+        scenarioValue,
+        sampleAt,
+        scenarioLayerTypes,
+        createScenarioLayer,
+        layeredValue,
+        seriesSource,
+        createRandom,
+        sharedSource,
+        traceValue,
+        containerUsage,
+        containerMetric,
+        hasMetricsPipeline,
+        hasNodePool,
+        nodeFit,
+        scaleToZeroMode,
+        hpaMinReplicas,
+        effectiveTolerance,
+        withinTolerance,
+        computeDesiredReplicas,
+        computeMetricReplicas,
+        applyStabilization,
+        stabilize,
+        describePolicy,
+        computeScaleLimit,
+        normalizeDesiredReplicas,
+        createSimulation,
+        simulate,
+        createRun,
+        summarize,
+    };
+});
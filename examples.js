@@ -1,6 +1,9 @@
 // Templates derived from Kubernetes HPA configurable scaling behavior docs
 // Ref: https://kubernetes.io/docs/tasks/run-application/horizontal-pod-autoscale/#configurable-scaling-behavior
 
+// Each template has an id, name, description, tags, a suggested metric scenario and the params
+// applyParamsToUI() loads. User templates and imported bundles use the same shape (see templates.js).
+
 /* global window */
 
 window.HPA_EXAMPLES = [
@@ -9,6 +12,8 @@ window.HPA_EXAMPLES = [
         name: "Default behavior (cluster defaults)",
         description:
             "Matches the HPA controller defaults: scaleDown has 300s stabilization, 100%/15s; scaleUp has 0s stabilization, 100% or 4 pods per 15s with Max policy.",
+        tags: ["defaults"],
+        scenario: "rise-and-fall",
         params: {
             minReplicas: 1,
             maxReplicas: 50,
@@ -38,6 +43,8 @@ window.HPA_EXAMPLES = [
         id: "downscale-window-60",
         name: "Downscale stabilization window = 60s",
         description: "Slows scale-down fluctuations by using a 60s stabilization window.",
+        tags: ["scale-down", "stabilization"],
+        scenario: "noisy",
         params: {
             minReplicas: 1,
             maxReplicas: 50,
@@ -68,6 +75,8 @@ window.HPA_EXAMPLES = [
         name: "Limit scale down: 10% per minute",
         description:
             "Enforces scale down rate of at most 10% of current replicas each 60 seconds.",
+        tags: ["scale-down", "policies"],
+        scenario: "rise-and-fall",
         params: {
             minReplicas: 1,
             maxReplicas: 100,
@@ -98,6 +107,8 @@ window.HPA_EXAMPLES = [
         name: "Limit scale down: Min(10% or 5 pods) per minute",
         description:
             "Two policies with selectPolicy = Min ensure you remove the smaller of 10% or 5 pods per minute.",
+        tags: ["scale-down", "policies"],
+        scenario: "rise-and-fall",
         params: {
             minReplicas: 1,
             maxReplicas: 100,
@@ -128,6 +139,8 @@ window.HPA_EXAMPLES = [
         id: "disable-scale-down",
         name: "Disable scale down",
         description: "Downscaling is disabled using selectPolicy = Disabled.",
+        tags: ["scale-down"],
+        scenario: "burst",
         params: {
             minReplicas: 1,
             maxReplicas: 50,
@@ -156,6 +169,8 @@ window.HPA_EXAMPLES = [
         name: "Scale up tolerance = 5%",
         description:
             "Demonstrates tolerance gating for scale up (alpha in v1.33): will not scale up until metric exceeds target by 5%.",
+        tags: ["scale-up", "tolerance"],
+        scenario: "noisy",
         params: {
             minReplicas: 1,
             maxReplicas: 50,
@@ -0,0 +1,264 @@
+// Custom metric expressions: a small arithmetic language for the "Custom f(t)" scenario.
+// Expressions are parsed once into closures and can only see the variables and functions
+// listed below; there is no access to JavaScript globals. Loaded as window.HPA_EXPR in the
+// browser and with require() in Node.
+//
+// Variables: t (seconds), target, replicas; constants pi and e.
+// Operators: + - * / % ^ (or **), comparisons, && || !, and cond ? a : b. Comparisons and logic
+// yield 1 or 0. A "Math." prefix is accepted, so 100 + 60*Math.sin(t/30) still works.
+
+/* global module, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.HPA_EXPR = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    const VARIABLES = ["t", "target", "replicas"];
+    const CONSTANTS = { pi: Math.PI, e: Math.E, PI: Math.PI, E: Math.E };
+
+    const truthy = (v) => v !== 0 && !Number.isNaN(v);
+
+    // name -> [minArgs, maxArgs, fn]. Functions marked lazy receive argument thunks so that
+    // conditionals only evaluate the branch they return.
+    const FUNCTIONS = {
+        sin: [1, 1, Math.sin],
+        cos: [1, 1, Math.cos],
+        tan: [1, 1, Math.tan],
+        asin: [1, 1, Math.asin],
+        acos: [1, 1, Math.acos],
+        atan: [1, 1, Math.atan],
+        atan2: [2, 2, Math.atan2],
+        sinh: [1, 1, Math.sinh],
+        cosh: [1, 1, Math.cosh],
+        tanh: [1, 1, Math.tanh],
+        sqrt: [1, 1, Math.sqrt],
+        cbrt: [1, 1, Math.cbrt],
+        abs: [1, 1, Math.abs],
+        exp: [1, 1, Math.exp],
+        log: [1, 1, Math.log],
+        log10: [1, 1, Math.log10],
+        log2: [1, 1, Math.log2],
+        pow: [2, 2, Math.pow],
+        floor: [1, 1, Math.floor],
+        ceil: [1, 1, Math.ceil],
+        round: [1, 1, Math.round],
+        trunc: [1, 1, Math.trunc],
+        sign: [1, 1, Math.sign],
+        min: [1, Infinity, Math.min],
+        max: [1, Infinity, Math.max],
+        clamp: [3, 3, (x, lo, hi) => Math.max(lo, Math.min(hi, x))],
+        lerp: [3, 3, (a, b, f) => a + (b - a) * f],
+        // step(x, edge): 1 once x reaches edge, else 0
+        step: [2, 2, (x, edge) => (x >= edge ? 1 : 0)],
+        // between(x, a, b): 1 while a <= x < b, else 0
+        between: [3, 3, (x, a, b) => (x >= a && x < b ? 1 : 0)],
+        // if(cond, a, b)
+        if: [3, 3, (cond, a, b) => (truthy(cond()) ? a() : b()), true],
+        // piecewise(cond1, value1, cond2, value2, ..., otherwise): the value of the first true
+        // condition, else the trailing otherwise value (NaN when there is none)
+        piecewise: [2, Infinity, (...args) => {
+            for (let i = 0; i + 1 < args.length; i += 2) {
+                if (truthy(args[i]())) return args[i + 1]();
+            }
+            return args.length % 2 === 1 ? args[args.length - 1]() : NaN;
+        }, true],
+    };
+
+    class ExprError extends Error {
+        constructor(message, index) {
+            super(message);
+            this.name = "ExprError";
+            this.index = index;
+        }
+    }
+
+    const OPERATORS = ["**", "<=", ">=", "==", "!=", "&&", "||", "+", "-", "*", "/", "%", "^", "(", ")", ",", "?", ":", "<", ">", "!"];
+
+    function tokenize(src) {
+        const tokens = [];
+        let i = 0;
+        while (i < src.length) {
+            const c = src[i];
+            if (/\s/.test(c)) {
+                i += 1;
+                continue;
+            }
+            const num = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+            if (num) {
+                tokens.push({ type: "num", value: Number(num[0]), index: i });
+                i += num[0].length;
+                continue;
+            }
+            const name = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*/.exec(src.slice(i));
+            if (name) {
+                tokens.push({ type: "name", value: name[0], index: i });
+                i += name[0].length;
+                continue;
+            }
+            // JavaScript's strict equality spellings mean the same here
+            const strict = /^(===|!==)/.exec(src.slice(i));
+            if (strict) {
+                tokens.push({ type: "op", value: strict[0].slice(0, 2), index: i });
+                i += 3;
+                continue;
+            }
+            const op = OPERATORS.find((o) => src.startsWith(o, i));
+            if (!op) throw new ExprError(`Unexpected "${c}"`, i);
+            tokens.push({ type: "op", value: op, index: i });
+            i += op.length;
+        }
+        tokens.push({ type: "eof", value: "end of input", index: src.length });
+        return tokens;
+    }
+
+    const BINARY = {
+        "||": [1, (a, b) => (truthy(a()) || truthy(b()) ? 1 : 0)],
+        "&&": [2, (a, b) => (truthy(a()) && truthy(b()) ? 1 : 0)],
+        "==": [3, (a, b) => (a() === b() ? 1 : 0)],
+        "!=": [3, (a, b) => (a() !== b() ? 1 : 0)],
+        "<": [4, (a, b) => (a() < b() ? 1 : 0)],
+        "<=": [4, (a, b) => (a() <= b() ? 1 : 0)],
+        ">": [4, (a, b) => (a() > b() ? 1 : 0)],
+        ">=": [4, (a, b) => (a() >= b() ? 1 : 0)],
+        "+": [5, (a, b) => a() + b()],
+        "-": [5, (a, b) => a() - b()],
+        "*": [6, (a, b) => a() * b()],
+        "/": [6, (a, b) => a() / b()],
+        "%": [6, (a, b) => a() % b()],
+    };
+
+    // Pratt parser producing closures over a shared variable scope
+    function parse(src, scope) {
+        const tokens = tokenize(src);
+        const names = new Set();
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const describe = (tok) => (tok.type === "eof" ? "end of input" : `"${tok.value}"`);
+        const expect = (value) => {
+            const tok = next();
+            if (tok.value !== value || tok.type !== "op") throw new ExprError(`Expected "${value}" but found ${describe(tok)}`, tok.index);
+        };
+
+        function primary() {
+            const tok = next();
+            if (tok.type === "num") return () => tok.value;
+            if (tok.type === "op" && tok.value === "(") {
+                const inner = expression(0);
+                expect(")");
+                return inner;
+            }
+            if (tok.type === "name") {
+                const name = tok.value.startsWith("Math.") ? tok.value.slice(5) : tok.value;
+                if (peek().type === "op" && peek().value === "(") {
+                    const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+                    if (!fn) throw new ExprError(`Unknown function "${tok.value}"`, tok.index);
+                    next();
+                    const args = [];
+                    if (!(peek().type === "op" && peek().value === ")")) {
+                        args.push(expression(0));
+                        while (peek().type === "op" && peek().value === ",") {
+                            next();
+                            args.push(expression(0));
+                        }
+                    }
+                    expect(")");
+                    const [minArgs, maxArgs, impl, lazy] = fn;
+                    if (args.length < minArgs || args.length > maxArgs) {
+                        const want = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+                        throw new ExprError(`${name}() takes ${want} argument(s), got ${args.length}`, tok.index);
+                    }
+                    if (lazy) return () => impl(...args);
+                    return () => impl(...args.map((a) => a()));
+                }
+                if (VARIABLES.includes(name)) {
+                    names.add(name);
+                    return () => scope[name];
+                }
+                if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+                    const value = CONSTANTS[name];
+                    return () => value;
+                }
+                throw new ExprError(`Unknown name "${tok.value}" (use t, target, replicas, pi or e)`, tok.index);
+            }
+            throw new ExprError(`Unexpected ${describe(tok)}`, tok.index);
+        }
+
+        // Powers bind tighter than unary minus on their left (-2^2 = -4) and are right-associative
+        function power() {
+            const base = primary();
+            const tok = peek();
+            if (tok.type === "op" && (tok.value === "^" || tok.value === "**")) {
+                next();
+                const exponent = unary();
+                return () => Math.pow(base(), exponent());
+            }
+            return base;
+        }
+
+        function unary() {
+            const tok = peek();
+            if (tok.type === "op" && (tok.value === "-" || tok.value === "+" || tok.value === "!")) {
+                next();
+                const operand = unary();
+                if (tok.value === "-") return () => -operand();
+                if (tok.value === "!") return () => (truthy(operand()) ? 0 : 1);
+                return operand;
+            }
+            return power();
+        }
+
+        function expression(minPrec) {
+            let left = unary();
+            for (;;) {
+                const tok = peek();
+                if (tok.type !== "op") break;
+                if (tok.value === "?" && minPrec === 0) {
+                    next();
+                    const cond = left;
+                    const whenTrue = expression(0);
+                    expect(":");
+                    const whenFalse = expression(0);
+                    left = () => (truthy(cond()) ? whenTrue() : whenFalse());
+                    continue;
+                }
+                const op = BINARY[tok.value];
+                if (!op || op[0] <= minPrec) break;
+                next();
+                const lhs = left;
+                const rhs = expression(op[0]);
+                left = () => op[1](lhs, rhs);
+            }
+            return left;
+        }
+
+        const root = expression(0);
+        const end = peek();
+        if (end.type !== "eof") throw new ExprError(`Unexpected ${describe(end)}`, end.index);
+        return { root, names };
+    }
+
+    // Compile an expression once. Returns { evaluate(vars), uses(name) }; throws ExprError with
+    // the character index of the problem when the expression is invalid.
+    function compile(src) {
+        if (!src.trim()) throw new ExprError("Expression is empty", 0);
+        const scope = { t: 0, target: 0, replicas: 0 };
+        const { root, names } = parse(src, scope);
+        return {
+            evaluate(vars) {
+                scope.t = vars.t;
+                scope.target = vars.target;
+                scope.replicas = vars.replicas;
+                return root();
+            },
+            uses: (name) => names.has(name),
+        };
+    }
+
+    return {
+        ExprError,
+        VARIABLES,
+        FUNCTIONS: Object.keys(FUNCTIONS),
+        compile,
+    };
+});
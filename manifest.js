@@ -0,0 +1,697 @@
+// HorizontalPodAutoscaler manifest import and export: a small YAML reader/writer (the subset
+// Kubernetes manifests use), the mapping between autoscaling/v2 HPA objects and simulator
+// params, and validation against the API field constraints. Loaded as window.HPA_MANIFEST in
+// the browser and with require() in Node.
+// Ref: https://kubernetes.io/docs/reference/kubernetes-api/workload-resources/horizontal-pod-autoscaler-v2/
+
+/* global module, require, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+    else root.HPA_MANIFEST = factory(root.HPA_ENGINE);
+})(typeof self !== "undefined" ? self : this, function (engine) {
+    // ---- YAML ----
+
+    function yamlError(line, message) {
+        return new Error(`YAML line ${line}: ${message}`);
+    }
+
+    // Strip a trailing comment that is not inside quotes
+    function stripComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i += 1) {
+            const c = text[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === "\"" || c === "'") {
+                quote = c;
+            } else if (c === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return text.trimEnd();
+    }
+
+    // Index of the ": " (or trailing ":") separating a mapping key from its value, or -1
+    function keySeparator(text) {
+        let quote = null;
+        let depth = 0;
+        for (let i = 0; i < text.length; i += 1) {
+            const c = text[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === "\"" || c === "'") {
+                quote = c;
+            } else if (c === "[" || c === "{") {
+                depth += 1;
+            } else if (c === "]" || c === "}") {
+                depth -= 1;
+            } else if (c === ":" && depth === 0 && (i === text.length - 1 || text[i + 1] === " ")) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function unquote(text, line) {
+        if (text.startsWith("\"")) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw yamlError(line, `invalid double-quoted string ${text}`);
+            }
+        }
+        if (text.startsWith("'")) {
+            if (!text.endsWith("'") || text.length < 2) throw yamlError(line, `unterminated string ${text}`);
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        return text;
+    }
+
+    // Split a flow collection body on top-level commas
+    function splitFlow(body) {
+        const parts = [];
+        let quote = null;
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < body.length; i += 1) {
+            const c = body[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === "\"" || c === "'") {
+                quote = c;
+            } else if (c === "[" || c === "{") {
+                depth += 1;
+            } else if (c === "]" || c === "}") {
+                depth -= 1;
+            } else if (c === "," && depth === 0) {
+                parts.push(body.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(body.slice(start));
+        return parts.map((p) => p.trim()).filter((p) => p !== "");
+    }
+
+    function parseScalar(text, line) {
+        const v = text.trim();
+        if (v.startsWith("[")) {
+            if (!v.endsWith("]")) throw yamlError(line, `unterminated flow sequence ${v}`);
+            return splitFlow(v.slice(1, -1)).map((p) => parseScalar(p, line));
+        }
+        if (v.startsWith("{")) {
+            if (!v.endsWith("}")) throw yamlError(line, `unterminated flow mapping ${v}`);
+            const obj = {};
+            splitFlow(v.slice(1, -1)).forEach((p) => {
+                const sep = keySeparator(p);
+                if (sep < 0) throw yamlError(line, `expected key: value in ${v}`);
+                obj[unquote(p.slice(0, sep).trim(), line)] = parseScalar(p.slice(sep + 1), line);
+            });
+            return obj;
+        }
+        if (v.startsWith("\"") || v.startsWith("'")) return unquote(v, line);
+        if (v === "" || v === "~" || v === "null" || v === "Null" || v === "NULL") return null;
+        if (/^(true|True|TRUE)$/.test(v)) return true;
+        if (/^(false|False|FALSE)$/.test(v)) return false;
+        if (/^[-+]?\d+$/.test(v)) return Number(v);
+        if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(v)) return Number(v);
+        return v;
+    }
+
+    function tokenize(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, i) => {
+            if (/^\s*$/.test(raw) || /^\s*#/.test(raw)) return;
+            if (/\t/.test(raw.match(/^\s*/)[0])) throw yamlError(i + 1, "tabs are not allowed for indentation");
+            const indent = raw.match(/^ */)[0].length;
+            lines.push({ indent, text: raw.slice(indent), raw, line: i + 1 });
+        });
+        return lines;
+    }
+
+    function parseLines(lines) {
+        let pos = 0;
+
+        function isSeqItem(l) {
+            return l.text === "-" || l.text.startsWith("- ");
+        }
+
+        // Literal (|) and folded (>) block scalars: every following line indented deeper
+        function parseBlockScalar(style, parentIndent) {
+            const body = [];
+            while (pos < lines.length && lines[pos].indent > parentIndent) {
+                body.push(lines[pos]);
+                pos += 1;
+            }
+            if (body.length === 0) return "";
+            const base = Math.min(...body.map((l) => l.indent));
+            const text = body.map((l) => l.raw.slice(base));
+            return style.startsWith("|") ? `${text.join("\n")}\n` : `${text.join(" ")}\n`;
+        }
+
+        function parseValue(rest, indent, line) {
+            if (rest === "") {
+                if (pos < lines.length && lines[pos].indent > indent) return parseNode(lines[pos].indent);
+                // Sequences may sit at the same indent as their key
+                if (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos])) return parseSequence(indent);
+                return null;
+            }
+            if (/^[|>][-+]?$/.test(rest)) return parseBlockScalar(rest, indent);
+            if (/^&|^\*|^!/.test(rest)) throw yamlError(line, "anchors, aliases and tags are not supported");
+            return parseScalar(rest, line);
+        }
+
+        function parseMapping(indent) {
+            const obj = {};
+            while (pos < lines.length && lines[pos].indent === indent && !isSeqItem(lines[pos])) {
+                const l = lines[pos];
+                const text = stripComment(l.text);
+                const sep = keySeparator(text);
+                if (sep < 0) throw yamlError(l.line, `expected "key: value", got "${text}"`);
+                const key = unquote(text.slice(0, sep).trim(), l.line);
+                if (Object.prototype.hasOwnProperty.call(obj, key)) throw yamlError(l.line, `duplicate key "${key}"`);
+                pos += 1;
+                obj[key] = parseValue(text.slice(sep + 1).trim(), indent, l.line);
+            }
+            if (pos < lines.length && lines[pos].indent > indent) {
+                throw yamlError(lines[pos].line, "unexpected indentation");
+            }
+            return obj;
+        }
+
+        function parseSequence(indent) {
+            const arr = [];
+            while (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos])) {
+                const l = lines[pos];
+                const content = stripComment(l.text.slice(1)).replace(/^ +/, "");
+                if (content === "") {
+                    pos += 1;
+                    arr.push(pos < lines.length && lines[pos].indent > indent ? parseNode(lines[pos].indent) : null);
+                } else if (keySeparator(content) >= 0 && !/^[[{"']/.test(content) || isSeqItem({ text: content })) {
+                    // "- key: value" opens a mapping (or "- - x" a sequence) whose first entry shares the dash line
+                    const offset = l.text.length - content.length;
+                    lines[pos] = { indent: indent + offset, text: content, raw: l.raw, line: l.line };
+                    arr.push(parseNode(indent + offset));
+                } else {
+                    pos += 1;
+                    arr.push(parseScalar(content, l.line));
+                }
+            }
+            return arr;
+        }
+
+        function parseNode(indent) {
+            const l = lines[pos];
+            if (isSeqItem(l)) return parseSequence(indent);
+            if (keySeparator(stripComment(l.text)) >= 0 && !/^[[{]/.test(l.text)) return parseMapping(indent);
+            pos += 1;
+            return parseScalar(stripComment(l.text), l.line);
+        }
+
+        if (lines.length === 0) return null;
+        const value = parseNode(lines[0].indent);
+        if (pos < lines.length) throw yamlError(lines[pos].line, "unexpected content after document");
+        return value;
+    }
+
+    // Parse a (possibly multi-document) YAML or JSON text into an array of documents
+    function parseYamlDocuments(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            try {
+                const json = JSON.parse(trimmed);
+                return Array.isArray(json) ? json : [json];
+            } catch (e) {
+                // Not JSON after all: fall through to the YAML reader, which handles flow style
+            }
+        }
+        const docs = [];
+        let current = [];
+        let offset = 0;
+        const flush = () => {
+            const body = current.join("\n");
+            // Keep line numbers relative to the whole file
+            const value = parseLines(tokenize("\n".repeat(offset) + body));
+            if (value != null) docs.push(value);
+        };
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (/^---(\s|$)/.test(line) || /^\.\.\.\s*$/.test(line)) {
+                flush();
+                current = [];
+                offset = i + 1;
+                const inline = line.slice(3).trim();
+                if (/^---/.test(line) && inline && !inline.startsWith("#")) current.push(inline);
+            } else {
+                current.push(line);
+            }
+        });
+        flush();
+        return docs;
+    }
+
+    // Kubernetes resource quantities: "500m", "1.5", "2Gi", "100k"
+    const quantitySuffixes = {
+        n: 1e-9, u: 1e-6, m: 1e-3, "": 1, k: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15, E: 1e18,
+        Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50, Ei: 2 ** 60,
+    };
+
+    function parseQuantity(value) {
+        if (typeof value === "number") return value;
+        if (typeof value !== "string") return NaN;
+        const match = value.trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)([a-zA-Z]*)$/);
+        if (!match || !(match[2] in quantitySuffixes)) return NaN;
+        return Number(match[1]) * quantitySuffixes[match[2]];
+    }
+
+    // ---- HPA mapping ----
+
+    const SUPPORTED_API_VERSIONS = ["autoscaling/v2", "autoscaling/v2beta2", "autoscaling/v1"];
+
+    // API validation limits for HPAScalingRules
+    const MAX_PERIOD_SECONDS = 1800;
+    const MAX_STABILIZATION_WINDOW_SECONDS = 3600;
+
+    function isObject(v) {
+        return v !== null && typeof v === "object" && !Array.isArray(v);
+    }
+
+    function checkKeys(obj, allowed, path, errors) {
+        Object.keys(obj).forEach((k) => {
+            if (!allowed.includes(k)) errors.push(`${path}.${k}: unsupported field`);
+        });
+    }
+
+    function readInt(value, path, errors, min, max) {
+        if (!Number.isInteger(value) || value < min) {
+            errors.push(`${path}: must be an integer >= ${min}, got ${JSON.stringify(value)}`);
+            return null;
+        }
+        if (max != null && value > max) {
+            errors.push(`${path}: must be <= ${max}, got ${value}`);
+            return null;
+        }
+        return value;
+    }
+
+    function readQuantity(value, path, errors) {
+        const n = parseQuantity(value);
+        if (!Number.isFinite(n) || n < 0) {
+            errors.push(`${path}: invalid quantity ${JSON.stringify(value)}`);
+            return null;
+        }
+        return n;
+    }
+
+    function mapRules(rules, defaults, path, errors) {
+        if (rules == null) return JSON.parse(JSON.stringify(defaults));
+        if (!isObject(rules)) {
+            errors.push(`${path}: must be a mapping`);
+            return null;
+        }
+        checkKeys(rules, ["stabilizationWindowSeconds", "selectPolicy", "policies", "tolerance"], path, errors);
+        const out = {
+            stabilizationWindowSeconds: defaults.stabilizationWindowSeconds,
+            tolerance: defaults.tolerance,
+            selectPolicy: defaults.selectPolicy,
+            policies: JSON.parse(JSON.stringify(defaults.policies)),
+        };
+        if (rules.stabilizationWindowSeconds != null) {
+            out.stabilizationWindowSeconds = readInt(rules.stabilizationWindowSeconds, `${path}.stabilizationWindowSeconds`, errors, 0, MAX_STABILIZATION_WINDOW_SECONDS);
+        }
+        if (rules.tolerance != null) out.tolerance = readQuantity(rules.tolerance, `${path}.tolerance`, errors);
+        if (rules.selectPolicy != null) {
+            if (!["Max", "Min", "Disabled"].includes(rules.selectPolicy)) {
+                errors.push(`${path}.selectPolicy: must be Max, Min or Disabled, got ${JSON.stringify(rules.selectPolicy)}`);
+            } else {
+                out.selectPolicy = rules.selectPolicy;
+            }
+        }
+        if (rules.policies != null) {
+            if (!Array.isArray(rules.policies)) {
+                errors.push(`${path}.policies: must be a list`);
+            } else {
+                out.policies = rules.policies.map((p, i) => {
+                    const pp = `${path}.policies[${i}]`;
+                    if (!isObject(p)) {
+                        errors.push(`${pp}: must be a mapping`);
+                        return null;
+                    }
+                    checkKeys(p, ["type", "value", "periodSeconds"], pp, errors);
+                    if (!["Pods", "Percent"].includes(p.type)) {
+                        errors.push(`${pp}.type: must be Pods or Percent, got ${JSON.stringify(p.type)}`);
+                    }
+                    return {
+                        type: p.type,
+                        value: readInt(p.value, `${pp}.value`, errors, 1),
+                        periodSeconds: readInt(p.periodSeconds, `${pp}.periodSeconds`, errors, 1, MAX_PERIOD_SECONDS),
+                    };
+                });
+                if (out.policies.length === 0 && out.selectPolicy !== "Disabled") {
+                    errors.push(`${path}.policies: at least one policy is required unless selectPolicy is Disabled`);
+                }
+            }
+        }
+        return out;
+    }
+
+    function mapTarget(target, allowedTypes, path, errors) {
+        if (!isObject(target)) {
+            errors.push(`${path}: required`);
+            return null;
+        }
+        checkKeys(target, ["type", "averageUtilization", "averageValue", "value"], path, errors);
+        if (!allowedTypes.includes(target.type)) {
+            errors.push(`${path}.type: must be one of ${allowedTypes.join(", ")}, got ${JSON.stringify(target.type)}`);
+            return null;
+        }
+        if (target.type === "Utilization") {
+            const v = readInt(target.averageUtilization, `${path}.averageUtilization`, errors, 1);
+            return v == null ? null : { targetType: "Utilization", target: v };
+        }
+        const field = target.type === "AverageValue" ? "averageValue" : "value";
+        const v = readQuantity(target[field], `${path}.${field}`, errors);
+        return v == null ? null : { targetType: target.type, target: v };
+    }
+
+    function mapMetric(spec, path, errors) {
+        if (!isObject(spec)) {
+            errors.push(`${path}: must be a mapping`);
+            return null;
+        }
+        const type = spec.type;
+        checkKeys(spec, ["type", "resource", "containerResource", "pods", "object", "external"], path, errors);
+        if (type === "Resource") {
+            const src = spec.resource || {};
+            checkKeys(src, ["name", "target"], `${path}.resource`, errors);
+            if (!src.name) errors.push(`${path}.resource.name: required`);
+            const target = mapTarget(src.target, ["Utilization", "AverageValue"], `${path}.resource.target`, errors);
+            return target && Object.assign({ type, name: src.name }, target);
+        }
+        if (type === "ContainerResource") {
+            const src = spec.containerResource || {};
+            checkKeys(src, ["name", "container", "target"], `${path}.containerResource`, errors);
+            if (!src.name) errors.push(`${path}.containerResource.name: required`);
+            if (!src.container) errors.push(`${path}.containerResource.container: required`);
+            const target = mapTarget(src.target, ["Utilization", "AverageValue"], `${path}.containerResource.target`, errors);
+            return target && Object.assign({ type, name: src.name, container: src.container }, target);
+        }
+        if (type === "Pods" || type === "External") {
+            const key = type === "Pods" ? "pods" : "external";
+            const src = spec[key] || {};
+            checkKeys(src, ["metric", "target"], `${path}.${key}`, errors);
+            const metric = src.metric || {};
+            checkKeys(metric, ["name", "selector"], `${path}.${key}.metric`, errors);
+            if (!metric.name) errors.push(`${path}.${key}.metric.name: required`);
+            const allowed = type === "Pods" ? ["AverageValue"] : ["Value", "AverageValue"];
+            const target = mapTarget(src.target, allowed, `${path}.${key}.target`, errors);
+            const out = target && Object.assign({ type, name: metric.name }, target);
+            if (out && metric.selector) out.selector = metric.selector;
+            return out;
+        }
+        if (type === "Object") {
+            const src = spec.object || {};
+            checkKeys(src, ["describedObject", "metric", "target"], `${path}.object`, errors);
+            const metric = src.metric || {};
+            checkKeys(metric, ["name", "selector"], `${path}.object.metric`, errors);
+            if (!metric.name) errors.push(`${path}.object.metric.name: required`);
+            if (!isObject(src.describedObject)) errors.push(`${path}.object.describedObject: required`);
+            const target = mapTarget(src.target, ["Value", "AverageValue"], `${path}.object.target`, errors);
+            const out = target && Object.assign({ type, name: metric.name, describedObject: src.describedObject }, target);
+            if (out && metric.selector) out.selector = metric.selector;
+            return out;
+        }
+        errors.push(`${path}.type: must be Resource, ContainerResource, Pods, Object or External, got ${JSON.stringify(type)}`);
+        return null;
+    }
+
+    // Map one HPA object to simulator params. Returns { name, params, errors }; params is only
+    // usable when errors is empty. Fields the manifest cannot express (initial replicas, sync
+    // period, scenarios) are left out for the caller to fill in.
+    function hpaToParams(doc) {
+        const errors = [];
+        if (!SUPPORTED_API_VERSIONS.includes(doc.apiVersion)) {
+            errors.push(`apiVersion: expected one of ${SUPPORTED_API_VERSIONS.join(", ")}, got ${JSON.stringify(doc.apiVersion)}`);
+        }
+        checkKeys(doc, ["apiVersion", "kind", "metadata", "spec", "status"], "", errors);
+        const metadata = isObject(doc.metadata) ? doc.metadata : {};
+        const spec = doc.spec;
+        const name = metadata.name || "(unnamed)";
+        if (!isObject(spec)) {
+            errors.push("spec: required");
+            return { name, params: null, errors };
+        }
+        const v1 = doc.apiVersion === "autoscaling/v1";
+        const specKeys = v1
+            ? ["scaleTargetRef", "minReplicas", "maxReplicas", "targetCPUUtilizationPercentage"]
+            : ["scaleTargetRef", "minReplicas", "maxReplicas", "metrics", "behavior"];
+        checkKeys(spec, specKeys, "spec", errors);
+
+        const minReplicas = spec.minReplicas == null ? 1 : readInt(spec.minReplicas, "spec.minReplicas", errors, 0);
+        const maxReplicas = readInt(spec.maxReplicas, "spec.maxReplicas", errors, 1);
+        if (minReplicas != null && maxReplicas != null && minReplicas > maxReplicas) {
+            errors.push(`spec.minReplicas: ${minReplicas} is greater than spec.maxReplicas ${maxReplicas}`);
+        }
+
+        let metrics;
+        if (v1) {
+            const cpu = spec.targetCPUUtilizationPercentage == null ? 80 : spec.targetCPUUtilizationPercentage;
+            metrics = [{ type: "Resource", name: "cpu", targetType: "Utilization", target: readInt(cpu, "spec.targetCPUUtilizationPercentage", errors, 1) }];
+        } else if (spec.metrics == null || (Array.isArray(spec.metrics) && spec.metrics.length === 0)) {
+            // autoscaling/v2 defaults to 80% average CPU utilization
+            metrics = [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 80 }];
+        } else if (!Array.isArray(spec.metrics)) {
+            errors.push("spec.metrics: must be a list");
+            metrics = [];
+        } else {
+            metrics = spec.metrics.map((m, i) => mapMetric(m, `spec.metrics[${i}]`, errors));
+        }
+
+        const behavior = v1 ? null : spec.behavior;
+        if (behavior != null && !isObject(behavior)) errors.push("spec.behavior: must be a mapping");
+        const b = isObject(behavior) ? behavior : {};
+        if (isObject(behavior)) checkKeys(behavior, ["scaleUp", "scaleDown"], "spec.behavior", errors);
+        // API defaults for an omitted direction or field are the engine's default behavior
+        const up = mapRules(b.scaleUp, engine.DEFAULT_CONFIG.behavior.up, "spec.behavior.scaleUp", errors);
+        const down = mapRules(b.scaleDown, engine.DEFAULT_CONFIG.behavior.down, "spec.behavior.scaleDown", errors);
+
+        if (errors.length) return { name, params: null, errors };
+        return {
+            name,
+            params: {
+                minReplicas,
+                maxReplicas,
+                targetValue: metrics[0].target,
+                metrics,
+                up,
+                down,
+                metadata: { name: metadata.name, namespace: metadata.namespace },
+                scaleTargetRef: spec.scaleTargetRef,
+            },
+            errors,
+        };
+    }
+
+    // The containers of a workload's pod template as [{ name, requests: { cpu, memory } }], requests
+    // in cores and bytes (0 when not set), or null when doc has no pod template
+    function workloadContainers(doc) {
+        const pod = isObject(doc.spec) && isObject(doc.spec.template) && isObject(doc.spec.template.spec) ? doc.spec.template.spec : null;
+        if (!pod || !Array.isArray(pod.containers)) return null;
+        return pod.containers.filter(isObject).map((c) => {
+            const requests = isObject(c.resources) && isObject(c.resources.requests) ? c.resources.requests : {};
+            const quantity = (v) => {
+                const n = parseQuantity(v);
+                return Number.isFinite(n) && n > 0 ? n : 0;
+            };
+            return { name: c.name, requests: { cpu: quantity(requests.cpu), memory: quantity(requests.memory) } };
+        });
+    }
+
+    // Find every HorizontalPodAutoscaler in a YAML/JSON text (multi-document files and
+    // `kind: List` wrappers included) and map each one. When the text also holds the workload an
+    // HPA scales, its containers and their requests come along as params.containers. Throws on
+    // YAML syntax errors.
+    function importHpaManifest(text) {
+        const hpas = [];
+        const workloads = [];
+        const visit = (doc) => {
+            if (!isObject(doc)) return;
+            if (doc.kind === "List" && Array.isArray(doc.items)) doc.items.forEach(visit);
+            else if (doc.kind === "HorizontalPodAutoscaler") hpas.push(hpaToParams(doc));
+            else if (workloadContainers(doc)) workloads.push(doc);
+        };
+        parseYamlDocuments(text).forEach(visit);
+        hpas.forEach((hpa) => {
+            const ref = hpa.params && hpa.params.scaleTargetRef;
+            const target = ref && workloads.find((w) => w.kind === ref.kind && isObject(w.metadata) && w.metadata.name === ref.name);
+            if (target) hpa.params.containers = workloadContainers(target);
+        });
+        return hpas;
+    }
+
+    // ---- Export ----
+
+    // Quantities are written the way kubectl prints them: integers bare, fractions in milli-units
+    function formatQuantity(n) {
+        if (Number.isInteger(n)) return n;
+        const milli = Math.round(n * 1000);
+        if (Math.abs(milli - n * 1000) < 1e-9) return `${milli}m`;
+        return String(n);
+    }
+
+    function rulesToSpec(rules, options) {
+        const out = { stabilizationWindowSeconds: rules.stabilizationWindowSeconds };
+        if (options.tolerance !== false && Number.isFinite(rules.tolerance)) out.tolerance = rules.tolerance;
+        out.policies = rules.policies.map((p) => ({ type: p.type, value: p.value, periodSeconds: p.periodSeconds }));
+        out.selectPolicy = rules.selectPolicy;
+        return out;
+    }
+
+    // spec.behavior for the simulator's { up, down } rules, scaleDown first like the docs.
+    // options.tolerance = false leaves tolerance out, for Kubernetes versions without the field.
+    function behaviorToSpec(behavior, options = {}) {
+        return { scaleDown: rulesToSpec(behavior.down, options), scaleUp: rulesToSpec(behavior.up, options) };
+    }
+
+    function metricToSpec(m) {
+        const target = { type: m.targetType };
+        if (m.targetType === "Utilization") target.averageUtilization = m.target;
+        else if (m.targetType === "AverageValue") target.averageValue = formatQuantity(m.target);
+        else target.value = formatQuantity(m.target);
+        const metric = { name: m.name };
+        if (m.selector) metric.selector = m.selector;
+        if (m.type === "Resource") return { type: m.type, resource: { name: m.name, target } };
+        if (m.type === "ContainerResource") return { type: m.type, containerResource: { name: m.name, container: m.container, target } };
+        if (m.type === "Pods") return { type: m.type, pods: { metric, target } };
+        if (m.type === "Object") return { type: m.type, object: { describedObject: m.describedObject, metric, target } };
+        return { type: m.type, external: { metric, target } };
+    }
+
+    // Build a complete HorizontalPodAutoscaler from
+    // { name, namespace, scaleTargetRef, minReplicas, maxReplicas, metrics, behavior }; options as
+    // for behaviorToSpec, plus options.apiVersion (default autoscaling/v2; clusters before 1.23
+    // only serve autoscaling/v2beta2, which has the same shape)
+    function buildHpaManifest(config, options = {}) {
+        const metadata = { name: config.name };
+        if (config.namespace) metadata.namespace = config.namespace;
+        return {
+            apiVersion: options.apiVersion || "autoscaling/v2",
+            kind: "HorizontalPodAutoscaler",
+            metadata,
+            spec: {
+                scaleTargetRef: config.scaleTargetRef,
+                minReplicas: config.minReplicas,
+                maxReplicas: config.maxReplicas,
+                metrics: config.metrics.map(metricToSpec),
+                behavior: behaviorToSpec(config.behavior, options),
+            },
+        };
+    }
+
+    const DNS_SUBDOMAIN = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+
+    function validateRulesSpec(rules, path, errors) {
+        const win = rules.stabilizationWindowSeconds;
+        if (!Number.isInteger(win) || win < 0 || win > MAX_STABILIZATION_WINDOW_SECONDS) {
+            errors.push(`${path}.stabilizationWindowSeconds: must be an integer between 0 and ${MAX_STABILIZATION_WINDOW_SECONDS}, got ${win}`);
+        }
+        if (rules.tolerance != null && !(rules.tolerance >= 0)) errors.push(`${path}.tolerance: must not be negative`);
+        if (rules.policies.length === 0 && rules.selectPolicy !== "Disabled") {
+            errors.push(`${path}.policies: at least one policy is required unless selectPolicy is Disabled`);
+        }
+        rules.policies.forEach((p, i) => {
+            const pp = `${path}.policies[${i}]`;
+            if (!Number.isInteger(p.value) || p.value <= 0) errors.push(`${pp}.value: must be a positive integer, got ${p.value}`);
+            if (!Number.isInteger(p.periodSeconds) || p.periodSeconds <= 0 || p.periodSeconds > MAX_PERIOD_SECONDS) {
+                errors.push(`${pp}.periodSeconds: must be an integer between 1 and ${MAX_PERIOD_SECONDS}, got ${p.periodSeconds}`);
+            }
+        });
+    }
+
+    // Validate a manifest built by buildHpaManifest against the API field constraints.
+    // Returns a list of "path: message" strings.
+    function validateHpaManifest(hpa) {
+        const errors = [];
+        const { metadata, spec } = hpa;
+        if (!metadata.name || metadata.name.length > 253 || !DNS_SUBDOMAIN.test(metadata.name)) {
+            errors.push(`metadata.name: must be a lowercase DNS subdomain, got ${JSON.stringify(metadata.name || "")}`);
+        }
+        if (metadata.namespace && !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(metadata.namespace)) {
+            errors.push(`metadata.namespace: must be a lowercase DNS label, got ${JSON.stringify(metadata.namespace)}`);
+        }
+        if (!spec.scaleTargetRef.kind) errors.push("spec.scaleTargetRef.kind: required");
+        if (!spec.scaleTargetRef.name) errors.push("spec.scaleTargetRef.name: required");
+        if (!Number.isInteger(spec.minReplicas) || spec.minReplicas < 0) errors.push(`spec.minReplicas: must be a non-negative integer, got ${spec.minReplicas}`);
+        if (!Number.isInteger(spec.maxReplicas) || spec.maxReplicas < 1) errors.push(`spec.maxReplicas: must be a positive integer, got ${spec.maxReplicas}`);
+        if (spec.minReplicas > spec.maxReplicas) errors.push(`spec.maxReplicas: must be >= minReplicas (${spec.minReplicas})`);
+        if (spec.minReplicas === 0 && !spec.metrics.some((m) => m.type === "Object" || m.type === "External")) {
+            errors.push("spec.minReplicas: 0 needs at least one Object or External metric");
+        }
+        spec.metrics.forEach((m, i) => {
+            const path = `spec.metrics[${i}]`;
+            const src = m[m.type.charAt(0).toLowerCase() + m.type.slice(1)];
+            const name = m.type === "Resource" || m.type === "ContainerResource" ? src.name : src.metric.name;
+            if (!name) errors.push(`${path}: metric name is required`);
+            if (m.type === "ContainerResource" && !src.container) errors.push(`${path}.containerResource.container: required`);
+            if (m.type === "Object" && !src.describedObject) {
+                errors.push(`${path}.object.describedObject: required (import a manifest that defines it)`);
+            }
+            const t = src.target;
+            const v = t.type === "Utilization" ? t.averageUtilization : parseQuantity(t.type === "AverageValue" ? t.averageValue : t.value);
+            if (t.type === "Utilization" ? !(Number.isInteger(v) && v > 0) : !(v > 0)) {
+                errors.push(`${path}: target must be positive, got ${v}`);
+            }
+        });
+        validateRulesSpec(spec.behavior.scaleUp, "spec.behavior.scaleUp", errors);
+        validateRulesSpec(spec.behavior.scaleDown, "spec.behavior.scaleDown", errors);
+        return errors;
+    }
+
+    function yamlScalar(v) {
+        if (v === null || v === undefined) return "null";
+        if (typeof v === "number" || typeof v === "boolean") return String(v);
+        const s = String(v);
+        const ambiguous = s === "" || /^(true|false|null|~|yes|no|on|off)$/i.test(s) || !Number.isNaN(Number(s));
+        return !ambiguous && /^[A-Za-z0-9_./][A-Za-z0-9_./ -]*$/.test(s) && !s.endsWith(" ") ? s : JSON.stringify(s);
+    }
+
+    // Serialize plain objects/arrays as block YAML; sequences are indented under their key
+    function toYaml(value, indent = 0) {
+        const pad = " ".repeat(indent);
+        const lines = [];
+        const isEmpty = (v) => (Array.isArray(v) ? v.length === 0 : isObject(v) && Object.keys(v).length === 0);
+        const inline = (v) => (Array.isArray(v) ? "[]" : isObject(v) ? "{}" : yamlScalar(v));
+        if (Array.isArray(value)) {
+            value.forEach((item) => {
+                if (isObject(item) && !isEmpty(item)) {
+                    const body = toYaml(item, indent + 2).split("\n");
+                    lines.push(`${pad}- ${body[0].trimStart()}`, ...body.slice(1));
+                } else if (Array.isArray(item) && !isEmpty(item)) {
+                    lines.push(`${pad}-`, toYaml(item, indent + 2));
+                } else {
+                    lines.push(`${pad}- ${inline(item)}`);
+                }
+            });
+        } else {
+            Object.keys(value).forEach((key) => {
+                const v = value[key];
+                if (v === undefined) return;
+                if ((Array.isArray(v) || isObject(v)) && !isEmpty(v)) {
+                    lines.push(`${pad}${yamlScalar(key)}:`, toYaml(v, indent + 2));
+                } else {
+                    lines.push(`${pad}${yamlScalar(key)}: ${inline(v)}`);
+                }
+            });
+        }
+        return lines.join("\n");
+    }
+
+    return {
+        parseYamlDocuments,
+        parseQuantity,
+        importHpaManifest,
+        behaviorToSpec,
+        buildHpaManifest,
+        validateHpaManifest,
+        toYaml,
+    };
+});
@@ -1,8 +1,9 @@
 /*
  HPA Configurable Scaling Behavior simulator
  Implements: scaling policies (Pods / Percent), selectPolicy (Max/Min/Disabled),
- stabilization window per direction, tolerance per direction (alpha in v1.33),
- and sync period aggregation across time.
+ stabilization windows, tolerance per direction (HPAConfigurableTolerance, alpha in v1.33),
+ and sync period aggregation across time, following a chosen Kubernetes release.
+ The controller math lives in engine.js; this file drives it from the page.
 
  Reference: https://kubernetes.io/docs/tasks/run-application/horizontal-pod-autoscale/#configurable-scaling-behavior
 */
@@ -13,147 +14,100 @@
     const $ = (sel) => document.querySelector(sel);
     const $$ = (sel) => Array.from(document.querySelectorAll(sel));
 
+    const engine = window.HPA_ENGINE;
+
+    // Simulation config (read live by the engine) plus UI-only playback state
     const state = {
         running: false,
-        t: 0, // seconds
         timeStep: 1, // seconds per frame
         speed: 1,
         syncPeriod: 15, // seconds
-        elapsedSinceSync: 0,
         minReplicas: 1,
         maxReplicas: 50,
-        replicas: 3,
-        target: 100, // target metric value
-        metricScenario: "rise-and-fall",
-        customFormula: "",
-        desiredHistory: [], // for stabilization: array of {t, desired}
-        data: [], // timeline for charts [{t, metric, replicas, desired, stabilized}]
+        initialReplicas: 3,
+        // spec.metrics: the first entry is edited in the Metrics group, the rest in Additional Metrics
+        metrics: [
+            { type: "Resource", name: "cpu", targetType: "Utilization", target: 100, scenario: "rise-and-fall", customFormula: "" },
+        ],
+        loadModel: "per-pod", // "per-pod" (open loop) or "demand" (closed loop)
+        demandScale: 3, // pods: scenario value x demandScale = total demand
+        podStartupSeconds: 0, // creation -> Ready
+        podShutdownSeconds: 0, // deletion -> gone (terminating pods serve no traffic)
+        cpuInitializationPeriod: 300, // --horizontal-pod-autoscaler-cpu-initialization-period
+        metricWindowSeconds: 30, // metrics-server sample window
+        // metrics pipeline between the true load and what the HPA reads (see engine.DEFAULT_CONFIG);
+        // edited in Metrics Pipeline, where each input has the field's name as its id
+        scrapeInterval: 0,
+        scrapeWindow: 0,
+        metricLatency: 0,
+        metricDropRate: 0,
+        podMetricDropRate: 0,
+        metricStaleAfter: 0,
+        metricOutageStart: 0,
+        metricOutageSeconds: 0,
+        // node pool the pods are scheduled onto (see engine.DEFAULT_CONFIG); maxNodes 0: no pool.
+        // Edited in Node Pool, where each input has the field's name as its id
+        maxNodes: 0,
+        minNodes: 1,
+        podsPerNode: 110,
+        nodeCpu: 4,
+        nodeMemoryGiB: 16,
+        nodeProvisionSeconds: 90,
+        nodeScaleDownSeconds: 600,
+        // scale to zero (see engine.scaleToZeroMode), edited in Scale to Zero
+        hpaScaleToZero: false,
+        kedaActivation: false,
+        kedaPollingInterval: 30,
+        kedaCooldownPeriod: 300,
+        kubernetesVersion: engine.DEFAULT_CONFIG.kubernetesVersion, // see engine.kubernetesVersions
+        controllerTolerance: 0.1, // --horizontal-pod-autoscaler-tolerance, unless per-direction tolerance is on
+        hpaConfigurableTolerance: false, // see engine.configurableTolerance
+        // recorded trace for the "trace" scenario: parsed file plus { name, column, start, end, scale, interpolation }
+        seed: 1, // seeds the noisy scenario and random scenario layers; comparison runs use it too
+        // the pod's containers (engine.containerUsage); while there are any, Resource and
+        // ContainerResource metrics are computed from them
+        containers: [],
+        // stack for the "layers" scenario, edited in Scenario Layers
+        scenarioLayers: ["ramp", "flash-sale", "spikes", "noise"].map((type) => engine.createScenarioLayer(type)),
+        trace: null,
+        variants: [], // saved configs for side-by-side comparison: [{name, config}]
+        comparison: null, // last comparison: {duration, runs: [{timeline, summary}]}, one run per variant
+        // metadata and scaleTargetRef for the exported manifest
+        manifestMeta: { name: "my-app", namespace: "default", targetApiVersion: "apps/v1", targetKind: "Deployment", targetName: "my-app" },
+        // settings of the Cost & SLO panel, passed to engine.summarize()
+        analytics: { pricePerPodHour: 0.05, saturation: 1.5, flapWindowSeconds: 300 },
+        data: [], // timeline for charts [{t, demand, metric, metrics, observed, replicas, ready, starting, terminating, pending, nodes, capacity, desired, stabilized}]
         logs: [],
-        behavior: {
-            up: {
-                stabilizationWindowSeconds: 0,
-                tolerance: 0.1,
-                selectPolicy: "Max",
-                policies: [
-                    { type: "Percent", value: 100, periodSeconds: 15 },
-                    { type: "Pods", value: 4, periodSeconds: 15 },
-                ],
-            },
-            down: {
-                stabilizationWindowSeconds: 300,
-                tolerance: 0.1,
-                selectPolicy: "Max",
-                policies: [
-                    { type: "Percent", value: 100, periodSeconds: 15 },
-                ],
-            },
-        },
+        behavior: JSON.parse(JSON.stringify(engine.DEFAULT_CONFIG.behavior)),
     };
 
-    // Metric scenarios
-    const metricScenarios = [
-        { id: "rise-and-fall", name: "Gradual rise then fall" },
-        { id: "noisy", name: "Noisy around target" },
-        { id: "burst", name: "Sudden burst" },
-        { id: "sine", name: "Sine wave" },
-        { id: "custom", name: "Custom f(t)" },
-    ];
-
-    function computeMetric(t) {
-        const base = state.target;
-        switch (state.metricScenario) {
-            case "rise-and-fall": {
-                if (t < 60) return base + (t / 60) * 100; // up to +100 over 1m
-                if (t < 120) return base + 100 - ((t - 60) / 60) * 120; // down 120 in next minute
-                return base + 20 * Math.sin((t - 120) / 20);
-            }
-            case "noisy": {
-                const noise = (Math.random() - 0.5) * 30; // +/-15
-                return base + noise;
-            }
-            case "burst": {
-                if (t < 30) return base;
-                if (t < 60) return base + 150; // burst
-                if (t < 120) return base + 50; // elevated
-                return base + 10 * Math.sin(t / 10);
-            }
-            case "sine": {
-                return base + 80 * Math.sin(t / 20);
-            }
-            case "custom": {
-                if (!state.customFormula) return base;
-                try {
-                    // eslint-disable-next-line no-new-func
-                    const fn = new Function("t", `return ${state.customFormula};`);
-                    const v = fn(t);
-                    if (Number.isFinite(v)) return v;
-                    return base;
-                } catch (e) {
-                    return base;
-                }
-            }
-            default:
-                return base;
-        }
-    }
-
-    function clamp(val, min, max) {
-        return Math.max(min, Math.min(max, val));
-    }
+    // Running simulation (see engine.js), recreated by clearSim()
+    let sim = null;
 
-    // Calculate desired replicas based on classic metric ratio rule: desired = currentReplicas * (metric / target)
-    function computeDesiredReplicas(currentReplicas, metric, target) {
-        if (target <= 0) return currentReplicas;
-        const ratio = metric / target;
-        const desired = Math.ceil(currentReplicas * ratio);
-        return Math.max(0, desired);
-    }
+    // Timeline computed by "Run to T" while it is on show: charts and log stop at the playhead,
+    // state.data[replay.index], and Start replays from there instead of running the engine
+    let replay = null;
 
-    function withinTolerance(direction, metric, target) {
-        const tol = direction === "up" ? state.behavior.up.tolerance : state.behavior.down.tolerance;
-        if (tol == null) return false; // default cluster tolerance assumed 10% if unspecified; we explicitly set
-        const ratio = metric / target;
-        if (direction === "up") {
-            return ratio <= 1 + tol; // not beyond tolerance threshold
-        }
-        // down: only scale down if ratio < 1 - tol
-        return ratio >= 1 - tol;
-    }
+    const metricScenarios = engine.metricScenarios;
 
-    // Stabilization: pick a historic desired within window (Max for down, Min for up as per docs)
-    function applyStabilization(direction, desired) {
-        const win = direction === "up" ? state.behavior.up.stabilizationWindowSeconds : state.behavior.down.stabilizationWindowSeconds;
-        if (!win || win <= 0) return desired;
-        const fromT = state.t - win;
-        const desires = state.desiredHistory.filter((d) => d.t >= fromT).map((d) => d.desired);
-        if (desires.length === 0) return desired;
-        if (direction === "down") {
-            // use highest desired (rolling max)
-            return Math.max(desired, ...desires);
-        }
-        // up: use lowest desired (rolling min)
-        return Math.min(desired, ...desires);
-    }
+    // Load models: in "per-pod" mode the scenario is the per-pod metric itself and
+    // ignores replicas; in "demand" mode it describes total demand, which is
+    // spread across the serving replicas so that scaling out lowers the metric.
+    const loadModels = [
+        { id: "per-pod", name: "Per-pod metric (open loop)" },
+        { id: "demand", name: "Total demand (closed loop)" },
+    ];
 
-    // Given direction and current replicas, compute how many replicas can be changed under policies in one sync period
-    function computeAllowedChange(direction, currentReplicas) {
-        const cfg = direction === "up" ? state.behavior.up : state.behavior.down;
-        if (cfg.selectPolicy === "Disabled") return 0;
-        if (!cfg.policies || cfg.policies.length === 0) return Infinity;
+    const metricColors = ["#38bdf8", "#fb923c", "#facc15", "#c084fc", "#4ade80", "#f87171"];
+    const compareColors = ["#fb923c", "#facc15", "#4ade80", "#e879f9", "#60a5fa", "#f43f5e"];
+    const OBSERVED_COLOR = "#cbd5e1"; // metric as the HPA read it, through the metrics pipeline
+    // Node pool lines of the replica chart
+    const SCHEDULED_COLOR = "#60a5fa";
+    const PENDING_COLOR = "#e879f9";
+    const CAPACITY_COLOR = "#94a3b8";
 
-        const allowances = cfg.policies.map((p) => {
-            const periods = Math.max(1, Math.floor(state.syncPeriod / Math.max(1, p.periodSeconds)));
-            if (p.type === "Pods") {
-                return p.value * periods;
-            }
-            // Percent
-            const delta = Math.ceil((currentReplicas * p.value) / 100);
-            return Math.max(delta, 1) * periods;
-        });
-
-        if (cfg.selectPolicy === "Max") return Math.max(...allowances);
-        if (cfg.selectPolicy === "Min") return Math.min(...allowances);
-        return Math.max(...allowances);
+    function clamp(val, min, max) {
+        return Math.max(min, Math.min(max, val));
     }
 
     function addPolicyUI(container, direction, type) {
@@ -198,20 +152,24 @@
     }
 
     function inflatePoliciesUI() {
+        // addPolicyUI re-syncs state from the (partially built) UI, so work from copies
+        const upPolicies = state.behavior.up.policies.slice();
+        const downPolicies = state.behavior.down.policies.slice();
         clearPoliciesUI();
-        state.behavior.up.policies.forEach((p) => addPolicyUI("#upPolicies", "up", p.type));
+        upPolicies.forEach((p) => addPolicyUI("#upPolicies", "up", p.type));
         // After adding, set the values
         $$("#upPolicies .policy-item").forEach((el, i) => {
-            el.querySelector(".p-type").value = state.behavior.up.policies[i].type;
-            el.querySelector(".p-value").value = state.behavior.up.policies[i].value;
-            el.querySelector(".p-period").value = state.behavior.up.policies[i].periodSeconds;
+            el.querySelector(".p-type").value = upPolicies[i].type;
+            el.querySelector(".p-value").value = upPolicies[i].value;
+            el.querySelector(".p-period").value = upPolicies[i].periodSeconds;
         });
-        state.behavior.down.policies.forEach((p) => addPolicyUI("#downPolicies", "down", p.type));
+        downPolicies.forEach((p) => addPolicyUI("#downPolicies", "down", p.type));
         $$("#downPolicies .policy-item").forEach((el, i) => {
-            el.querySelector(".p-type").value = state.behavior.down.policies[i].type;
-            el.querySelector(".p-value").value = state.behavior.down.policies[i].value;
-            el.querySelector(".p-period").value = state.behavior.down.policies[i].periodSeconds;
+            el.querySelector(".p-type").value = downPolicies[i].type;
+            el.querySelector(".p-value").value = downPolicies[i].value;
+            el.querySelector(".p-period").value = downPolicies[i].periodSeconds;
         });
+        syncPoliciesFromUI();
     }
 
     function syncPoliciesFromUI() {
@@ -235,98 +193,912 @@
         state.behavior.down.policies = down;
     }
 
+    function fillTargetTypes(select, type) {
+        const current = select.value;
+        select.innerHTML = engine.metricTargetTypes[type].map((t) => `<option value="${t}">${t}</option>`).join("");
+        if (engine.metricTargetTypes[type].includes(current)) select.value = current;
+    }
+
+    // Object and External metrics are the ones that can activate a workload at zero replicas
+    const activates = (type) => type === "Object" || type === "External";
+
+    function addMetricUI(m) {
+        const item = document.createElement("div");
+        item.className = "metric-item";
+        item.innerHTML = `
+      <select class="m-type">${Object.keys(engine.metricTargetTypes).map((t) => `<option value="${t}">${t}</option>`).join("")}</select>
+      <input type="text" class="m-name" placeholder="name" />
+      <input type="text" class="m-container" placeholder="container" />
+      <select class="m-target-type"></select>
+      <input type="number" class="m-target" min="0" />
+      <input type="number" class="m-activation" min="0" placeholder="activation" title="Activation threshold" />
+      <select class="m-scenario">${metricScenarios.map((s) => `<option value="${s.id}">${s.name}</option>`).join("")}</select>
+      <input type="text" class="m-formula" placeholder="custom f(t)" />
+      <button class="btn small remove">Remove</button>
+    `;
+        $("#extraMetrics").appendChild(item);
+        item.querySelector(".m-type").value = m.type;
+        fillTargetTypes(item.querySelector(".m-target-type"), m.type);
+        item.querySelector(".m-target-type").value = m.targetType;
+        item.querySelector(".m-name").value = m.name;
+        item.querySelector(".m-container").value = m.container || "";
+        item.querySelector(".m-container").disabled = m.type !== "ContainerResource";
+        item.querySelector(".m-target").value = m.target;
+        item.querySelector(".m-activation").value = m.activationThreshold || 0;
+        item.querySelector(".m-activation").disabled = !activates(m.type);
+        item.querySelector(".m-scenario").value = m.scenario;
+        item.querySelector(".m-formula").value = m.customFormula || "";
+
+        item.querySelector(".remove").addEventListener("click", () => {
+            item.remove();
+            syncMetricsFromUI();
+            clearSim();
+        });
+        item.querySelector(".m-type").addEventListener("change", () => {
+            fillTargetTypes(item.querySelector(".m-target-type"), item.querySelector(".m-type").value);
+            item.querySelector(".m-container").disabled = item.querySelector(".m-type").value !== "ContainerResource";
+            item.querySelector(".m-activation").disabled = !activates(item.querySelector(".m-type").value);
+        });
+        item.querySelector(".m-formula").addEventListener("change", () => {
+            item.querySelector(".m-scenario").value = "custom";
+        });
+        item.querySelector(".m-formula").addEventListener("input", () => markFormula(item.querySelector(".m-formula")));
+        markFormula(item.querySelector(".m-formula"));
+        [".m-type", ".m-name", ".m-container", ".m-target-type", ".m-target", ".m-activation", ".m-scenario", ".m-formula"].forEach((sel) => {
+            item.querySelector(sel).addEventListener("change", () => {
+                syncMetricsFromUI();
+                clearSim();
+            });
+        });
+        syncMetricsFromUI();
+    }
+
+    // "Column 7: Expected ")"" for an invalid expression, null for a valid or empty one
+    function formulaError(src) {
+        if (!src.trim()) return null;
+        try {
+            window.HPA_EXPR.compile(src);
+            return null;
+        } catch (e) {
+            if (!(e instanceof window.HPA_EXPR.ExprError)) throw e;
+            return `Column ${e.index + 1}: ${e.message}`;
+        }
+    }
+
+    function markFormula(input) {
+        const error = formulaError(input.value);
+        input.classList.toggle("invalid", !!error);
+        input.title = error || "";
+    }
+
+    // Inline syntax errors and a preview of the first metric's expression over the first
+    // 10 minutes, with the current target and initial replicas
+    function updateFormulaPreview() {
+        const input = $("#customFormula");
+        const status = $("#formulaStatus");
+        const svg = $("#formulaPreview");
+        const src = input.value;
+        const custom = $("#metricScenario").value === "custom";
+        markFormula(input);
+        svg.hidden = true;
+        if (!custom && !src.trim()) {
+            status.textContent = "";
+            return;
+        }
+        if (!src.trim()) {
+            status.textContent = "Use t, target, replicas, sin(), if(), piecewise() ...";
+            return;
+        }
+        const error = formulaError(src);
+        if (error) {
+            status.innerHTML = `<span class="error">${escapeHtml(error)}</span>`;
+            return;
+        }
+        const fn = window.HPA_EXPR.compile(src);
+        const target = Number($("#targetValue").value || 1);
+        const replicas = Number($("#initialReplicas").value || 1);
+        const seconds = 600;
+        const points = [];
+        let badAt = null;
+        for (let i = 0; i <= 150; i += 1) {
+            const t = (i / 150) * seconds;
+            const v = fn.evaluate({ t, target, replicas });
+            if (Number.isFinite(v)) points.push([t, v]);
+            else if (badAt == null) badAt = t;
+        }
+        status.innerHTML = badAt == null
+            ? `Preview 0-${seconds}s`
+            : `<span class="error">Not a finite number at t=${badAt.toFixed(0)}s; the target is used there</span>`;
+        if (points.length === 0) return;
+        const vals = points.map((p) => p[1]).concat([target]);
+        const vMin = Math.min(...vals);
+        const vMax = Math.max(...vals);
+        const sx = (t) => (t / seconds) * 296 + 2;
+        const sy = (v) => 56 - ((v - vMin) / (vMax - vMin || 1)) * 52;
+        svg.innerHTML = `
+      <line x1="2" x2="298" y1="${sy(target)}" y2="${sy(target)}" stroke="#34d399" stroke-width="1" stroke-dasharray="4 3" />
+      <path d="${pathFrom(points.map((p) => [sx(p[0]), sy(p[1])]))}" stroke="#38bdf8" stroke-width="1.5" fill="none" />
+    `;
+        svg.hidden = false;
+    }
+
+    // Load a full metric list: the first metric goes into the Metrics group, the rest into the list
+    function inflateMetricsUI(metrics) {
+        const [first, ...rest] = metrics;
+        $("#metricType").value = first.type;
+        fillTargetTypes($("#metricTargetType"), first.type);
+        $("#metricTargetType").value = first.targetType;
+        $("#metricName").value = first.name;
+        $("#metricContainer").value = first.container || "";
+        $("#metricActivation").value = first.activationThreshold || 0;
+        $("#targetValue").value = first.target;
+        $("#metricScenario").value = first.scenario || "rise-and-fall";
+        $("#customFormula").value = first.customFormula || "";
+        $("#extraMetrics").innerHTML = "";
+        rest.forEach((m) => addMetricUI(Object.assign({ scenario: "sine", customFormula: "" }, m)));
+        syncMetricsFromUI();
+        state.metrics.forEach((m, i) => copyMetricExtras(metrics[i], m));
+    }
+
+    // Selectors and described objects have no editor; keep them while the metric stays the same
+    function copyMetricExtras(from, to) {
+        if (!from || from.type !== to.type || from.name !== to.name) return;
+        if (from.selector) to.selector = from.selector;
+        if (from.describedObject) to.describedObject = from.describedObject;
+    }
+
+    function syncMetricsFromUI() {
+        const metrics = [{
+            type: $("#metricType").value,
+            name: $("#metricName").value || "metric",
+            targetType: $("#metricTargetType").value,
+            target: Number($("#targetValue").value || 1),
+            scenario: $("#metricScenario").value,
+            customFormula: $("#customFormula").value,
+        }];
+        if (metrics[0].type === "ContainerResource") metrics[0].container = $("#metricContainer").value.trim();
+        $("#metricContainer").closest("label").hidden = metrics[0].type !== "ContainerResource";
+        if (activates(metrics[0].type)) metrics[0].activationThreshold = Number($("#metricActivation").value || 0);
+        $("#metricActivation").closest("label").hidden = !activates(metrics[0].type);
+        $$("#extraMetrics .metric-item").forEach((el) => {
+            const m = {
+                type: el.querySelector(".m-type").value,
+                name: el.querySelector(".m-name").value || `metric${metrics.length + 1}`,
+                targetType: el.querySelector(".m-target-type").value,
+                target: Number(el.querySelector(".m-target").value || 1),
+                scenario: el.querySelector(".m-scenario").value,
+                customFormula: el.querySelector(".m-formula").value,
+            };
+            if (m.type === "ContainerResource") m.container = el.querySelector(".m-container").value.trim();
+            if (activates(m.type)) m.activationThreshold = Number(el.querySelector(".m-activation").value || 0);
+            metrics.push(m);
+        });
+        metrics.forEach((m, i) => copyMetricExtras(state.metrics[i], m));
+        state.metrics = metrics;
+    }
+
+    // Export options for the selected Kubernetes version: its HPA API, and tolerance only while the
+    // controller reads it
+    function exportOptions() {
+        return { tolerance: engine.configurableTolerance(state), apiVersion: engine.versionProfile(state.kubernetesVersion).apiVersion };
+    }
+
+    // YAML comments on what the selected version does with the fields the editor shows
+    function versionComments() {
+        const profile = engine.versionProfile(state.kubernetesVersion);
+        let text = engine.configurableTolerance(state)
+            ? `# Kubernetes ${profile.name}: tolerance needs the HPAConfigurableTolerance feature gate (alpha in 1.33)\n`
+            : `# Kubernetes ${profile.name}: ${profile.tolerance === "global" ? "no per-direction tolerance" : "HPAConfigurableTolerance off"}, so tolerance is left out; the controller's\n`
+                + `# --horizontal-pod-autoscaler-tolerance (${state.controllerTolerance}) applies to both directions\n`;
+        if (profile.stabilization === "direction") {
+            text += `# Kubernetes ${profile.name}: only the stabilization window of the direction the recommendation moves in applies\n`;
+        }
+        if (profile.containerResource === "alpha" && state.metrics.some((m) => m.type === "ContainerResource")) {
+            text += `# Kubernetes ${profile.name}: ContainerResource metrics need the HPAContainerMetrics feature gate (alpha)\n`;
+        }
+        const zero = engine.scaleToZeroMode(state);
+        if (zero === "hpa") text += "# minReplicas 0 needs the HPAScaleToZero feature gate (alpha)\n";
+        if (zero === "keda") {
+            text += `# KEDA-style activation: a ScaledObject with minReplicaCount 0, pollingInterval ${state.kedaPollingInterval} and\n`
+                + `# cooldownPeriod ${state.kedaCooldownPeriod} runs this HPA with minReplicas 1 and scales to and from 0 itself\n`;
+        }
+        return text;
+    }
+
     function toBehaviorYaml() {
-        const indent = (n) => " ".repeat(n);
-        const polToYaml = (pol, n) =>
-            `${indent(n)}- type: ${pol.type}\n${indent(n + 2)}value: ${pol.value}\n${indent(n + 2)}periodSeconds: ${pol.periodSeconds}`;
-        const upPols = state.behavior.up.policies.map((p) => polToYaml(p, 6)).join("\n");
-        const downPols = state.behavior.down.policies.map((p) => polToYaml(p, 6)).join("\n");
-        const tolDown = Number.isFinite(state.behavior.down.tolerance) ? `\n    tolerance: ${state.behavior.down.tolerance}` : "";
-        const tolUp = Number.isFinite(state.behavior.up.tolerance) ? `\n    tolerance: ${state.behavior.up.tolerance}` : "";
-        return `behavior:\n  scaleDown:\n    stabilizationWindowSeconds: ${state.behavior.down.stabilizationWindowSeconds}${tolDown}\n    ${state.behavior.down.policies.length ? "policies:\n" + downPols : "policies: []"}\n    selectPolicy: ${state.behavior.down.selectPolicy}\n  scaleUp:\n    stabilizationWindowSeconds: ${state.behavior.up.stabilizationWindowSeconds}${tolUp}\n    ${state.behavior.up.policies.length ? "policies:\n" + upPols : "policies: []"}\n    selectPolicy: ${state.behavior.up.selectPolicy}`;
+        return versionComments() + window.HPA_MANIFEST.toYaml({ behavior: window.HPA_MANIFEST.behaviorToSpec(state.behavior, exportOptions()) });
+    }
+
+    function currentManifest() {
+        const meta = state.manifestMeta;
+        return window.HPA_MANIFEST.buildHpaManifest({
+            name: meta.name,
+            namespace: meta.namespace,
+            scaleTargetRef: { apiVersion: meta.targetApiVersion, kind: meta.targetKind, name: meta.targetName },
+            minReplicas: state.minReplicas,
+            maxReplicas: state.maxReplicas,
+            metrics: state.metrics,
+            behavior: state.behavior,
+        }, exportOptions());
     }
 
+    // Render the generated HPA in the selected format and list any API validation errors
     function updateYamlPreview() {
-        $("#yamlPreview").value = toBehaviorYaml();
+        const format = $("#yamlFormat").value;
+        const manifest = currentManifest();
+        let errors = window.HPA_MANIFEST.validateHpaManifest(manifest);
+        if (format === "behavior") {
+            $("#yamlPreview").value = toBehaviorYaml();
+            errors = errors.filter((e) => e.startsWith("spec.behavior"));
+        } else if (format === "json") {
+            $("#yamlPreview").value = JSON.stringify(manifest, null, 2);
+        } else {
+            $("#yamlPreview").value = versionComments() + window.HPA_MANIFEST.toYaml(manifest);
+        }
+        $("#yamlErrors").innerHTML = errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("");
     }
 
     // Rendering charts using lightweight SVG building
+
+    // Plot area inside the 1000x280 chart viewBox; the margins hold the axis labels
+    const CHART_W = 1000;
+    const CHART_H = 280;
+    const PLOT = { left: 56, right: 984, top: 24, bottom: 246 };
+    const directionColors = { up: "#34d399", down: "#f87171", gated: "#fbbf24", hold: "rgba(148,163,184,0.45)" };
+
+    // Shared time range of both charts and the pointer state. start/end stay null while the charts
+    // follow the whole run; a brush sets them. While following, the y ranges only grow (until the
+    // simulation is reset) so the axes do not jump every frame.
+    const chartView = { start: null, end: null, t0: 0, t1: 1, yMetric: null, yReplica: null, hoverT: null, drag: null, selected: -1 };
+
+    const chartX = (t) => PLOT.left + ((t - chartView.t0) / (chartView.t1 - chartView.t0 || 1)) * (PLOT.right - PLOT.left);
+    const chartT = (x) => chartView.t0 + ((x - PLOT.left) / (PLOT.right - PLOT.left)) * (chartView.t1 - chartView.t0);
+
+    // Round a value range out to a tick step of 1, 2 or 5 times a power of ten
+    function niceRange(min, max, count, minStep) {
+        if (max - min < 1e-9) max = min + (minStep || 1);
+        const raw = (max - min) / count;
+        const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+        const f = raw / mag;
+        const step = Math.max((f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * mag, minStep || 0);
+        return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+    }
+
+    const TIME_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 14400, 21600, 43200, 86400];
+
+    function formatTime(t) {
+        const s = Math.round(t);
+        const h = Math.floor(s / 3600);
+        const m = Math.floor((s % 3600) / 60);
+        const sec = s % 60;
+        if (h) return `${h}h${m ? ` ${m}m` : ""}`;
+        if (m) return `${m}m${sec ? ` ${sec}s` : ""}`;
+        return `${sec}s`;
+    }
+
+    function formatValue(v) {
+        return Math.abs(v) >= 1000 || Number.isInteger(v) ? v.toFixed(0) : v.toFixed(Math.abs(v) < 10 ? 2 : 1);
+    }
+
+    // A metric value the HPA read, which is NaN when it had no data
+    const readingText = (v) => (Number.isFinite(v) ? formatValue(v) : "no data");
+
+    // Background, grid, tick labels and axis titles for the current time range and a y range
+    function axesSvg(y, sy, yTitle) {
+        const parts = [`<rect x="0" y="0" width="${CHART_W}" height="${CHART_H}" rx="12" ry="12" fill="#0b1220" stroke="rgba(255,255,255,0.06)" />`];
+        for (let v = y.min; v <= y.max + y.step / 2; v += y.step) {
+            const py = sy(v);
+            parts.push(`<line x1="${PLOT.left}" y1="${py}" x2="${PLOT.right}" y2="${py}" stroke="rgba(255,255,255,0.06)" />`);
+            parts.push(`<text x="${PLOT.left - 6}" y="${py + 4}" fill="#6b7280" font-size="11" text-anchor="end">${formatValue(Number(v.toPrecision(12)))}</text>`);
+        }
+        const span = chartView.t1 - chartView.t0;
+        const step = TIME_STEPS.find((s) => span / s <= 8) || Math.ceil(span / 8 / 86400) * 86400;
+        for (let t = Math.ceil(chartView.t0 / step) * step; t <= chartView.t1; t += step) {
+            const px = chartX(t);
+            parts.push(`<line x1="${px}" y1="${PLOT.top}" x2="${px}" y2="${PLOT.bottom}" stroke="rgba(255,255,255,0.06)" />`);
+            parts.push(`<text x="${px}" y="${PLOT.bottom + 16}" fill="#6b7280" font-size="11" text-anchor="middle">${formatTime(t)}</text>`);
+        }
+        parts.push(`<line x1="${PLOT.left}" y1="${PLOT.bottom}" x2="${PLOT.right}" y2="${PLOT.bottom}" stroke="rgba(255,255,255,0.15)" />`);
+        parts.push(`<text x="${PLOT.right}" y="${CHART_H - 6}" fill="#9ca3af" font-size="11" text-anchor="end">time</text>`);
+        parts.push(`<text transform="translate(14 ${(PLOT.top + PLOT.bottom) / 2}) rotate(-90)" fill="#9ca3af" font-size="11" text-anchor="middle">${escapeHtml(yTitle)}</text>`);
+        return parts.join("");
+    }
+
+    // Index of the first point at or after t (points sorted by t)
+    function indexAtTime(points, t) {
+        let lo = 0;
+        let hi = points.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].t < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    // Time of the newest point the charts and log show: the replay playhead, else the last point
+    function shownUntil() {
+        const data = state.data;
+        if (replay) return data[replay.index].t;
+        return data.length ? data[data.length - 1].t : 0;
+    }
+
+    // Downsampling stores for state.data (rebuilt when the data is reset or the metrics change) and
+    // for each comparison run. The charts draw the min and max of every pixel column, so a long run
+    // costs about the same to draw as a short one.
+    const REPLICA_KEYS = ["replicas", "desired", "stabilized", "ready", "starting", "terminating", "scheduled", "pending", "capacity"];
+    // Replica series that are not a field of the point as is
+    const replicaValues = {
+        scheduled: (d) => d.ready + d.starting,
+        capacity: (d) => (d.capacity == null ? NaN : d.capacity),
+    };
+    let chartStore = null;
+
+    function liveStore() {
+        if (!chartStore || chartStore.points !== state.data || chartStore.metricCount !== state.metrics.length) {
+            const series = state.metrics.map((m, i) => ({ value: (d) => d.metrics[i] }))
+                .concat(REPLICA_KEYS.map((key) => ({ value: replicaValues[key] || ((d) => d[key]) })))
+                .concat([{ value: (d) => d.ready + d.starting + d.terminating }])
+                .concat(state.metrics.map((m, i) => ({ value: (d) => d.observed[i] })));
+            chartStore = Object.assign(window.HPA_DOWNSAMPLE.createSeriesStore(state.data, series), { metricCount: state.metrics.length });
+        }
+        return chartStore;
+    }
+
+    function runStore(run) {
+        if (!run.store) run.store = window.HPA_DOWNSAMPLE.createSeriesStore(run.timeline, [{ value: (p) => p.replicas }]);
+        return run.store;
+    }
+
+    const columnsOf = (lines) => lines.reduce((acc, line) => acc.concat(line.map((p) => p[1])), []);
+
+    // y range for a chart: nice bounds around the values, and while following also around the
+    // range shown before
+    function chartRange(key, min, max, minStep) {
+        if (chartView.start == null) {
+            const prev = chartView[key];
+            if (prev) {
+                min = Math.min(min, prev.min);
+                max = Math.max(max, prev.max);
+            }
+            chartView[key] = { min, max };
+        }
+        return niceRange(min, max, 5, minStep);
+    }
+
+    // Vertical markers at each sync decision, colored by direction, with a wider invisible line
+    // to make them easy to click. Long runs keep one marker per pixel, preferring scale events.
+    function decisionMarkersSvg() {
+        const logs = state.logs;
+        const rank = { hold: 0, gated: 1, down: 2, up: 2 };
+        const columns = new Map();
+        const until = Math.min(chartView.t1, shownUntil());
+        for (let i = indexAtTime(logs, chartView.t0); i < logs.length && logs[i].t <= until; i += 1) {
+            const x = Math.round(chartX(logs[i].t));
+            const prev = columns.get(x);
+            if (prev == null || (prev !== chartView.selected && (i === chartView.selected || rank[logs[i].direction] > rank[logs[prev].direction]))) {
+                columns.set(x, i);
+            }
+        }
+        return [...columns.values()].map((i) => {
+            const row = logs[i];
+            const x = chartX(row.t);
+            const selected = i === chartView.selected;
+            return `<line x1="${x}" x2="${x}" y1="${PLOT.top}" y2="${PLOT.bottom}" stroke="${selected ? "#f8fafc" : directionColors[row.direction] || directionColors.hold}" stroke-width="${selected ? 2 : 1}" />`
+                + `<line class="decision-marker" data-decision="${i}" x1="${x}" x2="${x}" y1="${PLOT.top}" y2="${PLOT.bottom}" stroke="transparent" stroke-width="8" />`;
+        }).join("");
+    }
+
+    function legendSvg(items, y) {
+        let x = 10;
+        const parts = items.map(([label, color]) => {
+            const item = `<circle cx="${x}" cy="-2" r="4" fill="${color}" /><text x="${x + 10}" y="2" fill="#9ca3af" font-size="12">${escapeHtml(label)}</text>`;
+            x += 30 + label.length * 7;
+            return item;
+        });
+        return `<g class="legend" transform="translate(${PLOT.left + 8},${y})">
+        <rect x="0" y="-12" width="${x + 10}" height="20" rx="6" ry="6" fill="rgba(255,255,255,0.05)" stroke="rgba(255,255,255,0.08)" />
+        ${parts.join("")}
+      </g>`;
+    }
+
     function renderCharts() {
         const metricSvg = $("#metricChart");
         const replicaSvg = $("#replicaChart");
-        const W = 1000;
-        const H = 280;
 
         const data = state.data;
-        if (data.length === 0) {
+        const runs = state.comparison ? state.comparison.runs : [];
+        const tNow = shownUntil();
+        updateTracePlayhead(tNow);
+        $$(".zoom-reset").forEach((b) => (b.hidden = chartView.start == null));
+        if (data.length === 0 && runs.length === 0) {
             metricSvg.innerHTML = "";
             replicaSvg.innerHTML = "";
             return;
         }
-        const tMax = Math.max(...data.map((d) => d.t));
-        const mVals = data.map((d) => d.metric).concat([state.target]);
-        const mMin = Math.min(...mVals);
-        const mMax = Math.max(...mVals);
-        const rVals = data.map((d) => d.replicas).concat(data.map((d) => d.desired));
-        const rMin = Math.min(...rVals, state.minReplicas);
-        const rMax = Math.max(...rVals, state.maxReplicas);
+        // Comparison runs keep the time axis at their full duration while the live run catches up
+        const tMax = Math.max(data.length ? data[data.length - 1].t : 0, runs.length ? state.comparison.duration : 0);
+        chartView.t0 = chartView.start != null ? chartView.start : data.length ? data[0].t : 0;
+        chartView.t1 = chartView.end != null ? chartView.end : Math.max(tMax, chartView.t0 + 1);
+        const columns = PLOT.right - PLOT.left;
+        const count = state.metrics.length;
+        // A replay draws the run up to its playhead on the axis of the whole run
+        const tEnd = Math.min(chartView.t1, tNow);
+        const lines = tEnd > chartView.t0
+            ? liveStore().query(chartView.t0, tEnd, Math.max(1, Math.round((columns * (tEnd - chartView.t0)) / (chartView.t1 - chartView.t0))))
+            : Array.from({ length: 2 * count + REPLICA_KEYS.length + 1 }, () => []);
+        const replicaLines = {};
+        REPLICA_KEYS.forEach((key, j) => (replicaLines[key] = lines[count + j]));
+        const runLines = runs.map((r) => runStore(r).query(chartView.t0, chartView.t1, columns)[0]);
+
+        // A single metric is drawn in its own units; several metrics are drawn as % of their targets
+        const multi = count > 1;
+        const scaled = (line, i) => (multi ? line.map(([t, v]) => [t, (v / (state.metrics[i].target || 1)) * 100]) : line);
+        const metricLines = lines.slice(0, count).map(scaled);
+        // With a metrics pipeline, what the HPA read is drawn dashed over the true metric
+        const pipeline = engine.hasMetricsPipeline(state);
+        const observedLines = pipeline ? lines.slice(count + REPLICA_KEYS.length + 1).map(scaled) : [];
+        const targetLevel = multi ? 100 : state.metrics[0].target;
+        const mVals = columnsOf(metricLines.concat(observedLines));
+        const yM = chartRange("yMetric", mVals.reduce((min, v) => Math.min(min, v), Math.min(targetLevel, 0)), mVals.reduce((max, v) => Math.max(max, v), targetLevel));
+        // The node pool's capacity can be far above the pods; it is drawn but does not stretch the axis
+        const pool = engine.hasNodePool(state);
+        const rVals = columnsOf(REPLICA_KEYS.filter((key) => key !== "capacity").map((key) => replicaLines[key]).concat([lines[count + REPLICA_KEYS.length]], runLines));
+        const yR = chartRange("yReplica", rVals.reduce((min, v) => Math.min(min, v), state.minReplicas), rVals.reduce((max, v) => Math.max(max, v), state.maxReplicas), 1);
 
-        const sx = (t) => (tMax ? (t / tMax) * (W - 40) + 20 : 20);
-        const syM = (v) => H - 20 - ((v - mMin) / (mMax - mMin || 1)) * (H - 40);
-        const syR = (v) => H - 20 - ((v - rMin) / (rMax - rMin || 1)) * (H - 40);
+        const syM = (v) => PLOT.bottom - ((v - yM.min) / (yM.max - yM.min || 1)) * (PLOT.bottom - PLOT.top);
+        const syR = (v) => PLOT.bottom - ((v - yR.min) / (yR.max - yR.min || 1)) * (PLOT.bottom - PLOT.top);
+        chartView.syM = syM;
+        chartView.syR = syR;
+        const clip = (id) => `<clipPath id="${id}"><rect x="${PLOT.left}" y="${PLOT.top - 4}" width="${PLOT.right - PLOT.left}" height="${PLOT.bottom - PLOT.top + 8}" /></clipPath>`;
+        const markers = decisionMarkersSvg();
 
         // metric chart
-        const metricPath = pathFrom(data.map((d) => [sx(d.t), syM(d.metric)]));
-        const targetPath = pathFrom(data.map((d) => [sx(d.t), syM(state.target)]));
+        const metricPaths = metricLines.map((line, i) => {
+            const color = metricColors[i % metricColors.length];
+            const path = pathFrom(line.map(([t, v]) => [chartX(t), syM(v)]));
+            return `<path d="${path}" stroke="${color}" stroke-width="2" fill="none" />`;
+        }).concat(observedLines.map((line, i) => {
+            const color = multi ? metricColors[i % metricColors.length] : OBSERVED_COLOR;
+            const path = pathFrom(line.map(([t, v]) => [chartX(t), syM(v)]));
+            return `<path d="${path}" stroke="${color}" stroke-width="2" stroke-dasharray="5 3" fill="none" />`;
+        }));
+        const targetY = syM(targetLevel);
+        const metricLegend = (multi ? state.metrics.map((m, i) => [`${m.name} %`, metricColors[i % metricColors.length]]) : [[pipeline ? "true metric" : "metric", metricColors[0]]])
+            .concat(pipeline ? [[multi ? "dashed: seen by HPA" : "seen by HPA", OBSERVED_COLOR]] : [])
+            .concat([[multi ? "target 100%" : "target", "#34d399"]]);
+        const metricTitle = multi ? "% of target" : `${state.metrics[0].name}${state.metrics[0].targetType === "Utilization" ? " (%)" : ""}`;
         metricSvg.innerHTML = `
-      ${axesSvg(W, H)}
-      <g class="legend" transform="translate(16,16)">
-        <rect x="0" y="-12" width="220" height="20" rx="6" ry="6" fill="rgba(255,255,255,0.05)" stroke="rgba(255,255,255,0.08)" />
-        <circle cx="10" cy="-2" r="4" fill="#38bdf8" />
-        <text x="20" y="2" fill="#9ca3af" font-size="12">metric</text>
-        <circle cx="90" cy="-2" r="4" fill="#34d399" />
-        <text x="100" y="2" fill="#9ca3af" font-size="12">target</text>
+      ${clip("metricClip")}
+      ${axesSvg(yM, syM, metricTitle)}
+      ${legendSvg(metricLegend, 14)}
+      <g clip-path="url(#metricClip)">
+      ${markers}
+      ${metricPaths.join("\n      ")}
+      <line x1="${PLOT.left}" x2="${PLOT.right}" y1="${targetY}" y2="${targetY}" stroke="#34d399" stroke-width="2" stroke-dasharray="6 4" />
       </g>
-      <path d="${metricPath}" stroke="#38bdf8" stroke-width="2" fill="none" />
-      <path d="${targetPath}" stroke="#34d399" stroke-width="2" fill="none" stroke-dasharray="6 4" />
+      <g class="chart-overlay"></g>
     `;
 
         // replicas chart
-        const replicaPath = pathFrom(data.map((d) => [sx(d.t), syR(d.replicas)]));
-        const desiredPath = pathFrom(data.map((d) => [sx(d.t), syR(d.desired)]));
-        const stabilizedPath = pathFrom(data.map((d) => [sx(d.t), syR(d.stabilized)]));
+        const line = (key) => pathFrom(replicaLines[key].map(([t, v]) => [chartX(t), syR(v)]));
+        const comparePaths = runLines.map((runLine, i) => {
+            const path = pathFrom(runLine.map(([t, v]) => [chartX(t), syR(v)]));
+            return `<path d="${path}" stroke="${compareColors[i % compareColors.length]}" stroke-width="2" stroke-opacity="0.85" fill="none" />`;
+        });
         const minY = syR(state.minReplicas);
         const maxY = syR(state.maxReplicas);
         replicaSvg.innerHTML = `
-      ${axesSvg(W, H)}
-      <g class="legend" transform="translate(16,16)">
-        <rect x="0" y="-12" width="340" height="20" rx="6" ry="6" fill="rgba(255,255,255,0.05)" stroke="rgba(255,255,255,0.08)" />
-        <circle cx="10" cy="-2" r="4" fill="#a78bfa" />
-        <text x="20" y="2" fill="#9ca3af" font-size="12">replicas</text>
-        <circle cx="100" cy="-2" r="4" fill="#f472b6" />
-        <text x="110" y="2" fill="#9ca3af" font-size="12">desired</text>
-        <circle cx="180" cy="-2" r="4" fill="#22d3ee" />
-        <text x="190" y="2" fill="#9ca3af" font-size="12">stabilized</text>
+      ${clip("replicaClip")}
+      ${axesSvg(yR, syR, "replicas")}
+      ${legendSvg([["replicas", "#a78bfa"], ["desired", "#f472b6"], ["stabilized", "#22d3ee"], ["ready", "#34d399"], ["starting", "#fbbf24"], ["terminating", "#f87171"]], 14)}
+      ${pool ? legendSvg([["scheduled", SCHEDULED_COLOR], ["pending", PENDING_COLOR], ["node capacity", CAPACITY_COLOR]], 40) : ""}
+      ${runs.length ? legendSvg(runs.map((r, i) => [state.variants[i].name, compareColors[i % compareColors.length]]), pool ? 66 : 40) : ""}
+      <g clip-path="url(#replicaClip)">
+      ${markers}
+      <line x1="${PLOT.left}" x2="${PLOT.right}" y1="${minY}" y2="${minY}" stroke="rgba(255,255,255,0.15)" stroke-dasharray="4 4" />
+      <line x1="${PLOT.left}" x2="${PLOT.right}" y1="${maxY}" y2="${maxY}" stroke="rgba(255,255,255,0.15)" stroke-dasharray="4 4" />
+      <path d="${line("replicas")}" stroke="#a78bfa" stroke-width="2" fill="none" />
+      <path d="${line("desired")}" stroke="#f472b6" stroke-width="2" fill="none" stroke-dasharray="6 4" />
+      <path d="${line("stabilized")}" stroke="#22d3ee" stroke-width="2" fill="none" stroke-dasharray="2 4" />
+      <path d="${line("ready")}" stroke="#34d399" stroke-width="1.5" fill="none" />
+      <path d="${line("starting")}" stroke="#fbbf24" stroke-width="1.5" fill="none" />
+      <path d="${line("terminating")}" stroke="#f87171" stroke-width="1.5" fill="none" />
+      ${pool ? `<path d="${line("scheduled")}" stroke="${SCHEDULED_COLOR}" stroke-width="1.5" fill="none" />
+      <path d="${line("pending")}" stroke="${PENDING_COLOR}" stroke-width="2" fill="none" />
+      <path d="${line("capacity")}" stroke="${CAPACITY_COLOR}" stroke-width="1.5" fill="none" stroke-dasharray="8 4" />` : ""}
+      ${comparePaths.join("\n      ")}
       </g>
-      <line x1="20" x2="${W - 20}" y1="${minY}" y2="${minY}" stroke="rgba(255,255,255,0.15)" stroke-dasharray="4 4" />
-      <line x1="20" x2="${W - 20}" y1="${maxY}" y2="${maxY}" stroke="rgba(255,255,255,0.15)" stroke-dasharray="4 4" />
-      <path d="${replicaPath}" stroke="#a78bfa" stroke-width="2" fill="none" />
-      <path d="${desiredPath}" stroke="#f472b6" stroke-width="2" fill="none" stroke-dasharray="6 4" />
-      <path d="${stabilizedPath}" stroke="#22d3ee" stroke-width="2" fill="none" stroke-dasharray="2 4" />
+      <g class="chart-overlay"></g>
     `;
+        renderChartOverlays();
+    }
+
+    // Crosshair, brush and tooltip, redrawn on pointer moves without rebuilding the charts
+    function renderChartOverlays() {
+        const { hoverT, drag } = chartView;
+        const point = hoverT != null && state.data.length ? nearestPoint(hoverT) : null;
+        ["#metricChart", "#replicaChart"].forEach((sel) => {
+            const overlay = $(`${sel} .chart-overlay`);
+            if (!overlay) return;
+            const parts = [];
+            if (drag && drag.mode === "brush" && drag.svg === $(sel)) {
+                const x = Math.min(drag.x0, drag.x1);
+                parts.push(`<rect x="${x}" y="${PLOT.top}" width="${Math.abs(drag.x1 - drag.x0)}" height="${PLOT.bottom - PLOT.top}" fill="rgba(56,189,248,0.12)" stroke="rgba(56,189,248,0.5)" />`);
+            }
+            if (point) {
+                const x = chartX(point.t);
+                parts.push(`<line x1="${x}" x2="${x}" y1="${PLOT.top}" y2="${PLOT.bottom}" stroke="rgba(248,250,252,0.5)" stroke-dasharray="3 3" />`);
+                if (sel === "#replicaChart") parts.push(`<circle cx="${x}" cy="${chartView.syR(point.replicas)}" r="4" fill="#a78bfa" />`);
+                else parts.push(`<circle cx="${x}" cy="${chartView.syM(state.metrics.length > 1 ? (point.metrics[0] / (state.metrics[0].target || 1)) * 100 : point.metric)}" r="4" fill="${metricColors[0]}" />`);
+            }
+            overlay.innerHTML = parts.join("");
+        });
+        $$(".chart-tooltip").forEach((tip) => {
+            const active = point && tip.closest(".chart").querySelector(".chart-svg") === chartView.hoverSvg;
+            tip.hidden = !active;
+            if (!active) return;
+            const seen = engine.hasMetricsPipeline(state) && point.observed;
+            const metrics = state.metrics.map((m, i) => `<div><span>${escapeHtml(m.name)}</span><b>${formatValue(point.metrics[i])}</b> / ${formatValue(m.target)}</div>`
+                + (seen ? `<div><span>seen by HPA</span><b>${readingText(point.observed[i])}</b></div>` : ""));
+            tip.innerHTML = `<div class="tooltip-time">t = ${formatTime(point.t)}</div>${metrics.join("")}`
+                + `<div><span>desired</span><b>${point.desired}</b></div><div><span>stabilized</span><b>${point.stabilized}</b></div>`
+                + `<div><span>replicas</span><b>${point.replicas}</b></div>`
+                + (point.nodes != null ? `<div><span>pending</span><b>${point.pending}</b></div><div><span>nodes</span><b>${point.nodes}</b></div>` : "");
+            const card = tip.parentElement.getBoundingClientRect();
+            const left = chartView.hoverX - card.left + 14;
+            tip.style.left = `${left + 180 > card.width ? left - 200 : left}px`;
+            tip.style.top = `${chartView.hoverY - card.top + 14}px`;
+        });
+    }
+
+    function nearestPoint(t) {
+        const data = state.data;
+        const i = Math.min(indexAtTime(data, t), replay ? replay.index : data.length - 1);
+        return i > 0 && Math.abs(data[i - 1].t - t) < Math.abs(data[i].t - t) ? data[i - 1] : data[i];
+    }
+
+    // Pointer x in viewBox units
+    function svgX(svg, e) {
+        const rect = svg.getBoundingClientRect();
+        return rect.width ? ((e.clientX - rect.left) / rect.width) * CHART_W : 0;
+    }
+
+    function resetZoom() {
+        chartView.start = null;
+        chartView.end = null;
+        renderCharts();
+    }
+
+    // Highlight a decision's marker and its row in the decision log, and explain it
+    function selectDecision(i) {
+        chartView.selected = i;
+        $$("#logBody tr").forEach((tr, j) => tr.classList.toggle("selected", j === i));
+        const row = $("#logBody").children[i];
+        if (row && row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+        renderExplanation();
+        renderCharts();
+    }
+
+    const ratioText = (r) => (Number.isFinite(r) ? r.toFixed(2) : String(r));
+
+    // How one metric's desired count was reached, from its entry in a decision trace
+    function explainMetric(m, trace) {
+        const band = `[${ratioText(1 - trace.tolerance.down)}, ${ratioText(1 + trace.tolerance.up)}]${trace.tolerance.global ? " (controller tolerance)" : ""}`;
+        let recomputed = "";
+        if (m.rawRatio != null) {
+            const assumed = [];
+            if (m.groups.unready > 0 && m.rawRatio > 1) assumed.push("unready pods at 0%");
+            if (m.groups.missing > 0) assumed.push(`pods without metrics at ${m.rawRatio < 1 ? "100%" : "0%"}`);
+            recomputed = `Counting ${assumed.join(" and ")} of target moves the ratio from ${ratioText(m.rawRatio)} to ${ratioText(m.ratio)}. `;
+        }
+        const pods = m.rawRatio != null ? "pods counted" : m.groups ? `${m.groups.ready} ready pods` : "pods";
+        const usage = m.containers ? `${containerUsageText(m)} ` : "";
+        switch (m.reason) {
+            case "no-data":
+                if (m.pipeline && !Number.isFinite(m.value)) return `The controller has no sample of this metric, so it cannot compute a ratio: keeps ${trace.replicas}.`;
+                if (m.groups && m.groups.ready === 0 && m.groups.missing > 0) return `None of the Ready pods is in the scrape: keeps ${trace.replicas}.`;
+                if (m.containers && !Number.isFinite(m.value)) {
+                    const why = m.containers.length === 0 ? `The pod has no container ${escapeHtml(m.container)}` : `A container has no ${escapeHtml(m.name)} request`;
+                    return `${usage}${why}, so the controller cannot read this metric: keeps ${trace.replicas}.`;
+                }
+                return `No ready pods or no target to compare with: keeps ${trace.replicas}.`;
+            case "tolerance":
+                return `${usage}${recomputed}Ratio ${ratioText(m.ratio)} is inside the tolerance band ${band}: keeps ${trace.replicas}.`;
+            case "flipped":
+                return `${recomputed}That points the other way, so the change is dropped: keeps ${trace.replicas}.`;
+            case "reversed":
+                return `${recomputed}The recounted replicas would move against the metric, so the change is dropped: keeps ${trace.replicas}.`;
+            default:
+                if (m.targetType === "AverageValue" && !m.groups) return `desired = ceil(${formatValue(m.value)} / ${formatValue(m.target)} per pod) = ${m.desired}.`;
+                if (!m.groups && trace.replicas === 0) return `From 0 replicas there is no tolerance band: desired = ceil(${ratioText(m.ratio)}) = ${m.desired}.`;
+                return `${usage}${recomputed}Ratio ${ratioText(m.ratio)} is outside the tolerance band ${band}: desired = ceil(${ratioText(m.ratio)} x ${pods}) = ${m.desired}.`;
+        }
+    }
+
+    // Whether the replicas fit on the node pool after the decision, and when waiting pods get a node
+    function nodesText(n) {
+        const room = `${n.nodes} Ready node${n.nodes === 1 ? " fits" : "s fit"} ${n.capacity} pods (${n.perNode} per node, bound by ${n.boundBy === "pods" ? "pods per node" : `${n.boundBy} requests`})`;
+        if (n.pending === 0) return `${room}: every pod is scheduled.`;
+        const wait = n.provisioning > 0
+            ? `${n.provisioning} node${n.provisioning === 1 ? " is" : "s are"} being provisioned, the first Ready at t = ${formatTime(n.nextNodeAt)}`
+            : n.perNode === 0 ? "no node can fit one" : `the pool is at its ${n.maxNodes} node maximum, so they wait for pods to go`;
+        return `${room}, so ${n.pending} pod${n.pending === 1 ? " is" : "s are"} Pending: ${wait}. Pending pods count as unready and serve no traffic.`;
+    }
+
+    // Which scrape the controller read through the metrics pipeline, against the true value now
+    function pipelineText(m) {
+        const p = m.pipeline;
+        const truth = `the true value now is ${readingText(p.trueValue)}`;
+        if (p.sampledAt == null) return `No scrape has reached the controller yet; ${truth}.`;
+        if (p.stale) return `The newest scrape, from t = ${formatTime(p.sampledAt)}, is ${formatValue(p.age)}s old and stale; ${truth}.`;
+        return `Read the scrape from t = ${formatTime(p.sampledAt)} (${formatValue(p.age)}s old); ${truth}.`;
+    }
+
+    // Each counted container's usage against its request, for metrics computed from containers
+    function containerUsageText(m) {
+        if (m.containers.length === 0) return "";
+        const unit = m.name === "memory" ? (v) => `${formatValue(v / (1024 * 1024))}Mi` : (v) => `${formatValue(v * 1000)}m`;
+        const parts = m.containers.map((c) => `${m.type === "ContainerResource" ? "" : `${escapeHtml(c.name)} `}${unit(c.usage)} of ${c.request > 0 ? unit(c.request) : "no request"}`
+            + `${c.request > 0 ? ` (${formatValue((c.usage / c.request) * 100)}%)` : ""}`);
+        const what = m.type === "ContainerResource" ? `Container ${escapeHtml(m.container)}` : "Per pod, summed over containers";
+        const result = m.targetType === "Utilization" && Number.isFinite(m.value) ? `: utilization ${formatValue(m.value)}%` : "";
+        return `${what}: ${parts.join(", ")}${result}.`;
     }
 
-    function axesSvg(W, H) {
-        const grid = [];
-        for (let i = 0; i < 10; i += 1) {
-            const x = 20 + (i / 9) * (W - 40);
-            grid.push(`<line x1="${x}" y1="20" x2="${x}" y2="${H - 20}" stroke="rgba(255,255,255,0.06)" />`);
+    // The stabilization window's recommendations as a step line, with the winning sample circled
+    // and the current replica count dashed
+    function stabilizationChartSvg(row) {
+        const st = row.trace.stabilization;
+        const W = 600;
+        const H = 130;
+        const pad = { left: 34, right: 10, top: 10, bottom: 22 };
+        const values = st.history.map((h) => h[1]).concat([row.trace.replicas, st.stabilized]);
+        const y = niceRange(Math.min(...values), Math.max(...values), 3, 1);
+        const sx = (t) => pad.left + ((t - st.from) / (row.t - st.from || 1)) * (W - pad.left - pad.right);
+        const sy = (v) => H - pad.bottom - ((v - y.min) / (y.max - y.min || 1)) * (H - pad.top - pad.bottom);
+        let d = "";
+        st.history.forEach(([t, v], i) => {
+            const x = sx(Math.max(t, st.from));
+            d += i === 0 ? `M ${x} ${sy(v)}` : ` H ${x} V ${sy(v)}`;
+        });
+        d += ` H ${sx(row.t)}`;
+        const ticks = [];
+        for (let v = y.min; v <= y.max + 1e-9; v += y.step) ticks.push(v);
+        const grid = ticks.map((v) => `<line x1="${pad.left}" x2="${W - pad.right}" y1="${sy(v)}" y2="${sy(v)}" stroke="rgba(255,255,255,0.06)" />`
+            + `<text x="${pad.left - 6}" y="${sy(v) + 4}" fill="#6b7280" font-size="10" text-anchor="end">${v}</text>`).join("");
+        const current = sy(row.trace.replicas);
+        const pick = st.pick ? `<circle cx="${sx(st.pick.t)}" cy="${sy(st.pick.desired)}" r="4" fill="#22d3ee" />` : "";
+        return `<svg class="explain-svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+      ${grid}
+      <line x1="${pad.left}" x2="${W - pad.right}" y1="${current}" y2="${current}" stroke="#a78bfa" stroke-dasharray="4 4" />
+      <path d="${d}" stroke="#f472b6" stroke-width="2" fill="none" />
+      ${pick}
+      <text x="${pad.left}" y="${H - 6}" fill="#6b7280" font-size="10">${formatTime(Math.max(st.from, 0))}</text>
+      <text x="${W - pad.right}" y="${H - 6}" fill="#6b7280" font-size="10" text-anchor="end">${formatTime(row.t)}</text>
+    </svg>
+    ${legendHtml([["recommendation", "#f472b6"], ["current replicas", "#a78bfa"], ["chosen", "#22d3ee"]])}`;
+    }
+
+    function legendHtml(items) {
+        return `<div class="explain-legend">${items.map(([label, color]) => `<span><i style="background:${color}"></i>${label}</span>`).join("")}</div>`;
+    }
+
+    // Step-by-step explanation of the selected decision, from the trace the engine logged with it
+    function renderExplanation() {
+        const panel = $("#explainPanel");
+        const row = state.logs[chartView.selected];
+        panel.hidden = !row || !row.trace;
+        if (panel.hidden) return;
+        const trace = row.trace;
+        if (trace.activation) {
+            showExplanation(row, activationSteps(row));
+            return;
+        }
+        const driver = trace.metrics[trace.driver];
+        const dirWord = { up: "scale up", down: "scale down", hold: "no change" }[trace.direction];
+        const steps = [];
+
+        steps.push(["Metrics", trace.metrics.map((m, i) => `<div class="explain-metric${i === trace.driver ? " driver" : ""}">`
+            + `<b>${escapeHtml(m.name)}</b> <span class="muted">${m.type}${m.container ? ` (${escapeHtml(m.container)})` : ""}, ${m.targetType}</span>: ${readingText(m.value)} vs target ${formatValue(m.target)}`
+            + `${m.groups ? ` <span class="muted">(pods: ${m.groups.ready} ready, ${m.groups.unready} unready, ${m.groups.missing} missing)</span>` : ""}`
+            + `${m.pipeline ? `<div class="muted">${pipelineText(m)}</div>` : ""}`
+            + `<div>${explainMetric(m, trace)}</div></div>`).join("")]);
+        if (trace.disabled) {
+            const why = trace.disabled.activator
+                ? "KEDA-style activation keeps the HPA at 1 replica or more, so at 0 it is disabled and the activator wakes the workload."
+                : "minReplicas 0 needs an Object or External metric and the HPAScaleToZero feature gate, so the HPA works with a minimum of 1 and is disabled at 0.";
+            steps.push(["Scaling disabled", `The workload is at 0 replicas: ${why} It recommends 0 and records nothing for stabilization.`]);
+            steps.push(["Result", "Replicas stay at 0. Bound by: scaling disabled."]);
+            showExplanation(row, steps);
+            return;
+        }
+
+        const many = trace.metrics.length > 1 ? `${escapeHtml(driver.name)} asks for the most replicas, so it drives. ` : "";
+        const gated = row.direction === "gated" ? " Tolerance held the count." : "";
+        steps.push(["Recommendation", `${many}Recommended ${driver.desired} with ${trace.replicas} running: ${dirWord}.${gated}`]);
+
+        const st = trace.stabilization;
+        const windowName = st.toward === "up" ? "Scale-up" : "Scale-down";
+        let stab;
+        if (!st.rule) stab = "Not applied: there is no change to stabilize.";
+        else if (!st.window) stab = `${windowName} window is 0s: the recommendation is used as is.`;
+        else {
+            const capped = st.capped ? ` That would reverse the direction, so it is capped at the current ${trace.replicas}.` : "";
+            // Before 1.21 only this window counts and nothing caps the pick at the current count
+            const reversed = st.mode === "direction" && Math.sign(st.stabilized - trace.replicas) !== Math.sign(driver.desired - trace.replicas)
+                ? ` Before 1.21 nothing caps it at the current ${trace.replicas}, so the count moves against the recommendation.`
+                : "";
+            stab = `${windowName} window ${st.window}s (from ${formatTime(Math.max(st.from, 0))}): the ${st.rule} recommendation in it is ${st.pick.desired}, from t = ${formatTime(st.pick.t)}.${capped}${reversed} Stabilized: ${st.stabilized}.`
+                + stabilizationChartSvg(row);
         }
-        for (let i = 0; i < 6; i += 1) {
-            const y = 20 + (i / 5) * (H - 40);
-            grid.push(`<line x1="20" y1="${y}" x2="${W - 20}" y2="${y}" stroke="rgba(255,255,255,0.06)" />`);
+        steps.push(["Stabilization window", stab]);
+
+        // Policies limit the way the count moves, which stabilization before 1.21 can turn around
+        const dirName = row.direction === "up" ? "Scale-up" : "Scale-down";
+        const lim = trace.limits;
+        let limits;
+        if (row.direction !== "up" && row.direction !== "down") limits = "Not applied: there is no change to limit.";
+        else if (!lim) limits = `Stabilized count equals the current ${trace.replicas}: nothing to limit.`;
+        else if (lim.selectPolicy === "Disabled") limits = `selectPolicy is Disabled for ${dirName.toLowerCase()}: replicas stay at ${trace.replicas}.`;
+        else if (lim.candidates.length === 0) limits = "No policies: the change is not limited.";
+        else {
+            const rule = (row.direction === "up") === (lim.selectPolicy === "Max") ? "highest" : "lowest";
+            const rows = lim.candidates.map((c) => `<tr class="${c.policy === lim.policy ? "chosen" : ""}"><td>${engine.describePolicy(c.policy)}</td><td>${c.periodStart}</td><td>${c.proposed}</td></tr>`).join("");
+            limits = `selectPolicy ${lim.selectPolicy} takes the ${rule} bound. Each policy counts from the replicas at the start of its period.`
+                + `<table class="explain-table"><thead><tr><th>Policy</th><th>Period start</th><th>Bound</th></tr></thead><tbody>${rows}</tbody></table>`
+                + `Allowed change now: ${lim.allowed}.`;
+        }
+        steps.push(["Scaling policies", limits]);
+
+        const c = trace.clamp;
+        let clampText = "Not applied.";
+        if (c) {
+            clampText = `Limits [${c.min}, ${c.max}]. `;
+            clampText += row.boundBy === "minReplicas" || row.boundBy === "maxReplicas"
+                ? `${st.stabilized} is bounded by ${row.boundBy}: ${c.after}.`
+                : c.before !== c.after ? `${c.before} is clamped to ${c.after}.` : `${c.after} is within them.`;
         }
-        return `<rect x="0" y="0" width="${W}" height="${H}" rx="12" ry="12" fill="#0b1220" stroke="rgba(255,255,255,0.06)" />${grid.join("")}`;
+        steps.push(["Min/max replicas", clampText]);
+        steps.push(["Result", `Replicas ${trace.replicas} → ${row.replicas} (change ${row.appliedChange}). Bound by: ${escapeHtml(String(row.boundBy))}.`]);
+        if (trace.nodes) steps.push(["Node pool", nodesText(trace.nodes)]);
+        showExplanation(row, steps);
+    }
+
+    function showExplanation(row, steps) {
+        $("#explainTitle").textContent = `Decision at t = ${formatTime(row.t)}: ${row.direction}`;
+        $("#explainSteps").innerHTML = steps.map(([title, body]) => `<li><div class="explain-step">${title}</div>${body}</li>`).join("");
+    }
+
+    // Steps for a change the scale-to-zero activator made, from its trace
+    function activationSteps(row) {
+        const a = row.trace.activation;
+        const rows = a.triggers.map((m) => `<tr class="${m.active ? "chosen" : ""}"><td>${escapeHtml(m.name)}</td><td>${readingText(m.value)}</td><td>${formatValue(m.threshold)}</td><td>${m.active ? "active" : "idle"}</td></tr>`).join("");
+        const check = `Every ${a.polling}s the activator compares each Object and External metric with its activation threshold; above it, the metric is active.`
+            + `<table class="explain-table"><thead><tr><th>Metric</th><th>Value</th><th>Threshold</th><th>State</th></tr></thead><tbody>${rows}</tbody></table>`;
+        const why = a.active
+            ? "A metric is active while the workload is at 0: it is woken to 1 replica, and the HPA scales it from there."
+            : `No metric has been active for ${formatValue(a.idle)}s, the ${a.cooldown}s cooldown period or more: the workload goes to 0 and the HPA is disabled until a metric is active again.`;
+        return [
+            ["Activation", check],
+            ["Decision", why],
+            ["Result", `Replicas ${row.trace.replicas} → ${row.replicas} (change ${row.appliedChange}), set by the activator: the HPA's policies do not limit it. Bound by: ${row.boundBy}.`],
+        ];
+    }
+
+    // Drag to zoom into a time range, Shift+drag to pan a zoomed chart, double-click to zoom out;
+    // clicking a decision marker selects it
+    function bindChartEvents() {
+        ["#metricChart", "#replicaChart"].forEach((sel) => {
+            const svg = $(sel);
+            svg.addEventListener("mousedown", (e) => {
+                if (e.target.dataset && e.target.dataset.decision != null) {
+                    selectDecision(Number(e.target.dataset.decision));
+                    return;
+                }
+                const x = svgX(svg, e);
+                if (x < PLOT.left || x > PLOT.right) return;
+                e.preventDefault();
+                const pan = e.shiftKey && chartView.start != null;
+                chartView.drag = { svg, mode: pan ? "pan" : "brush", x0: x, x1: x, t0: chartView.t0, t1: chartView.t1 };
+            });
+            svg.addEventListener("mousemove", (e) => {
+                const x = svgX(svg, e);
+                const drag = chartView.drag;
+                chartView.hoverSvg = svg;
+                chartView.hoverX = e.clientX;
+                chartView.hoverY = e.clientY;
+                chartView.hoverT = x >= PLOT.left && x <= PLOT.right ? chartT(x) : null;
+                if (drag && drag.mode === "pan") {
+                    const last = state.data.length ? state.data[state.data.length - 1].t : drag.t1;
+                    const span = drag.t1 - drag.t0;
+                    const shift = ((x - drag.x0) / (PLOT.right - PLOT.left)) * span;
+                    const first = state.data.length ? state.data[0].t : 0;
+                    chartView.start = Math.min(Math.max(drag.t0 - shift, first), Math.max(last - span, first));
+                    chartView.end = chartView.start + span;
+                    requestRender();
+                    return;
+                }
+                if (drag) drag.x1 = Math.min(Math.max(x, PLOT.left), PLOT.right);
+                renderChartOverlays();
+            });
+            svg.addEventListener("mouseleave", () => {
+                chartView.hoverT = null;
+                renderChartOverlays();
+            });
+            svg.addEventListener("dblclick", resetZoom);
+        });
+        window.addEventListener("mouseup", () => {
+            const drag = chartView.drag;
+            chartView.drag = null;
+            if (!drag) return;
+            if (drag.mode === "brush" && Math.abs(drag.x1 - drag.x0) > 4) {
+                chartView.start = chartT(Math.min(drag.x0, drag.x1));
+                chartView.end = chartT(Math.max(drag.x0, drag.x1));
+                renderCharts();
+            } else {
+                renderChartOverlays();
+            }
+        });
+        $$(".zoom-reset").forEach((b) => b.addEventListener("click", resetZoom));
+        $("#closeExplainBtn").addEventListener("click", () => selectDecision(-1));
+        $("#logBody").addEventListener("click", (e) => {
+            const tr = e.target.closest("tr");
+            if (tr) selectDecision([...tr.parentElement.children].indexOf(tr));
+        });
+    }
+
+    // Source data of the recorded trace under the metric chart: the selected series unscaled, with
+    // the parts outside the start/end trim dimmed and a playhead at the current simulation time
+    function renderTraceChart() {
+        const panel = $("#tracePanel");
+        panel.hidden = !state.metrics.some((m) => m.scenario === "trace");
+        const svg = $("#traceChart");
+        const trace = state.trace;
+        if (!trace) {
+            $("#traceInfo").textContent = "No trace loaded. Upload a CSV (timestamp,value) or a saved Prometheus /api/v1/query_range response.";
+            svg.innerHTML = "";
+            return;
+        }
+        const W = 1000;
+        const H = 120;
+        const samples = trace.series[trace.column];
+        const tMax = trace.duration || 1;
+        const vals = samples.map((s) => s.value);
+        const vMin = vals.reduce((min, v) => Math.min(min, v), Infinity);
+        const vMax = vals.reduce((max, v) => Math.max(max, v), -Infinity);
+        const sx = (t) => (t / tMax) * (W - 40) + 20;
+        const sy = (v) => H - 10 - ((v - vMin) / (vMax - vMin || 1)) * (H - 20);
+        // Thin long traces to about one point per pixel
+        const stride = Math.max(1, Math.ceil(samples.length / W));
+        const path = pathFrom(samples.filter((s, i) => i % stride === 0 || i === samples.length - 1).map((s) => [sx(s.t), sy(s.value)]));
+        const x0 = sx(Math.min(trace.start, tMax));
+        const x1 = sx(trace.end != null ? Math.min(trace.end, tMax) : tMax);
+        svg.innerHTML = `
+      <rect x="0" y="0" width="${W}" height="${H}" rx="12" ry="12" fill="#0b1220" stroke="rgba(255,255,255,0.06)" />
+      <path d="${path}" stroke="#38bdf8" stroke-width="1.5" fill="none" />
+      <rect x="20" y="0" width="${Math.max(0, x0 - 20)}" height="${H}" fill="rgba(11,18,32,0.7)" />
+      <rect x="${x1}" y="0" width="${Math.max(0, W - 20 - x1)}" height="${H}" fill="rgba(11,18,32,0.7)" />
+      <line id="traceCursor" x1="${x0}" x2="${x0}" y1="4" y2="${H - 4}" stroke="#f472b6" stroke-width="1.5" />
+      <text x="24" y="16" fill="#9ca3af" font-size="11">${escapeHtml(trace.column)}: ${vMin.toFixed(1)} - ${vMax.toFixed(1)}</text>
+    `;
+        const used = state.metrics
+            .filter((m) => m.scenario === "trace")
+            .map((m) => `${m.name} <- ${trace.series[m.name] ? m.name : trace.column}`);
+        const end = trace.end != null ? trace.end : trace.duration;
+        $("#traceInfo").textContent = `${trace.name}: ${trace.columns.length} series, ${samples.length} samples over ${trace.duration.toFixed(0)}s. `
+            + `Replaying ${trace.start}-${end.toFixed(0)}s x${trace.scale} (${used.join(", ")}).`;
+    }
+
+    function updateTracePlayhead(t) {
+        const cursor = $("#traceCursor");
+        if (!cursor || !state.trace) return;
+        const trace = state.trace;
+        const end = trace.end != null ? trace.end : trace.duration;
+        const at = Math.min(trace.start + t, end, trace.duration);
+        const x = (at / (trace.duration || 1)) * 960 + 20;
+        cursor.setAttribute("x1", x);
+        cursor.setAttribute("x2", x);
     }
 
     function pathFrom(points) {
@@ -338,107 +1110,59 @@
         return d;
     }
 
-    function logDecision(row) {
-        state.logs.push(row);
-        const tr = document.createElement("tr");
-        tr.innerHTML = [
+    function logCells(row) {
+        return [
             row.t.toFixed(0),
-            row.metric.toFixed(1),
-            row.ratio.toFixed(2),
+            row.driver,
+            Number.isFinite(row.metric) ? row.metric.toFixed(1) : "no data",
+            Number.isFinite(row.ratio) ? row.ratio.toFixed(2) : "-",
             row.desired,
             row.stabilized,
             row.direction,
             row.allowed,
             row.appliedChange,
             row.replicas,
+            row.boundBy,
         ]
-            .map((v) => `<td>${v}</td>`)
+            .map((v) => `<td>${escapeHtml(v)}</td>`)
             .join("");
+    }
+
+    // Log rows that scale to or from zero replicas are highlighted
+    const zeroChange = (row) => row.appliedChange !== 0 && (row.replicas === 0 || row.replicas === row.appliedChange);
+
+    function logDecision(row) {
+        state.logs.push(row);
+        const tr = document.createElement("tr");
+        tr.innerHTML = logCells(row);
+        tr.classList.toggle("zero", zeroChange(row));
         $("#logBody").appendChild(tr);
     }
 
     function clearLog() {
         $("#logBody").innerHTML = "";
         state.logs = [];
+        chartView.selected = -1;
+        renderExplanation();
     }
 
     function tick(dt) {
-        state.t += dt;
-        state.elapsedSinceSync += dt;
-        const metric = computeMetric(state.t);
-        const desiredRaw = computeDesiredReplicas(state.replicas, metric, state.target);
-        // Determine direction
-        const direction = desiredRaw > state.replicas ? "up" : desiredRaw < state.replicas ? "down" : "hold";
-
-        // Tolerance gating
-        let canScale = true;
-        if (direction === "up") canScale = !withinTolerance("up", metric, state.target);
-        else if (direction === "down") canScale = !withinTolerance("down", metric, state.target);
-
-        // Stabilization window
-        const stabilizedDesired = applyStabilization(direction, desiredRaw);
-
-        // Record desired history every tick (for stabilization window)
-        state.desiredHistory.push({ t: state.t, desired: desiredRaw });
-        // Trim old history to max window
-        const maxWindow = Math.max(
-            state.behavior.up.stabilizationWindowSeconds || 0,
-            state.behavior.down.stabilizationWindowSeconds || 0
-        );
-        const cutoff = state.t - maxWindow - 5;
-        state.desiredHistory = state.desiredHistory.filter((d) => d.t >= cutoff);
-
-        // Only apply changes on sync boundaries
-        let appliedChange = 0;
-        if (state.elapsedSinceSync >= state.syncPeriod - 1e-6) {
-            state.elapsedSinceSync = 0;
-            if (direction !== "hold" && canScale) {
-                const cfgDir = direction;
-                const allowed = computeAllowedChange(cfgDir, state.replicas);
-                const delta = stabilizedDesired - state.replicas;
-                const change = clamp(Math.abs(delta), 0, allowed);
-                appliedChange = delta >= 0 ? change : -change;
-                let next = state.replicas + appliedChange;
-                next = clamp(Math.round(next), state.minReplicas, state.maxReplicas);
-                state.replicas = next;
-                logDecision({
-                    t: state.t,
-                    metric,
-                    ratio: state.target > 0 ? metric / state.target : 1,
-                    desired: desiredRaw,
-                    stabilized: stabilizedDesired,
-                    direction: cfgDir,
-                    allowed: Number.isFinite(allowed) ? allowed : "∞",
-                    appliedChange,
-                    replicas: state.replicas,
-                });
-            } else {
-                logDecision({
-                    t: state.t,
-                    metric,
-                    ratio: state.target > 0 ? metric / state.target : 1,
-                    desired: desiredRaw,
-                    stabilized: stabilizedDesired,
-                    direction: direction === "hold" ? "hold" : "gated",
-                    allowed: 0,
-                    appliedChange: 0,
-                    replicas: state.replicas,
-                });
-            }
-        }
+        const { point, decision } = sim.tick(dt);
+        if (decision) logDecision(decision);
+        state.data.push(point);
+        requestRender();
+    }
 
-        state.data.push({
-            t: state.t,
-            metric,
-            replicas: state.replicas,
-            desired: desiredRaw,
-            stabilized: stabilizedDesired,
+    // Charts are redrawn at most once per animation frame, however many ticks ran in it
+    let renderPending = false;
+    function requestRender() {
+        if (renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            renderCharts();
+            renderAnalytics();
         });
-
-        // Keep data length reasonable
-        if (state.data.length > 2000) state.data.shift();
-
-        renderCharts();
     }
 
     let rafId = 0;
@@ -449,6 +1173,11 @@
         const elapsed = (ts - lastTs) / 1000;
         lastTs = ts;
         const scaled = elapsed * state.speed;
+        if (replay) {
+            playTo(replay.clock + scaled);
+            if (state.running) rafId = requestAnimationFrame(loop);
+            return;
+        }
         // advance by timeStep chunks to keep physics stable
         let acc = scaled;
         while (acc > 0) {
@@ -460,7 +1189,8 @@
     }
 
     function start() {
-        if (state.running) return;
+        if (state.running || runJob) return;
+        if (replay && replay.index === state.data.length - 1) seek(0);
         state.running = true;
         lastTs = 0;
         rafId = requestAnimationFrame(loop);
@@ -468,20 +1198,496 @@
     function pause() {
         state.running = false;
         if (rafId) cancelAnimationFrame(rafId);
+        requestRender();
     }
     function step() {
         pause();
-        tick(state.timeStep);
+        if (runJob) return;
+        if (replay) seek(replay.index + 1);
+        else tick(state.timeStep);
+    }
+
+    // Long computations (Run to T, the behavior tuner) go to worker.js. Where the page may not start
+    // workers (some browsers refuse them for pages opened from file://) the same job runs on the
+    // page in slices between frames instead. handlers: progress(done, steps), done(result) and
+    // fail(message); none of them is called after cancelJob().
+    const PAGE_SLICE = 5000; // ticks per slice when running on the page
+
+    function startJob(request, handlers) {
+        const job = { worker: null, stopped: false };
+        const end = (handler, value) => {
+            if (job.stopped) return;
+            job.stopped = true;
+            handler(value);
+        };
+        const runInPage = () => {
+            job.worker = null;
+            let work;
+            const slice = () => {
+                if (job.stopped) return;
+                try {
+                    if (!work) work = request.type === "tune" ? window.HPA_TUNER.createSearch(request.config, request) : engine.createRun(request.config, request);
+                    if (work.advance(PAGE_SLICE)) {
+                        end(handlers.done, work.result());
+                        return;
+                    }
+                } catch (e) {
+                    end(handlers.fail, e.message);
+                    return;
+                }
+                handlers.progress(work.done, work.steps);
+                setTimeout(slice, 0);
+            };
+            setTimeout(slice, 0);
+        };
+        try {
+            job.worker = new Worker("worker.js");
+        } catch (e) {
+            runInPage();
+            return job;
+        }
+        job.worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === "progress") {
+                if (!job.stopped) handlers.progress(msg.done, msg.steps);
+                return;
+            }
+            job.worker.terminate();
+            if (msg.type === "done") end(handlers.done, msg.result);
+            else end(handlers.fail, msg.message);
+        };
+        // Errors inside a job come back as messages, so this is the worker failing to load
+        job.worker.onerror = (e) => {
+            e.preventDefault();
+            job.worker.terminate();
+            if (!job.stopped) runInPage();
+        };
+        job.worker.postMessage(request);
+        return job;
     }
+
+    function cancelJob(job) {
+        job.stopped = true;
+        if (job.worker) job.worker.terminate();
+    }
+
+    // "Run to T" computes the whole timeline at once and shows it for replay
+    let runJob = null; // while a run is being computed
+
+    function runTo() {
+        if (runJob) {
+            cancelRun();
+            return;
+        }
+        const duration = Number($("#runToTime").value || 0);
+        if (!(duration > 0)) return;
+        clearSim();
+        const config = Object.assign(snapshotConfig(), { trace: state.trace, scenarioLayers: state.scenarioLayers, seed: state.seed });
+        const started = Date.now();
+        showRunProgress(0, 1);
+        runJob = startJob({ type: "run", config, duration, timeStep: state.timeStep }, {
+            progress: showRunProgress,
+            done: (result) => {
+                runJob = null;
+                showRunProgress(null);
+                showComputedRun(result.timeline, result.decisions);
+                $("#runStatus").textContent = `Computed ${formatTime(duration)} in ${((Date.now() - started) / 1000).toFixed(1)}s`;
+            },
+            fail: (message) => {
+                runJob = null;
+                showRunProgress(null);
+                $("#runStatus").textContent = `Run failed: ${message}`;
+            },
+        });
+    }
+
+    function cancelRun() {
+        if (!runJob) return;
+        cancelJob(runJob);
+        runJob = null;
+        showRunProgress(null);
+        $("#runStatus").textContent = "Run cancelled";
+    }
+
+    // done of steps ticks computed, or null when no run is being computed
+    function showRunProgress(done, steps) {
+        const active = done != null;
+        const bar = $("#runProgress");
+        bar.hidden = !active;
+        $("#runToBtn").textContent = active ? "Cancel" : "Run to T";
+        if (!active) return;
+        bar.value = steps ? done / steps : 0;
+        $("#runStatus").textContent = `Computing... ${Math.floor((steps ? done / steps : 0) * 100)}%`;
+    }
+
+    function showComputedRun(timeline, decisions) {
+        state.data = timeline;
+        state.logs = decisions;
+        $("#logBody").innerHTML = decisions.map((row) => `<tr class="${zeroChange(row) ? "zero" : ""}">${logCells(row)}</tr>`).join("");
+        if (timeline.length) {
+            replay = { index: timeline.length - 1, clock: 0, logCount: decisions.length };
+            $("#scrubRange").max = timeline.length - 1;
+            $("#scrubber").hidden = false;
+            seek(replay.index);
+        }
+        renderCharts();
+    }
+
+    // Move the replay playhead to state.data[index]; clock is the replay time in seconds, which
+    // runs on between points during playback
+    function seek(index, clock) {
+        const data = state.data;
+        replay.index = clamp(index, 0, data.length - 1);
+        const t = data[replay.index].t;
+        replay.clock = clock != null ? clock : t;
+        // Rows after the playhead are hidden; only the ones that changed are touched
+        const logs = state.logs;
+        let count = indexAtTime(logs, t);
+        while (count < logs.length && logs[count].t <= t) count += 1;
+        const rows = $("#logBody").children;
+        for (let i = Math.min(count, replay.logCount); i < Math.max(count, replay.logCount); i += 1) {
+            rows[i].hidden = i >= count;
+        }
+        replay.logCount = count;
+        $("#scrubRange").value = replay.index;
+        $("#scrubTime").textContent = `${formatTime(t)} / ${formatTime(data[data.length - 1].t)}`;
+        requestRender();
+    }
+
+    // Playback: advance the playhead to replay time clock, stopping at the end of the run
+    function playTo(clock) {
+        const data = state.data;
+        let index = indexAtTime(data, clock);
+        if (index >= data.length || data[index].t > clock) index -= 1;
+        seek(Math.max(index, replay.index), clock);
+        if (replay.index === data.length - 1) pause();
+    }
+    // Metrics pipeline fields of state, each edited in the input with the same id
+    const PIPELINE_KEYS = [
+        "scrapeInterval", "scrapeWindow", "metricLatency", "metricDropRate", "podMetricDropRate",
+        "metricStaleAfter", "metricOutageStart", "metricOutageSeconds",
+    ];
+
+    // Node pool fields of state, each edited in the input with the same id
+    const NODE_KEYS = [
+        "maxNodes", "minNodes", "podsPerNode", "nodeCpu", "nodeMemoryGiB", "nodeProvisionSeconds", "nodeScaleDownSeconds",
+    ];
+
+    // Fields of state that make up a simulation config, as the engine reads them
+    const configKeys = [
+        "minReplicas", "maxReplicas", "initialReplicas", "syncPeriod", "metrics", "loadModel", "demandScale",
+        "podStartupSeconds", "podShutdownSeconds", "cpuInitializationPeriod", "metricWindowSeconds", "behavior",
+        "kubernetesVersion", "controllerTolerance", "hpaConfigurableTolerance", "containers", ...PIPELINE_KEYS, ...NODE_KEYS,
+        "hpaScaleToZero", "kedaActivation", "kedaPollingInterval", "kedaCooldownPeriod",
+    ];
+
+    function snapshotConfig() {
+        const config = {};
+        configKeys.forEach((k) => (config[k] = state[k]));
+        return JSON.parse(JSON.stringify(config));
+    }
+
+    function describeRules(rules) {
+        if (rules.selectPolicy === "Disabled") return "disabled";
+        const policies = rules.policies.map((p) => engine.describePolicy(p)).join(", ");
+        return `${rules.stabilizationWindowSeconds}s window, ${rules.selectPolicy}(${policies})`;
+    }
+
+    function describeConfig(config) {
+        const load = config.loadModel === "demand" ? "closed loop" : "open loop";
+        const pipeline = engine.hasMetricsPipeline(config)
+            ? `, scrapes every ${config.scrapeInterval}s${config.metricLatency ? ` +${config.metricLatency}s latency` : ""}`
+            : "";
+        const pool = engine.hasNodePool(config) ? `, up to ${config.maxNodes} nodes of ${engine.nodeFit(config).pods} pods` : "";
+        const zero = { hpa: " (HPAScaleToZero)", keda: ` (KEDA, ${config.kedaCooldownPeriod}s cooldown)` }[engine.scaleToZeroMode(config)] || "";
+        const gate = engine.configurableTolerance(config) ? " (HPAConfigurableTolerance)" : "";
+        return `Kubernetes ${engine.versionProfile(config.kubernetesVersion).name}${gate}, ${load}${pipeline}${pool}, ${config.minReplicas}${zero}-${config.maxReplicas} replicas; up: ${describeRules(config.behavior.up)}; down: ${describeRules(config.behavior.down)}`;
+    }
+
+    function addVariant() {
+        captureUI();
+        state.initialReplicas = Number($("#initialReplicas").value || 1);
+        const letter = String.fromCharCode(65 + (state.variants.length % 26));
+        state.variants.push({ name: `Config ${letter}`, config: snapshotConfig() });
+        state.comparison = null;
+        renderCompareTable();
+        renderCharts();
+    }
+
+    // Run every saved config against the identical metric stream: the current page's scenarios
+    // (or trace) evaluated once with the chosen seed and shared by all runs
+    function runComparison() {
+        if (state.variants.length === 0) return;
+        captureUI();
+        const duration = Number($("#compareDuration").value || 900);
+        const source = engine.sharedSource(state.metrics, {
+            random: engine.createRandom(state.seed),
+            trace: state.trace,
+            layers: state.scenarioLayers,
+            seed: state.seed,
+        });
+        state.comparison = {
+            duration,
+            runs: state.variants.map((v) => {
+                const config = Object.assign({}, v.config, { trace: state.trace, scenarioLayers: state.scenarioLayers, seed: state.seed });
+                const run = engine.simulate(config, { duration, timeStep: state.timeStep, source });
+                return { timeline: run.timeline, summary: engine.summarize(config, run, state.analytics) };
+            }),
+        };
+        renderCompareTable();
+        clearSim();
+    }
+
+    // ---- Behavior tuner (tuner.js): candidate behaviors against the current scenarios or trace ----
+
+    let tuneJob = null; // while a search is running
+
+    function runTuner() {
+        if (tuneJob) {
+            cancelJob(tuneJob);
+            tuneJob = null;
+            showTuneProgress(null);
+            $("#tuneStatus").textContent = "Search cancelled";
+            return;
+        }
+        captureUI();
+        const maxFlaps = $("#tuneMaxFlaps").value.trim();
+        const request = {
+            type: "tune",
+            config: Object.assign(snapshotConfig(), { trace: state.trace, scenarioLayers: state.scenarioLayers, seed: state.seed }),
+            duration: Number($("#tuneDuration").value || 3600),
+            timeStep: state.timeStep,
+            budget: Number($("#tuneBudget").value || 150),
+            goals: {
+                maxMetricPercent: Number($("#tuneMetricPercent").value || 120),
+                attainment: Number($("#tuneAttainment").value || 99) / 100,
+                maxReversalsPerHour: maxFlaps === "" ? null : Number(maxFlaps),
+            },
+        };
+        const started = Date.now();
+        showTuneProgress(0, 1);
+        tuneJob = startJob(request, {
+            progress: showTuneProgress,
+            done: (result) => {
+                tuneJob = null;
+                showTuneProgress(null);
+                const found = result.filter((r) => r.meetsGoal).length;
+                $("#tuneStatus").textContent = `${request.budget} candidates in ${((Date.now() - started) / 1000).toFixed(1)}s; `
+                    + (found ? `best ${found === 1 ? "one" : found} meeting the goal first` : "none met the goal, closest first");
+                renderTuneTable(result, request.goals);
+            },
+            fail: (message) => {
+                tuneJob = null;
+                showTuneProgress(null);
+                $("#tuneStatus").textContent = `Search failed: ${message}`;
+            },
+        });
+    }
+
+    function showTuneProgress(done, steps) {
+        const active = done != null;
+        $("#tuneProgress").hidden = !active;
+        $("#tuneBtn").textContent = active ? "Cancel" : "Find behaviors";
+        if (!active) return;
+        $("#tuneProgress").value = steps ? done / steps : 0;
+        $("#tuneStatus").textContent = `Searching... ${Math.floor((steps ? done / steps : 0) * 100)}%`;
+    }
+
+    // One row per candidate, best first; Load puts its behavior into the editor with the rest of
+    // the setup unchanged
+    function renderTuneTable(results, goals) {
+        const body = $("#tuneBody");
+        body.innerHTML = "";
+        results.forEach((r, i) => {
+            const s = r.summary;
+            const tr = document.createElement("tr");
+            tr.className = r.meetsGoal ? "meets-goal" : "";
+            tr.innerHTML = `
+        <td>${r.label ? `<span class="template-tag">${r.label}</span>` : i + 1}</td>
+        <td class="muted">up: ${escapeHtml(describeRules(r.behavior.up))}; down: ${escapeHtml(describeRules(r.behavior.down))}</td>
+        <td>${r.meetsGoal ? "✓" : "✗"} ${(r.attainment * 100).toFixed(2)}%</td>
+        <td>${s.podHours.toFixed(2)}</td>
+        <td>${s.reversalsPerHour.toFixed(2)}</td>
+        <td>${s.scaleUps + s.scaleDowns} (${s.scaleUps} up / ${s.scaleDowns} down)</td>
+        <td><button class="btn small">Load</button></td>
+      `;
+            tr.querySelector("button").addEventListener("click", () => {
+                applyParamsToUI(Object.assign(currentSetup(), { up: r.behavior.up, down: r.behavior.down }));
+            });
+            body.appendChild(tr);
+        });
+        $("#tuneGoalHeader").textContent = `Under ${goals.maxMetricPercent}%`;
+    }
+
+    function clearComparison() {
+        state.comparison = null;
+        renderCompareTable();
+        renderCharts();
+    }
+
+    function renderCompareTable() {
+        const body = $("#compareBody");
+        if (state.variants.length === 0) {
+            body.innerHTML = `<tr><td colspan="7" class="muted">Add the current config, change the inputs, add again, then run the comparison.</td></tr>`;
+            return;
+        }
+        body.innerHTML = "";
+        state.variants.forEach((v, i) => {
+            const run = state.comparison && state.comparison.runs[i];
+            const stats = run
+                ? [
+                    run.summary.peakReplicas,
+                    run.summary.podHours.toFixed(2),
+                    `${run.summary.timeAboveTarget.toFixed(0)}s (${((run.summary.timeAboveTarget / state.comparison.duration) * 100).toFixed(0)}%)`,
+                    `${run.summary.scaleUps + run.summary.scaleDowns} (${run.summary.scaleUps} up / ${run.summary.scaleDowns} down)`,
+                ]
+                : ["-", "-", "-", "-"];
+            const tr = document.createElement("tr");
+            tr.innerHTML = `
+        <td><div class="variant-name"><span class="dot" style="background:${compareColors[i % compareColors.length]}"></span><input type="text" /></div></td>
+        <td class="muted">${escapeHtml(describeConfig(v.config))}</td>
+        ${stats.map((x) => `<td>${x}</td>`).join("")}
+        <td><button class="btn small remove">Remove</button></td>
+      `;
+            const name = tr.querySelector("input");
+            name.value = v.name;
+            name.addEventListener("change", () => {
+                v.name = name.value.trim() || v.name;
+                renderCharts();
+            });
+            tr.querySelector(".remove").addEventListener("click", () => {
+                state.variants.splice(i, 1);
+                if (state.comparison) state.comparison.runs.splice(i, 1);
+                if (state.comparison && state.comparison.runs.length === 0) state.comparison = null;
+                renderCompareTable();
+                renderCharts();
+            });
+            body.appendChild(tr);
+        });
+    }
+
+    // One row per layer with an input for each parameter, in stack order
+    function renderLayersUI() {
+        const list = $("#scenarioLayers");
+        list.innerHTML = "";
+        state.scenarioLayers.forEach((layer, index) => {
+            const type = engine.scenarioLayerTypes[layer.type];
+            const item = document.createElement("div");
+            item.className = "layer-item";
+            item.innerHTML = `
+        <span class="layer-name">${index + 1}. ${type.name}</span>
+        ${type.params.map((p) => `<label>${p.label}<input type="number" data-key="${p.key}" step="${p.step}" /></label>`).join("")}
+        <button class="btn small remove">Remove</button>
+      `;
+            item.querySelectorAll("input").forEach((input) => {
+                input.value = layer.params[input.dataset.key];
+                input.addEventListener("change", () => {
+                    layer.params[input.dataset.key] = Number(input.value || 0);
+                    clearSim();
+                });
+            });
+            item.querySelector(".remove").addEventListener("click", () => {
+                state.scenarioLayers.splice(index, 1);
+                renderLayersUI();
+                clearSim();
+            });
+            list.appendChild(item);
+        });
+    }
+
+    // ---- Pod containers: requests and usage per container (engine.containerMetric) ----
+
+    const CONTAINER_SCENARIOS = metricScenarios.filter((sc) => sc.id !== "trace");
+    const MIB = 1024 * 1024;
+
+    // A container with every field filled in: the first one added is the app, later ones sidecars.
+    // from may be a partial container, e.g. { name, requests } from an imported workload.
+    function newContainer(index, from = {}) {
+        const app = index === 0;
+        const c = {
+            name: app ? "app" : `sidecar${index}`,
+            requests: { cpu: app ? 0.5 : 0.1, memory: (app ? 512 : 128) * MIB },
+            levels: { cpu: app ? 70 : 20, memory: app ? 60 : 40 },
+            scenario: app ? "rise-and-fall" : "noisy",
+            customFormula: "",
+        };
+        return JSON.parse(JSON.stringify(Object.assign(c, from, {
+            requests: Object.assign(c.requests, from.requests),
+            levels: Object.assign(c.levels, from.levels),
+        })));
+    }
+
+    function renderContainersUI() {
+        const list = $("#containerList");
+        list.innerHTML = "";
+        state.containers.forEach((c, index) => {
+            const item = document.createElement("div");
+            item.className = "layer-item container-item";
+            item.innerHTML = `
+        <label>Container<input type="text" data-key="name" /></label>
+        <label>CPU request (m)<input type="number" data-key="cpu" min="0" step="10" /></label>
+        <label>Memory request (Mi)<input type="number" data-key="memory" min="0" step="16" /></label>
+        <label>Usage<select data-key="scenario">${CONTAINER_SCENARIOS.map((sc) => `<option value="${sc.id}">${sc.name}</option>`).join("")}</select></label>
+        <label>CPU level (% of request)<input type="number" data-key="cpuLevel" min="0" /></label>
+        <label>Memory level (% of request)<input type="number" data-key="memoryLevel" min="0" /></label>
+        <label>Custom f(t)<input type="text" data-key="customFormula" placeholder="% of request" /></label>
+        <button class="btn small remove">Remove</button>
+      `;
+            const fields = {
+                name: [() => c.name, (v) => (c.name = v.trim() || `container${index + 1}`)],
+                cpu: [() => Math.round(c.requests.cpu * 1000), (v) => (c.requests.cpu = Number(v || 0) / 1000)],
+                memory: [() => Math.round(c.requests.memory / MIB), (v) => (c.requests.memory = Number(v || 0) * MIB)],
+                scenario: [() => c.scenario, (v) => (c.scenario = v)],
+                cpuLevel: [() => c.levels.cpu, (v) => (c.levels.cpu = Number(v || 0))],
+                memoryLevel: [() => c.levels.memory, (v) => (c.levels.memory = Number(v || 0))],
+                customFormula: [() => c.customFormula, (v) => (c.customFormula = v)],
+            };
+            item.querySelectorAll("[data-key]").forEach((input) => {
+                const [get, set] = fields[input.dataset.key];
+                input.value = get();
+                input.addEventListener("change", () => {
+                    set(input.value);
+                    if (input.dataset.key === "customFormula" && input.value.trim()) {
+                        c.scenario = "custom";
+                        item.querySelector("[data-key=scenario]").value = "custom";
+                    }
+                    captureUI();
+                    clearSim();
+                });
+            });
+            const formula = item.querySelector("[data-key=customFormula]");
+            formula.addEventListener("input", () => markFormula(formula));
+            markFormula(formula);
+            item.querySelector(".remove").addEventListener("click", () => {
+                state.containers.splice(index, 1);
+                renderContainersUI();
+                captureUI();
+                clearSim();
+            });
+            list.appendChild(item);
+        });
+        $("#containerNote").textContent = state.containers.length
+            ? "Resource and ContainerResource metrics are computed from these containers; their own scenario is not used."
+            : "No containers: Resource metrics read their scenario as the pod's utilization.";
+    }
+
     function clearSim() {
         pause();
-        state.t = 0;
-        state.elapsedSinceSync = 0;
-        state.replicas = Number($("#initialReplicas").value || 1);
+        if (runJob) cancelRun();
+        else $("#runStatus").textContent = "";
+        replay = null;
+        $("#scrubber").hidden = true;
+        state.initialReplicas = Number($("#initialReplicas").value || 1);
+        sim = engine.createSimulation(state);
         state.data = [];
-        state.desiredHistory = [];
+        Object.assign(chartView, { start: null, end: null, yMetric: null, yReplica: null });
         clearLog();
+        updatePermalink();
+        $("#layerEditor").hidden = !state.metrics.some((m) => m.scenario === "layers");
+        updateFormulaPreview();
+        renderTraceChart();
         renderCharts();
+        renderAnalytics();
     }
 
     function applyParamsToUI(params) {
@@ -489,7 +1695,51 @@
         $("#maxReplicas").value = params.maxReplicas;
         $("#initialReplicas").value = params.initialReplicas;
         $("#targetValue").value = params.targetValue;
+        if (params.metrics) inflateMetricsUI(params.metrics);
+        else if (params.scenario) $("#metricScenario").value = params.scenario;
+        if (params.metadata) {
+            $("#hpaName").value = params.metadata.name || "";
+            $("#hpaNamespace").value = params.metadata.namespace || "";
+        }
+        if (params.scaleTargetRef) {
+            $("#targetKind").value = params.scaleTargetRef.kind;
+            $("#targetName").value = params.scaleTargetRef.name || "";
+            state.manifestMeta.targetApiVersion = params.scaleTargetRef.apiVersion || "apps/v1";
+        }
         $("#syncPeriod").value = params.syncPeriod;
+        // Fields a full setup (permalink or saved config) carries on top of a template's params
+        if (params.timeStep != null) $("#timeStep").value = params.timeStep;
+        if (params.speed != null) $("#speedSlider").value = params.speed;
+        if (params.seed != null) $("#seed").value = params.seed;
+        if (params.loadModel) $("#loadModel").value = params.loadModel;
+        if (params.demandScale != null) $("#demandScale").value = params.demandScale;
+        if (params.podStartupSeconds != null) $("#podStartup").value = params.podStartupSeconds;
+        if (params.podShutdownSeconds != null) $("#podShutdown").value = params.podShutdownSeconds;
+        if (params.cpuInitializationPeriod != null) $("#cpuInitPeriod").value = params.cpuInitializationPeriod;
+        if (params.kubernetesVersion) $("#k8sVersion").value = engine.versionProfile(params.kubernetesVersion).id;
+        if (params.controllerTolerance != null) $("#controllerTolerance").value = params.controllerTolerance;
+        if (params.hpaConfigurableTolerance != null) $("#hpaConfigurableTolerance").checked = params.hpaConfigurableTolerance;
+        PIPELINE_KEYS.concat(NODE_KEYS).forEach((k) => {
+            if (params[k] != null) $(`#${k}`).value = params[k];
+        });
+        if (params.hpaScaleToZero != null) $("#hpaScaleToZero").checked = params.hpaScaleToZero;
+        if (params.kedaActivation != null) $("#kedaActivation").checked = params.kedaActivation;
+        if (params.kedaPollingInterval != null) $("#kedaPollingInterval").value = params.kedaPollingInterval;
+        if (params.kedaCooldownPeriod != null) $("#kedaCooldownPeriod").value = params.kedaCooldownPeriod;
+        if (params.analytics) {
+            $("#podPrice").value = params.analytics.pricePerPodHour;
+            $("#saturationPercent").value = Math.round(params.analytics.saturation * 100);
+            $("#flapWindow").value = params.analytics.flapWindowSeconds / 60;
+            captureAnalytics();
+        }
+        if (params.scenarioLayers) {
+            state.scenarioLayers = JSON.parse(JSON.stringify(params.scenarioLayers)).filter((l) => engine.scenarioLayerTypes[l.type]);
+            renderLayersUI();
+        }
+        if (params.containers) {
+            state.containers = params.containers.map((c, i) => newContainer(i, c));
+            renderContainersUI();
+        }
         $("#upStabWindow").value = params.up.stabilizationWindowSeconds;
         $("#downStabWindow").value = params.down.stabilizationWindowSeconds;
         $("#upTolerance").value = params.up.tolerance;
@@ -499,38 +1749,295 @@
         state.behavior.up = JSON.parse(JSON.stringify(params.up));
         state.behavior.down = JSON.parse(JSON.stringify(params.down));
         inflatePoliciesUI();
-        updateYamlPreview();
+        captureUI();
         clearSim();
     }
 
+    // Everything needed to reproduce the current run, in applyParamsToUI's format. A recorded
+    // trace is not included: links and saved configs would get too large.
+    function currentSetup() {
+        const meta = state.manifestMeta;
+        return JSON.parse(JSON.stringify({
+            minReplicas: state.minReplicas,
+            maxReplicas: state.maxReplicas,
+            initialReplicas: state.initialReplicas,
+            targetValue: state.metrics[0].target,
+            syncPeriod: state.syncPeriod,
+            timeStep: state.timeStep,
+            speed: state.speed,
+            seed: state.seed,
+            loadModel: state.loadModel,
+            demandScale: state.demandScale,
+            podStartupSeconds: state.podStartupSeconds,
+            podShutdownSeconds: state.podShutdownSeconds,
+            cpuInitializationPeriod: state.cpuInitializationPeriod,
+            kubernetesVersion: state.kubernetesVersion,
+            controllerTolerance: state.controllerTolerance,
+            hpaConfigurableTolerance: state.hpaConfigurableTolerance,
+            scrapeInterval: state.scrapeInterval,
+            scrapeWindow: state.scrapeWindow,
+            metricLatency: state.metricLatency,
+            metricDropRate: state.metricDropRate,
+            podMetricDropRate: state.podMetricDropRate,
+            metricStaleAfter: state.metricStaleAfter,
+            metricOutageStart: state.metricOutageStart,
+            metricOutageSeconds: state.metricOutageSeconds,
+            maxNodes: state.maxNodes,
+            minNodes: state.minNodes,
+            podsPerNode: state.podsPerNode,
+            nodeCpu: state.nodeCpu,
+            nodeMemoryGiB: state.nodeMemoryGiB,
+            nodeProvisionSeconds: state.nodeProvisionSeconds,
+            nodeScaleDownSeconds: state.nodeScaleDownSeconds,
+            hpaScaleToZero: state.hpaScaleToZero,
+            kedaActivation: state.kedaActivation,
+            kedaPollingInterval: state.kedaPollingInterval,
+            kedaCooldownPeriod: state.kedaCooldownPeriod,
+            metrics: state.metrics,
+            scenarioLayers: state.scenarioLayers,
+            containers: state.containers,
+            analytics: state.analytics,
+            up: state.behavior.up,
+            down: state.behavior.down,
+            metadata: { name: meta.name, namespace: meta.namespace },
+            scaleTargetRef: { apiVersion: meta.targetApiVersion, kind: meta.targetKind, name: meta.targetName },
+        }));
+    }
+
+    // ---- Permalinks: the setup as base64-encoded JSON in the URL hash ----
+
+    const PERMALINK_PREFIX = "#setup=";
+    let permalinkReady = false; // set once the page has been restored, so startup does not overwrite the link
+
+    function encodeSetup(setup) {
+        const base64 = window.btoa(unescape(encodeURIComponent(JSON.stringify(setup))));
+        return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    function decodeSetup(text) {
+        const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+        return JSON.parse(decodeURIComponent(escape(window.atob(base64))));
+    }
+
+    function updatePermalink() {
+        if (!permalinkReady) return;
+        try {
+            window.history.replaceState(null, "", PERMALINK_PREFIX + encodeSetup(currentSetup()));
+        } catch (e) {
+            // Some browsers refuse history updates for pages opened from file://; Copy Link still works there
+        }
+    }
+
+    // Setup from the URL hash, or null when there is none. Throws if the hash cannot be read.
+    function readPermalink() {
+        const hash = window.location.hash;
+        if (!hash.startsWith(PERMALINK_PREFIX)) return null;
+        const setup = decodeSetup(hash.slice(PERMALINK_PREFIX.length));
+        if (!setup || !setup.up || !setup.down) throw new Error("missing scaling behavior");
+        const problem = window.HPA_TEMPLATES.setupError(setup);
+        if (problem) throw new Error(`${problem.at}: ${problem.message}`);
+        return setup;
+    }
+
+    function restorePermalink() {
+        try {
+            const setup = readPermalink();
+            if (!setup) return;
+            applyParamsToUI(setup);
+        } catch (e) {
+            $("#templateDescription").textContent = `Could not read the link: ${e.message}`;
+            return;
+        }
+        $("#templateDescription").textContent = "Setup restored from the link.";
+    }
+
+    function copyLink() {
+        captureUI();
+        const url = window.location.href.split("#")[0] + PERMALINK_PREFIX + encodeSetup(currentSetup());
+        navigator.clipboard.writeText(url).then(() => {
+            $("#copyLinkBtn").textContent = "Copied";
+            setTimeout(() => ($("#copyLinkBtn").textContent = "Copy Link"), 1200);
+        });
+    }
+
     function captureUI() {
         state.minReplicas = Number($("#minReplicas").value || 0);
         state.maxReplicas = Number($("#maxReplicas").value || 1);
-        state.target = Number($("#targetValue").value || 1);
+        state.loadModel = $("#loadModel").value;
+        state.demandScale = Number($("#demandScale").value || 1);
         state.syncPeriod = Number($("#syncPeriod").value || 15);
         state.timeStep = Number($("#timeStep").value || 1);
+        state.podStartupSeconds = Number($("#podStartup").value || 0);
+        state.podShutdownSeconds = Number($("#podShutdown").value || 0);
+        state.cpuInitializationPeriod = Number($("#cpuInitPeriod").value || 0);
         state.speed = Number($("#speedSlider").value || 1);
+        state.seed = Number($("#seed").value || 0);
+        state.initialReplicas = Number($("#initialReplicas").value || 1);
+        state.kubernetesVersion = $("#k8sVersion").value;
+        state.controllerTolerance = Number($("#controllerTolerance").value || 0);
+        state.hpaConfigurableTolerance = $("#hpaConfigurableTolerance").checked;
+        PIPELINE_KEYS.concat(NODE_KEYS).forEach((k) => (state[k] = Number($(`#${k}`).value || 0)));
+        state.hpaScaleToZero = $("#hpaScaleToZero").checked;
+        state.kedaActivation = $("#kedaActivation").checked;
+        state.kedaPollingInterval = Number($("#kedaPollingInterval").value || 30);
+        state.kedaCooldownPeriod = Number($("#kedaCooldownPeriod").value || 0);
         state.behavior.up.stabilizationWindowSeconds = Number($("#upStabWindow").value || 0);
         state.behavior.down.stabilizationWindowSeconds = Number($("#downStabWindow").value || 0);
         state.behavior.up.tolerance = Number($("#upTolerance").value || 0);
         state.behavior.down.tolerance = Number($("#downTolerance").value || 0);
         state.behavior.up.selectPolicy = $("#upSelectPolicy").value;
         state.behavior.down.selectPolicy = $("#downSelectPolicy").value;
+        state.manifestMeta.name = $("#hpaName").value.trim();
+        state.manifestMeta.namespace = $("#hpaNamespace").value.trim();
+        state.manifestMeta.targetKind = $("#targetKind").value;
+        state.manifestMeta.targetName = $("#targetName").value.trim();
         syncPoliciesFromUI();
+        syncMetricsFromUI();
+        updateVersionUI();
+        updateNodeUI();
+        updateScaleToZeroUI();
         updateYamlPreview();
+        updateFormulaPreview();
+        updatePermalink();
+    }
+
+    // Disable and flag the fields the controller does not read under the selected Kubernetes version
+    // and feature gate; the engine ignores them too (engine.effectiveTolerance). The controller
+    // tolerance only matters without them, and the gate only shows for versions that have it.
+    function updateVersionUI() {
+        const profile = engine.versionProfile(state.kubernetesVersion);
+        const hasGate = profile.tolerance === "per-direction";
+        const global = !engine.configurableTolerance(state);
+        ["#upTolerance", "#downTolerance"].forEach((sel) => {
+            const label = $(sel).closest("label");
+            $(sel).disabled = global;
+            label.classList.toggle("unsupported", global);
+            label.querySelector(".version-flag").textContent = global ? (hasGate ? "feature gate off" : `not in ${profile.name}`) : "";
+            label.title = !global ? ""
+                : hasGate ? "Enable the HPAConfigurableTolerance feature gate to use per-direction tolerance"
+                : `Kubernetes ${profile.name} has one tolerance for both directions: the controller tolerance`;
+        });
+        $("#hpaConfigurableTolerance").closest("label").hidden = !hasGate;
+        $("#controllerTolerance").closest("label").hidden = !global;
+        $("#versionNote").textContent = profile.note;
+    }
+
+    // How many pods a node fits and what bounds it, under the Node Pool settings
+    function updateNodeUI() {
+        const note = $("#nodeFitNote");
+        if (!engine.hasNodePool(state)) {
+            note.textContent = "No node pool: every pod is scheduled as soon as it is created.";
+            return;
+        }
+        const fit = engine.nodeFit(state);
+        const bound = { pods: "pods per node", cpu: "CPU requests", memory: "memory requests" }[fit.boundBy];
+        note.textContent = fit.pods > 0
+            ? `${fit.pods} pods per node (bound by ${bound}), ${fit.pods * state.maxNodes} at most.`
+            : `A pod's ${fit.boundBy} requests do not fit on a node: every pod stays Pending.`;
+        note.classList.toggle("warning", fit.pods === 0);
+    }
+
+    // Whether minReplicas 0 holds and who scales to and from zero, under the Scale to Zero settings
+    function updateScaleToZeroUI() {
+        const note = $("#scaleToZeroNote");
+        const mode = engine.scaleToZeroMode(state);
+        ["#kedaPollingInterval", "#kedaCooldownPeriod"].forEach((sel) => ($(sel).disabled = !state.kedaActivation));
+        let text;
+        if (state.minReplicas > 0) text = "Min Replicas is above 0: the workload does not scale to zero.";
+        else if (!state.metrics.some((m) => activates(m.type))) text = "Min Replicas 0 needs an Object or External metric: the HPA keeps at least 1.";
+        else if (!mode) text = "Min Replicas 0 needs the feature gate or KEDA-style activation: the HPA keeps at least 1.";
+        else if (mode === "hpa") text = "The HPA scales to 0 and back itself, from its Object and External metrics.";
+        else text = `The HPA keeps at least 1. Every ${state.kedaPollingInterval}s the activator wakes a workload at 0 when a metric is above its activation threshold, and scales it to 0 after ${state.kedaCooldownPeriod}s with none.`;
+        note.textContent = text;
+        note.classList.toggle("warning", state.minReplicas === 0 && !mode);
+    }
+
+    // ---- Cost & SLO: engine.summarize() over the run shown on the charts ----
+
+    // The run the charts show: a replay up to its playhead, otherwise everything so far
+    function shownRun() {
+        if (!replay) return { timeline: state.data, decisions: state.logs };
+        return { timeline: state.data.slice(0, replay.index + 1), decisions: state.logs.slice(0, replay.logCount) };
+    }
+
+    let analyticsAt = 0;
+    // Redrawn with the charts, but at most twice a second while running: it reads the whole run
+    function renderAnalytics() {
+        const now = Date.now();
+        if (state.running && now - analyticsAt < 500) return;
+        analyticsAt = now;
+        const grid = $("#analyticsGrid");
+        const run = shownRun();
+        if (run.timeline.length === 0) {
+            grid.innerHTML = `<div class="analytics-empty">Start or run a simulation to see what it costs and how long the metrics stay above target.</div>`;
+            return;
+        }
+        const s = engine.summarize(state, run, state.analytics);
+        const pct = (v) => `${((v / (s.duration || 1)) * 100).toFixed(1)}%`;
+        const flapMinutes = state.analytics.flapWindowSeconds / 60;
+        const tiles = [
+            ["Pod-hours", s.podHours.toFixed(2), `${Math.round(s.podSeconds)} pod-seconds over ${formatTime(s.duration)}`],
+            ["Estimated cost", `$${s.cost.toFixed(2)}`, `at $${state.analytics.pricePerPodHour} per pod-hour`],
+            ["Above target", formatTime(s.timeAboveTarget), `${pct(s.timeAboveTarget)} of the run`],
+            [`Saturated (>= ${Math.round(state.analytics.saturation * 100)}%)`, formatTime(s.timeSaturated), `${pct(s.timeSaturated)} of the run`],
+            ["Peak overshoot", `${(s.peakOvershoot * 100).toFixed(0)}%`, s.peakOvershootMetric ? `${escapeHtml(s.peakOvershootMetric)} at ${formatTime(s.peakOvershootAt)}` : "never above target"],
+            ["Scale events", s.scaleUps + s.scaleDowns, `${s.scaleUps} up / ${s.scaleDowns} down`],
+            ["Flapping", s.reversals, `reversals within ${flapMinutes} min, ${s.reversalsPerHour.toFixed(2)} per hour`],
+            ["Replicas", `${s.peakReplicas} peak`, `lowest ${s.lowestReplicas}, final ${s.finalReplicas}`],
+        ];
+        if (s.peakNodes != null) {
+            tiles.push(["Pods pending", formatTime(s.timePending), `${pct(s.timePending)} of the run, at most ${s.peakPending} pods`]);
+            tiles.push(["Node-hours", s.nodeHours.toFixed(2), `at most ${s.peakNodes} Ready nodes`]);
+        }
+        if (s.lowestReplicas === 0) {
+            tiles.push(["At zero", formatTime(s.timeAtZero), `${pct(s.timeAtZero)} of the run, ${s.wakeUps} wake-up${s.wakeUps === 1 ? "" : "s"}`]);
+        }
+        grid.innerHTML = tiles.map(([label, value, detail]) => `<div class="analytics-tile"><div class="label">${label}</div><div class="value">${value}</div><div class="detail">${detail}</div></div>`).join("");
+    }
+
+    function captureAnalytics() {
+        state.analytics.pricePerPodHour = Number($("#podPrice").value || 0);
+        state.analytics.saturation = Number($("#saturationPercent").value || 100) / 100;
+        state.analytics.flapWindowSeconds = Number($("#flapWindow").value || 1) * 60;
+        analyticsAt = 0;
+        renderAnalytics();
+        updatePermalink();
+    }
+
+    // The Cost & SLO numbers with the settings and setup they came from, for the JSON export
+    function downloadSummary() {
+        const run = shownRun();
+        const report = {
+            generatedAt: new Date().toISOString(),
+            settings: state.analytics,
+            summary: engine.summarize(state, run, state.analytics),
+            setup: currentSetup(),
+        };
+        saveFile("hpa_summary.json", JSON.stringify(report, null, 2), "application/json");
     }
 
     function downloadCsv() {
+        // Additional metrics get one column each, named after the metric; with a metrics pipeline
+        // every metric also gets a column of what the HPA read (empty for no data), and with a node
+        // pool there are pending pod and Ready node columns
+        const extra = state.metrics.slice(1).map((m) => m.name);
+        const seen = engine.hasMetricsPipeline(state) ? state.metrics.map((m) => `seen_${m.name}`) : [];
+        const pool = engine.hasNodePool(state) ? ["pending", "nodes"] : [];
         const headers = [
-            "t", "metric", "replicas", "desired", "stabilized"
+            "t", "demand", "metric", ...extra, "replicas", "ready", "starting", "terminating", "desired", "stabilized", ...seen, ...pool
         ];
-        const rows = state.data.map(d => [d.t, d.metric, d.replicas, d.desired, d.stabilized]);
+        const rows = state.data.map(d => [d.t, d.demand == null ? "" : d.demand, d.metric, ...d.metrics.slice(1), d.replicas, d.ready, d.starting, d.terminating, d.desired, d.stabilized,
+            ...seen.map((name, i) => (Number.isFinite(d.observed[i]) ? d.observed[i] : "")), ...pool.map((key) => (d[key] == null ? "" : d[key]))]);
         const csv = [headers.join(","), ...rows.map(r => r.join(","))].join("\n");
-        const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+        saveFile("hpa_simulation.csv", csv, "text/csv;charset=utf-8;");
+    }
+
+    function saveFile(name, text, type) {
+        const blob = new Blob([text], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
         a.href = url;
-        a.download = "hpa_simulation.csv";
+        a.download = name;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -541,42 +2048,358 @@
         const text = $("#yamlPreview").value;
         navigator.clipboard.writeText(text).then(() => {
             $("#copyYamlBtn").textContent = "Copied";
-            setTimeout(() => ($("#copyYamlBtn").textContent = "Copy YAML"), 1200);
+            setTimeout(() => ($("#copyYamlBtn").textContent = "Copy"), 1200);
         });
     }
 
-    function loadTemplates() {
+    function downloadManifest() {
+        const format = $("#yamlFormat").value;
+        const base = format === "behavior" ? "hpa-behavior" : state.manifestMeta.name || "hpa";
+        if (format === "json") saveFile(`${base}.json`, $("#yamlPreview").value, "application/json");
+        else saveFile(`${base}.yaml`, $("#yamlPreview").value, "application/yaml");
+    }
+
+    // Import an HPA manifest from the import box. Multi-document files list every HPA found in
+    // #manifestDocSelect; the selected one is applied only if it maps without validation errors.
+    function importManifest() {
+        const status = $("#manifestStatus");
+        const docSel = $("#manifestDocSelect");
+        let hpas;
+        try {
+            hpas = window.HPA_MANIFEST.importHpaManifest($("#manifestInput").value);
+        } catch (e) {
+            status.innerHTML = `<ul><li>${escapeHtml(e.message)}</li></ul>`;
+            return;
+        }
+        if (hpas.length === 0) {
+            status.innerHTML = "<ul><li>No HorizontalPodAutoscaler found in the input.</li></ul>";
+            return;
+        }
+        const prev = Number(docSel.value || 0);
+        docSel.innerHTML = hpas.map((h, i) => `<option value="${i}">${escapeHtml(h.name)}${h.errors.length ? " (invalid)" : ""}</option>`).join("");
+        docSel.value = String(prev < hpas.length ? prev : 0);
+        docSel.hidden = hpas.length < 2;
+        const hpa = hpas[Number(docSel.value)];
+        if (hpa.errors.length) {
+            status.innerHTML = `Cannot import ${escapeHtml(hpa.name)}:<ul>${hpa.errors.map((e) => `<li>${escapeHtml(e)}</li>`).join("")}</ul>`;
+            return;
+        }
+        const params = hpa.params;
+        // A manifest says nothing about the simulated workload, so keep the current scenario and playback setup
+        params.metrics[0].scenario = $("#metricScenario").value;
+        params.metrics[0].customFormula = $("#customFormula").value;
+        const initial = clamp(Number($("#initialReplicas").value || 1), params.minReplicas, params.maxReplicas);
+        applyParamsToUI(Object.assign({ initialReplicas: initial, syncPeriod: Number($("#syncPeriod").value || 15) }, params));
+        status.textContent = `Imported ${hpa.name}: ${params.metrics.length} metric(s), ${params.minReplicas}-${params.maxReplicas} replicas.`;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+    }
+
+    function readManifestFile(file) {
+        file.text().then((text) => {
+            $("#manifestInput").value = text;
+            $("#manifestDocSelect").value = "0";
+            importManifest();
+        });
+    }
+
+    // Load a CSV or Prometheus JSON trace; the first metric switches to the trace scenario
+    // unless another metric already replays it
+    function readTraceFile(file) {
+        file.text().then((text) => {
+            let parsed;
+            try {
+                parsed = window.HPA_TRACE.parseTrace(text);
+            } catch (e) {
+                $("#traceInfo").textContent = `Cannot read ${file.name}: ${e.message}`;
+                return;
+            }
+            state.trace = Object.assign(parsed, { name: file.name, column: parsed.columns[0], start: 0, end: null, scale: 1, interpolation: "linear" });
+            $("#traceColumn").innerHTML = parsed.columns.map((c) => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join("");
+            $("#traceStart").value = 0;
+            $("#traceEnd").value = parsed.duration;
+            $("#traceScale").value = 1;
+            $("#traceInterpolation").value = "linear";
+            captureTrace();
+            if (!state.metrics.some((m) => m.scenario === "trace")) {
+                $("#metricScenario").value = "trace";
+                state.metrics[0].scenario = "trace";
+            }
+            clearSim();
+        });
+    }
+
+    function captureTrace() {
+        if (!state.trace) return;
+        state.trace.column = $("#traceColumn").value;
+        state.trace.start = Number($("#traceStart").value || 0);
+        state.trace.end = $("#traceEnd").value === "" ? null : Number($("#traceEnd").value);
+        state.trace.scale = Number($("#traceScale").value || 1);
+        state.trace.interpolation = $("#traceInterpolation").value;
+    }
+
+    // ---- User templates (localStorage): saved setups, clones and imported bundles. They are listed
+    // in the template dropdown after the examples, grouped by where they came from. ----
+
+    const USER_TEMPLATES_KEY = "hpa-simulator.templates";
+    const USER_PREFIX = "user:";
+
+    // Storage can be unavailable (e.g. privacy settings or file:// in some browsers); saving then fails visibly.
+    // Entries are checked like an imported bundle's templates, and ones the page could not load are left out.
+    function loadUserTemplates() {
+        let list;
+        try {
+            list = JSON.parse(window.localStorage.getItem(USER_TEMPLATES_KEY) || "[]");
+        } catch (e) {
+            return [];
+        }
+        return (Array.isArray(list) ? list : []).filter((t, i) => {
+            try {
+                window.HPA_TEMPLATES.normalizeTemplate(t, `saved template ${i}`);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    function storeUserTemplates(list) {
+        try {
+            window.localStorage.setItem(USER_TEMPLATES_KEY, JSON.stringify(list));
+            return true;
+        } catch (e) {
+            $("#templateDescription").textContent = `Could not save: ${e.message}`;
+            return false;
+        }
+    }
+
+    function findTemplate(id) {
+        if (id.startsWith(USER_PREFIX)) return loadUserTemplates().find((t) => USER_PREFIX + t.name === id);
+        return window.HPA_EXAMPLES.find((x) => x.id === id);
+    }
+
+    function uniqueTemplateName(base) {
+        const names = new Set(loadUserTemplates().map((t) => t.name));
+        let name = base;
+        for (let i = 2; names.has(name); i += 1) name = `${base} ${i}`;
+        return name;
+    }
+
+    function fillTemplateSelect(selected) {
         const sel = $("#templateSelect");
-        sel.innerHTML = window.HPA_EXAMPLES.map((e) => `<option value="${e.id}">${e.name}</option>`).join("");
-        const first = window.HPA_EXAMPLES[0];
-        $("#templateDescription").textContent = first.description;
-        applyParamsToUI(first.params);
-        sel.addEventListener("change", () => {
-            const t = window.HPA_EXAMPLES.find((x) => x.id === sel.value);
-            $("#templateDescription").textContent = t.description;
+        const option = (id, name) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`;
+        const groups = new Map();
+        loadUserTemplates().forEach((t) => {
+            const group = t.group || "Saved";
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(t);
+        });
+        sel.innerHTML = `<optgroup label="Examples">${window.HPA_EXAMPLES.map((e) => option(e.id, e.name)).join("")}</optgroup>`
+            + [...groups].map(([group, list]) => `<optgroup label="${escapeHtml(group)}">${list.map((t) => option(USER_PREFIX + t.name, t.name)).join("")}</optgroup>`).join("");
+        if (selected && findTemplate(selected)) sel.value = selected;
+        showTemplate();
+    }
+
+    function showTemplate() {
+        const sel = $("#templateSelect");
+        const t = findTemplate(sel.value);
+        const scenario = t && metricScenarios.find((m) => m.id === t.scenario);
+        const tags = t && t.tags && t.tags.length ? `<div class="template-tags">${t.tags.map((tag) => `<span class="template-tag">${escapeHtml(tag)}</span>`).join("")}</div>` : "";
+        $("#templateDescription").innerHTML = t
+            ? `${escapeHtml(t.description || "")}${scenario ? ` Suggested scenario: <b>${escapeHtml(scenario.name)}</b>.` : ""}${tags}`
+            : "";
+        const own = sel.value.startsWith(USER_PREFIX);
+        $("#deleteConfigBtn").disabled = !own;
+        $("#editTemplateBtn").disabled = !own;
+        $("#templateEditor").hidden = true;
+    }
+
+    // Load a template; its suggested scenario drives the primary metric
+    function applyTemplate(t) {
+        const params = JSON.parse(JSON.stringify(t.params));
+        if (t.scenario && params.metrics) params.metrics[0].scenario = t.scenario;
+        else if (t.scenario) params.scenario = t.scenario;
+        applyParamsToUI(params);
+    }
+
+    function saveCurrentConfig() {
+        const name = $("#saveConfigName").value.trim();
+        if (!name) {
+            $("#templateDescription").textContent = "Enter a name to save the current setup.";
+            return;
+        }
+        captureUI();
+        const list = loadUserTemplates();
+        const existing = list.find((t) => t.name === name);
+        if (existing) {
+            existing.params = currentSetup();
+        } else {
+            list.push({ name, description: `Saved ${new Date().toLocaleString()}.`, tags: [], scenario: null, group: "Saved", params: currentSetup() });
+        }
+        if (!storeUserTemplates(list)) return;
+        $("#saveConfigName").value = "";
+        fillTemplateSelect(USER_PREFIX + name);
+    }
+
+    function deleteSavedConfig() {
+        const id = $("#templateSelect").value;
+        if (!id.startsWith(USER_PREFIX)) return;
+        if (storeUserTemplates(loadUserTemplates().filter((t) => USER_PREFIX + t.name !== id))) fillTemplateSelect();
+    }
+
+    // Copy any template, example or not, into the user's own list and open it for editing
+    function cloneTemplate() {
+        const t = findTemplate($("#templateSelect").value);
+        if (!t) return;
+        const list = loadUserTemplates();
+        const name = uniqueTemplateName(`${t.name} (copy)`);
+        list.push({
+            name,
+            description: t.description || "",
+            tags: (t.tags || []).slice(),
+            scenario: t.scenario || null,
+            group: "Saved",
+            params: JSON.parse(JSON.stringify(t.params)),
         });
+        if (!storeUserTemplates(list)) return;
+        fillTemplateSelect(USER_PREFIX + name);
+        openTemplateEditor();
+    }
+
+    function openTemplateEditor() {
+        const t = findTemplate($("#templateSelect").value);
+        if (!t || !$("#templateSelect").value.startsWith(USER_PREFIX)) return;
+        $("#editTemplateName").value = t.name;
+        $("#editTemplateDescription").value = t.description || "";
+        $("#editTemplateTags").value = (t.tags || []).join(", ");
+        $("#editTemplateScenario").innerHTML = `<option value="">None</option>`
+            + metricScenarios.map((m) => `<option value="${m.id}">${m.name}</option>`).join("");
+        $("#editTemplateScenario").value = t.scenario || "";
+        $("#editTemplateCapture").checked = false;
+        $("#templateEditor").hidden = false;
+    }
+
+    function saveTemplateEdit() {
+        const id = $("#templateSelect").value;
+        const list = loadUserTemplates();
+        const t = list.find((x) => USER_PREFIX + x.name === id);
+        if (!t) return;
+        const name = $("#editTemplateName").value.trim();
+        if (!name || (name !== t.name && list.some((x) => x.name === name))) {
+            $("#templateDescription").textContent = name ? `A template named "${name}" already exists.` : "A template needs a name.";
+            return;
+        }
+        t.name = name;
+        t.description = $("#editTemplateDescription").value.trim();
+        t.tags = $("#editTemplateTags").value.split(",").map((tag) => tag.trim()).filter(Boolean);
+        t.scenario = $("#editTemplateScenario").value || null;
+        if ($("#editTemplateCapture").checked) {
+            captureUI();
+            t.params = currentSetup();
+        }
+        if (storeUserTemplates(list)) fillTemplateSelect(USER_PREFIX + name);
+    }
+
+    function exportTemplates() {
+        const list = loadUserTemplates();
+        if (list.length === 0) {
+            $("#templateDescription").textContent = "Save, clone or import a template first; the examples are not exported.";
+            return;
+        }
+        saveFile("hpa-templates.json", window.HPA_TEMPLATES.buildBundle("My HPA templates", list), "application/json;charset=utf-8;");
+    }
+
+    // Imported templates join the user's list under the bundle's name, replacing any with the same name
+    function readTemplateBundle(file) {
+        file.text().then((text) => {
+            let bundle;
+            try {
+                bundle = window.HPA_TEMPLATES.parseBundle(text, { scenarios: metricScenarios.map((m) => m.id) });
+            } catch (e) {
+                $("#templateDescription").textContent = `Cannot import ${file.name}: ${e.message}`;
+                return;
+            }
+            const group = bundle.name || file.name.replace(/\.json$/i, "");
+            const names = new Set(bundle.templates.map((t) => t.name));
+            const list = loadUserTemplates().filter((t) => !names.has(t.name))
+                .concat(bundle.templates.map((t) => Object.assign(t, { group })));
+            if (!storeUserTemplates(list)) return;
+            fillTemplateSelect(USER_PREFIX + bundle.templates[0].name);
+            $("#templateDescription").textContent = `Imported ${bundle.templates.length} template(s) from ${file.name} into "${group}".`;
+        });
+    }
+
+    function loadTemplates() {
+        const sel = $("#templateSelect");
+        fillTemplateSelect();
+        applyTemplate(window.HPA_EXAMPLES[0]);
+        sel.addEventListener("change", showTemplate);
         $("#applyTemplateBtn").addEventListener("click", () => {
-            const t = window.HPA_EXAMPLES.find((x) => x.id === sel.value);
-            applyParamsToUI(t.params);
+            const t = findTemplate(sel.value);
+            if (t) applyTemplate(t);
+        });
+        $("#saveConfigBtn").addEventListener("click", saveCurrentConfig);
+        $("#deleteConfigBtn").addEventListener("click", deleteSavedConfig);
+        $("#cloneTemplateBtn").addEventListener("click", cloneTemplate);
+        $("#editTemplateBtn").addEventListener("click", openTemplateEditor);
+        $("#saveTemplateEditBtn").addEventListener("click", saveTemplateEdit);
+        $("#cancelTemplateEditBtn").addEventListener("click", () => ($("#templateEditor").hidden = true));
+        $("#exportTemplatesBtn").addEventListener("click", exportTemplates);
+        $("#templateBundleFile").addEventListener("change", (e) => {
+            if (e.target.files[0]) readTemplateBundle(e.target.files[0]);
+            e.target.value = "";
         });
+        $("#copyLinkBtn").addEventListener("click", copyLink);
     }
 
     function bindUI() {
-        loadTemplates();
+        bindChartEvents();
         const metricSel = $("#metricScenario");
         metricSel.innerHTML = metricScenarios.map((m) => `<option value="${m.id}">${m.name}</option>`).join("");
-        metricSel.value = state.metricScenario;
+        metricSel.value = state.metrics[0].scenario;
         metricSel.addEventListener("change", () => {
-            state.metricScenario = metricSel.value;
+            state.metrics[0].scenario = metricSel.value;
+            clearSim();
+        });
+
+        $("#metricType").innerHTML = Object.keys(engine.metricTargetTypes).map((t) => `<option value="${t}">${t}</option>`).join("");
+        $("#metricType").addEventListener("change", () => {
+            fillTargetTypes($("#metricTargetType"), $("#metricType").value);
+            captureUI();
+        });
+        fillTargetTypes($("#metricTargetType"), state.metrics[0].type);
+        $("#addContainerBtn").addEventListener("click", () => {
+            state.containers.push(newContainer(state.containers.length));
+            renderContainersUI();
+            captureUI();
+            clearSim();
+        });
+        renderContainersUI();
+        $("#addMetricBtn").addEventListener("click", () => {
+            addMetricUI({ type: "Pods", name: `metric${state.metrics.length + 1}`, targetType: "AverageValue", target: 100, scenario: "sine", customFormula: "" });
+            clearSim();
+        });
+
+        $("#k8sVersion").innerHTML = engine.kubernetesVersions.map((v) => `<option value="${v.id}">${v.name}</option>`).join("");
+        $("#k8sVersion").value = state.kubernetesVersion;
+
+        const loadSel = $("#loadModel");
+        loadSel.innerHTML = loadModels.map((m) => `<option value="${m.id}">${m.name}</option>`).join("");
+        loadSel.value = state.loadModel;
+        loadSel.addEventListener("change", () => {
+            state.loadModel = loadSel.value;
             clearSim();
         });
 
         $("#customFormula").addEventListener("change", (e) => {
-            state.customFormula = e.target.value;
-            state.metricScenario = "custom";
+            state.metrics[0].customFormula = e.target.value;
+            state.metrics[0].scenario = "custom";
             $("#metricScenario").value = "custom";
             clearSim();
         });
+        $("#customFormula").addEventListener("input", updateFormulaPreview);
 
         $("#startBtn").addEventListener("click", () => {
             captureUI();
@@ -588,14 +2411,80 @@
             step();
         });
         $("#clearBtn").addEventListener("click", clearSim);
+        $("#runToBtn").addEventListener("click", () => {
+            captureUI();
+            runTo();
+        });
+        $("#scrubRange").addEventListener("input", () => {
+            if (replay) seek(Number($("#scrubRange").value));
+        });
         $("#downloadBtn").addEventListener("click", downloadCsv);
+        $("#downloadSummaryBtn").addEventListener("click", downloadSummary);
+        ["#podPrice", "#saturationPercent", "#flapWindow"].forEach((sel) => $(sel).addEventListener("change", captureAnalytics));
         $("#copyYamlBtn").addEventListener("click", copyYaml);
+        $("#downloadManifestBtn").addEventListener("click", downloadManifest);
+        $("#yamlFormat").addEventListener("change", updateYamlPreview);
+
+        $("#importManifestBtn").addEventListener("click", importManifest);
+        $("#manifestDocSelect").addEventListener("change", importManifest);
+        $("#manifestFile").addEventListener("change", (e) => {
+            if (e.target.files[0]) readManifestFile(e.target.files[0]);
+        });
+        const manifestInput = $("#manifestInput");
+        manifestInput.addEventListener("dragover", (e) => {
+            e.preventDefault();
+            manifestInput.classList.add("dragover");
+        });
+        manifestInput.addEventListener("dragleave", () => manifestInput.classList.remove("dragover"));
+        manifestInput.addEventListener("drop", (e) => {
+            e.preventDefault();
+            manifestInput.classList.remove("dragover");
+            if (e.dataTransfer.files[0]) readManifestFile(e.dataTransfer.files[0]);
+        });
+
+        $("#traceFile").addEventListener("change", (e) => {
+            if (e.target.files[0]) readTraceFile(e.target.files[0]);
+        });
+        ["#traceColumn", "#traceStart", "#traceEnd", "#traceScale", "#traceInterpolation"].forEach((sel) => {
+            $(sel).addEventListener("change", () => {
+                captureTrace();
+                clearSim();
+            });
+        });
+
+        const layerSel = $("#layerType");
+        layerSel.innerHTML = Object.keys(engine.scenarioLayerTypes).map((k) => `<option value="${k}">${engine.scenarioLayerTypes[k].name}</option>`).join("");
+        $("#addLayerBtn").addEventListener("click", () => {
+            state.scenarioLayers.push(engine.createScenarioLayer(layerSel.value));
+            renderLayersUI();
+            clearSim();
+        });
+        renderLayersUI();
+
+        // A new seed restarts the run so it stays reproducible from t = 0
+        $("#seed").addEventListener("change", () => {
+            captureUI();
+            clearSim();
+        });
+        $("#newSeedBtn").addEventListener("click", () => {
+            $("#seed").value = Math.floor(Math.random() * 1000000);
+            captureUI();
+            clearSim();
+        });
+
+        $("#addVariantBtn").addEventListener("click", addVariant);
+        $("#runCompareBtn").addEventListener("click", runComparison);
+        $("#clearCompareBtn").addEventListener("click", clearComparison);
+        $("#tuneBtn").addEventListener("click", runTuner);
+        renderCompareTable();
 
         $("#speedSlider").addEventListener("input", () => {
             state.speed = Number($("#speedSlider").value || 1);
         });
         [
-            "#minReplicas", "#maxReplicas", "#initialReplicas", "#targetValue", "#syncPeriod", "#timeStep", "#upStabWindow", "#downStabWindow", "#upTolerance", "#downTolerance", "#upSelectPolicy", "#downSelectPolicy"
+            "#minReplicas", "#maxReplicas", "#initialReplicas", "#targetValue", "#demandScale", "#syncPeriod", "#timeStep", "#podStartup", "#podShutdown", "#cpuInitPeriod", "#metricName", "#metricContainer", "#metricTargetType", "#hpaName", "#hpaNamespace", "#targetKind", "#targetName", "#upStabWindow", "#downStabWindow", "#upTolerance", "#downTolerance", "#upSelectPolicy", "#downSelectPolicy",
+            "#k8sVersion", "#controllerTolerance", "#hpaConfigurableTolerance", ...PIPELINE_KEYS.concat(NODE_KEYS).map((k) => `#${k}`),
+            "#hpaScaleToZero", "#kedaActivation", "#kedaPollingInterval", "#kedaCooldownPeriod", "#metricActivation",
         ].forEach((sel) => {
             $(sel).addEventListener("change", () => {
                 captureUI();
@@ -608,13 +2497,19 @@
         $("#addDownPercentPolicy").addEventListener("click", () => addPolicyUI("#downPolicies", "down", "Percent"));
 
         $("#resetBtn").addEventListener("click", () => {
-            const t = window.HPA_EXAMPLES.find((x) => x.id === $("#templateSelect").value);
-            applyParamsToUI(t.params);
+            const t = findTemplate($("#templateSelect").value);
+            if (t) applyTemplate(t);
         });
+        window.addEventListener("hashchange", restorePermalink);
+
+        // Last, so every select is filled before the first template is applied
+        loadTemplates();
     }
 
     // Initialize
     bindUI();
+    restorePermalink();
+    permalinkReady = true;
     clearSim();
 })();
 
@@ -0,0 +1,209 @@
+// Template bundles: a JSON file of HPA templates that a team can publish and others import into
+// the simulator's template library. Loaded as window.HPA_TEMPLATES in the browser and with
+// require() in Node.
+//
+// {
+//   "kind": "HPATemplateBundle",
+//   "name": "Platform profiles",
+//   "templates": [
+//     {
+//       "name": "Latency-sensitive API",
+//       "description": "Scales up fast, scales down slowly.",
+//       "tags": ["api", "latency"],
+//       "scenario": "burst",
+//       "params": { "minReplicas": 3, "maxReplicas": 40, "up": { ... }, "down": { ... } }
+//     }
+//   ]
+// }
+//
+// params uses the same fields as examples.js. Only minReplicas and maxReplicas are required;
+// initialReplicas, targetValue and syncPeriod get simulator defaults, and anything left out of
+// the up or down rules falls back to the Kubernetes default behavior. A bare array of templates
+// is accepted too.
+
+/* global module, require, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+    else root.HPA_TEMPLATES = factory(root.HPA_ENGINE);
+})(typeof self !== "undefined" ? self : this, function (engine) {
+    const BUNDLE_KIND = "HPATemplateBundle";
+
+    function bundleError(where, message) {
+        return new Error(`Template bundle ${where}: ${message}`);
+    }
+
+    function readNumber(obj, key, where, { integer = false, min = 0, fallback } = {}) {
+        const v = obj[key];
+        if (v == null) {
+            if (fallback === undefined) throw bundleError(where, `${key} is required`);
+            return fallback;
+        }
+        if (typeof v !== "number" || !Number.isFinite(v) || v < min || (integer && !Number.isInteger(v))) {
+            throw bundleError(where, `${key} must be ${integer ? "an integer" : "a number"} >= ${min}, got ${JSON.stringify(v)}`);
+        }
+        return v;
+    }
+
+    function readRules(rules, dir, where) {
+        // Kubernetes defaults for what the template leaves out
+        const defaults = engine.DEFAULT_CONFIG.behavior[dir];
+        if (rules == null) return JSON.parse(JSON.stringify(defaults));
+        if (typeof rules !== "object") throw bundleError(where, "expected an object");
+        const selectPolicy = rules.selectPolicy == null ? defaults.selectPolicy : rules.selectPolicy;
+        if (!["Max", "Min", "Disabled"].includes(selectPolicy)) {
+            throw bundleError(where, `selectPolicy must be Max, Min or Disabled, got ${JSON.stringify(selectPolicy)}`);
+        }
+        let policies = rules.policies == null ? defaults.policies : rules.policies;
+        if (!Array.isArray(policies)) throw bundleError(where, "policies must be a list");
+        policies = policies.map((p, i) => {
+            const at = `${where}.policies[${i}]`;
+            if (!p || !["Pods", "Percent"].includes(p.type)) throw bundleError(at, "type must be Pods or Percent");
+            return {
+                type: p.type,
+                value: readNumber(p, "value", at, { integer: true, min: 1 }),
+                periodSeconds: readNumber(p, "periodSeconds", at, { integer: true, min: 1 }),
+            };
+        });
+        return {
+            stabilizationWindowSeconds: readNumber(rules, "stabilizationWindowSeconds", where, { integer: true, fallback: defaults.stabilizationWindowSeconds }),
+            tolerance: readNumber(rules, "tolerance", where, { fallback: defaults.tolerance }),
+            selectPolicy,
+            policies,
+        };
+    }
+
+    // Metric names as Kubernetes accepts them: resource names (cpu, example.com/gpu) and custom or
+    // external metric names (http_requests, queue:depth, pubsub.googleapis.com|subscription|...)
+    const METRIC_NAME = /^[A-Za-z0-9]([-A-Za-z0-9_.:/|]*[A-Za-z0-9])?$/;
+
+    // First problem with the metrics and scenario layers of params, as { at, message } where at
+    // names the field, or null when the simulator can load them. Everything that hands params to
+    // the page (bundles, saved templates, permalinks) checks them here.
+    function setupError(params) {
+        const problem = (at, message) => ({ at, message });
+        const metrics = params.metrics == null ? [] : params.metrics;
+        if (!Array.isArray(metrics)) return problem("metrics", "must be a list");
+        for (let i = 0; i < metrics.length; i += 1) {
+            const m = metrics[i];
+            const at = `metrics[${i}]`;
+            if (!m || typeof m !== "object") return problem(at, "expected an object");
+            const targetTypes = engine.metricTargetTypes[m.type];
+            if (!targetTypes) return problem(`${at}.type`, `must be one of ${Object.keys(engine.metricTargetTypes).join(", ")}, got ${JSON.stringify(m.type)}`);
+            if (!targetTypes.includes(m.targetType)) {
+                return problem(`${at}.targetType`, `must be one of ${targetTypes.join(", ")} for ${m.type}, got ${JSON.stringify(m.targetType)}`);
+            }
+            if (typeof m.name !== "string" || !METRIC_NAME.test(m.name)) return problem(`${at}.name`, `invalid metric name ${JSON.stringify(m.name)}`);
+            if (m.type === "ContainerResource" && (typeof m.container !== "string" || !m.container.trim())) {
+                return problem(`${at}.container`, "a container name is required for ContainerResource");
+            }
+            if (m.container != null && typeof m.container !== "string") return problem(`${at}.container`, "must be a string");
+            if (typeof m.target !== "number" || !(m.target > 0)) return problem(`${at}.target`, `must be a positive number, got ${JSON.stringify(m.target)}`);
+        }
+        const layers = params.scenarioLayers == null ? [] : params.scenarioLayers;
+        if (!Array.isArray(layers)) return problem("scenarioLayers", "must be a list");
+        for (let i = 0; i < layers.length; i += 1) {
+            const l = layers[i];
+            const at = `scenarioLayers[${i}]`;
+            if (!l || typeof l !== "object") return problem(at, "expected an object");
+            const type = engine.scenarioLayerTypes[l.type];
+            if (!type) return problem(`${at}.type`, `must be one of ${Object.keys(engine.scenarioLayerTypes).join(", ")}, got ${JSON.stringify(l.type)}`);
+            if (l.params == null) continue;
+            if (typeof l.params !== "object") return problem(`${at}.params`, "expected an object");
+            const keys = type.params.map((p) => p.key);
+            for (const key of Object.keys(l.params)) {
+                if (!keys.includes(key)) return problem(`${at}.params.${key}`, `unknown for ${l.type} (use ${keys.join(", ")})`);
+                if (typeof l.params[key] !== "number" || !Number.isFinite(l.params[key])) return problem(`${at}.params.${key}`, "must be a number");
+            }
+        }
+        return null;
+    }
+
+    // A template with every field filled in; throws on anything applyParamsToUI could not load.
+    // Metrics and scenario layers are checked by setupError; other fields params carries beyond
+    // the ones checked here (containers, analytics, ...) are kept as they are.
+    function normalizeTemplate(t, where, scenarios) {
+        if (!t || typeof t !== "object") throw bundleError(where, "expected an object");
+        const name = typeof t.name === "string" ? t.name.trim() : "";
+        if (!name) throw bundleError(where, "name is required");
+        const at = `${where} (${name})`;
+        let tags = t.tags == null ? [] : t.tags;
+        if (typeof tags === "string") tags = tags.split(",");
+        if (!Array.isArray(tags)) throw bundleError(at, "tags must be a list of strings");
+        tags = tags.map((tag) => String(tag).trim()).filter(Boolean);
+        if (t.scenario != null && scenarios && !scenarios.includes(t.scenario)) {
+            throw bundleError(at, `unknown scenario "${t.scenario}" (use one of ${scenarios.join(", ")})`);
+        }
+        const p = t.params;
+        if (!p || typeof p !== "object") throw bundleError(at, "params is required");
+        const minReplicas = readNumber(p, "minReplicas", `${at}.params`, { integer: true });
+        const maxReplicas = readNumber(p, "maxReplicas", `${at}.params`, { integer: true, min: 1 });
+        if (minReplicas > maxReplicas) throw bundleError(`${at}.params`, "maxReplicas must be >= minReplicas");
+        if (p.targetValue === 0) throw bundleError(`${at}.params`, "targetValue must be positive");
+        const problem = setupError(p);
+        if (problem) throw bundleError(`${at}.params.${problem.at}`, problem.message);
+        const params = Object.assign(JSON.parse(JSON.stringify(p)), {
+            minReplicas,
+            maxReplicas,
+            initialReplicas: readNumber(p, "initialReplicas", `${at}.params`, { integer: true, fallback: Math.max(minReplicas, 1) }),
+            targetValue: readNumber(p, "targetValue", `${at}.params`, { fallback: 100 }),
+            syncPeriod: readNumber(p, "syncPeriod", `${at}.params`, { min: 1, fallback: 15 }),
+            up: readRules(p.up, "up", `${at}.params.up`),
+            down: readRules(p.down, "down", `${at}.params.down`),
+        });
+        return {
+            name,
+            description: typeof t.description === "string" ? t.description : "",
+            tags,
+            scenario: t.scenario == null ? null : t.scenario,
+            params,
+        };
+    }
+
+    // Parse bundle JSON into { name, templates }. scenarios, when given, lists the scenario ids a
+    // template may suggest. Template names must be unique within a bundle.
+    function parseBundle(text, { scenarios } = {}) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw bundleError("JSON", e.message);
+        }
+        const list = Array.isArray(doc) ? doc : doc && doc.templates;
+        if (!Array.isArray(list)) throw bundleError("JSON", "expected { \"templates\": [...] } or a list of templates");
+        if (!Array.isArray(doc) && doc.kind != null && doc.kind !== BUNDLE_KIND) {
+            throw bundleError("kind", `expected ${BUNDLE_KIND}, got ${JSON.stringify(doc.kind)}`);
+        }
+        if (list.length === 0) throw bundleError("templates", "no templates found");
+        const templates = list.map((t, i) => normalizeTemplate(t, `templates[${i}]`, scenarios));
+        const seen = new Set();
+        templates.forEach((t) => {
+            if (seen.has(t.name)) throw bundleError("templates", `duplicate name "${t.name}"`);
+            seen.add(t.name);
+        });
+        const name = !Array.isArray(doc) && typeof doc.name === "string" && doc.name.trim() ? doc.name.trim() : "";
+        return { name, templates };
+    }
+
+    // Bundle JSON for templates, in the format parseBundle reads
+    function buildBundle(name, templates) {
+        return JSON.stringify({
+            kind: BUNDLE_KIND,
+            name,
+            templates: templates.map((t) => {
+                const out = { name: t.name, description: t.description || "", tags: t.tags || [] };
+                if (t.scenario) out.scenario = t.scenario;
+                out.params = t.params;
+                return out;
+            }),
+        }, null, 2);
+    }
+
+    return {
+        BUNDLE_KIND,
+        setupError,
+        normalizeTemplate,
+        parseBundle,
+        buildBundle,
+    };
+});
@@ -0,0 +1,117 @@
+// Tests for the command line: runs cli.js on small fixtures and checks output and exit codes
+
+/* global require, __dirname */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hpa-cli-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fixture(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+const hpaYaml = (name, extra = "") => `apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata: {name: ${name}}
+spec:
+  scaleTargetRef: {apiVersion: apps/v1, kind: Deployment, name: ${name}}
+  minReplicas: 2
+  maxReplicas: 10
+  metrics:
+    - type: Resource
+      resource:
+        name: cpu
+        target: {type: Utilization, averageUtilization: 50}
+${extra}`;
+
+const HPA = fixture("hpa.yaml", hpaYaml("web"));
+const TWO = fixture("two.yaml", `${hpaYaml("web")}---\n${hpaYaml("api")}`);
+// 100% CPU for two minutes, then back to 50%
+const TRACE = fixture("trace.csv", "t,cpu\n0,100\n120,100\n121,50\n300,50\n");
+
+function cli(...args) {
+    const r = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+    return { code: r.status, stdout: r.stdout, stderr: r.stderr };
+}
+
+test("replays the trace and prints the summary and decision log", () => {
+    const r = cli("--manifest", HPA, "--trace", TRACE);
+    assert.equal(r.code, 0);
+    assert.match(r.stdout, /^HPA web: 300s simulated, 20 syncs\n  replicas: peak 10, lowest 2, final 10/);
+    assert.match(r.stdout, /t \(s\)\s+Driver\s+Metric/);
+    assert.equal(r.stderr, "");
+});
+
+test("--json prints the summary, assertions and decisions", () => {
+    const r = cli("--manifest", HPA, "--trace", TRACE, "--max-replicas", "10", "--json");
+    assert.equal(r.code, 0);
+    const out = JSON.parse(r.stdout);
+    assert.equal(out.hpa, "web");
+    assert.equal(out.decisions.length, out.summary.syncs);
+    assert.deepEqual(out.assertions.map((a) => [a.name, a.passed]), [["max replicas <= 10", true]]);
+});
+
+test("exits with 1 when an assertion fails", () => {
+    const r = cli("--manifest", HPA, "--trace", TRACE, "--max-replicas", "4", "--max-scale-events", "1/600", "--quiet");
+    assert.equal(r.code, 1);
+    assert.match(r.stdout, /FAIL  max replicas <= 4: reached \d+ at t=\d+s \(peak 10\)/);
+    assert.match(r.stdout, /FAIL  scale events per 600s <= 1: busiest window has \d+/);
+    assert.doesNotMatch(r.stdout, /Driver/);
+});
+
+test("--configurable-tolerance reads the manifest's per-direction tolerance", () => {
+    // A scale-up tolerance of 1.5 takes the 100% load on a 50% target as within tolerance
+    const tolerant = fixture("tolerant.yaml", hpaYaml("web", "  behavior:\n    scaleUp: {tolerance: 1.5}\n"));
+    const peak = (...flags) => JSON.parse(cli("--manifest", tolerant, "--trace", TRACE, "--kubernetes-version", "1.33", "--json", ...flags).stdout).summary.peakReplicas;
+    assert.equal(peak(), 10);
+    assert.equal(peak("--configurable-tolerance"), 2);
+});
+
+test("exits with 2 on invalid arguments or input", () => {
+    const cases = [
+        [["--manifest", HPA], /--manifest and --trace are required/],
+        [["--manifest", HPA, "--trace", TRACE, "--speed", "2"], /unknown option --speed/],
+        [["--manifest", HPA, "--trace", TRACE, "--time-step", "0"], /--time-step must be greater than 0/],
+        [["--manifest", HPA, "--trace", TRACE, "--sync-period", "0"], /--sync-period must be greater than 0/],
+        [["--manifest", HPA, "--trace", TRACE, "--duration=-5"], /--duration must be a non-negative number/],
+        [["--manifest", HPA, "--trace", TRACE, "--kubernetes-version", "1.19"], /--kubernetes-version must be one of 1.20, 1.23, 1.30, 1.33/],
+        [["--manifest", HPA, "--trace", TRACE, "--metric-drop-rate", "1.5"], /--metric-drop-rate must be between 0 and 1/],
+        [["--manifest", HPA, "--trace", TRACE, "--polling-interval", "0"], /--polling-interval must be greater than 0/],
+        [["--manifest", HPA, "--trace", TRACE, "--max-scale-events", "many"], /--max-scale-events must look like 3 or 3\/600/],
+        [["--manifest", HPA, "--trace", TRACE, "--max-scale-events", "3/0"], /--max-scale-events window must be greater than 0 seconds/],
+        [["--manifest", TWO, "--trace", TRACE], /holds 2 HPAs \(web, api\); pick one with --hpa/],
+        [["--manifest", TWO, "--hpa", "db", "--trace", TRACE], /no HPA named db/],
+        [["--manifest", path.join(dir, "missing.yaml"), "--trace", TRACE], /cannot read/],
+        [["--manifest", HPA, "--trace", fixture("bad.csv", "t,memory,rps\n0,1,2\n")], /no column for metric "cpu"/],
+    ];
+    cases.forEach(([args, message]) => {
+        const r = cli(...args);
+        assert.equal(r.code, 2, args.join(" "));
+        assert.match(r.stderr, message);
+    });
+    assert.equal(cli("--manifest", TWO, "--hpa", "api", "--trace", TRACE, "--quiet").code, 0);
+});
+
+test("exits with 3 on an unexpected error", () => {
+    // Preload a module that breaks the engine, as a bug in it would
+    const broken = fixture("broken.js", `require(${JSON.stringify(path.join(__dirname, "..", "engine.js"))}).simulate = () => { throw new TypeError("boom"); };`);
+    const r = spawnSync(process.execPath, ["--require", broken, CLI, "--manifest", HPA, "--trace", TRACE], { encoding: "utf8" });
+    assert.equal(r.status, 3);
+    assert.match(r.stderr, /^internal error: TypeError: boom\n\s+at /);
+    assert.doesNotMatch(r.stderr, /--help/);
+});
+
+test("--help prints the usage", () => {
+    const r = cli("--help");
+    assert.equal(r.code, 0);
+    assert.match(r.stdout, /^Usage: node cli.js --manifest <file> --trace <file>/);
+});
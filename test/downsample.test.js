@@ -0,0 +1,45 @@
+// Unit tests for chart downsampling: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSeriesStore } = require("../downsample.js");
+
+const value = (p) => p.v;
+
+test("short ranges come back point for point", () => {
+    const points = [0, 1, 2, 3].map((t) => ({ t, v: t * 10 }));
+    const store = createSeriesStore(points, [{ value }]);
+    assert.deepEqual(store.query(0, 3, 100), [[[0, 0], [1, 10], [2, 20], [3, 30]]]);
+    // One point either side of the range so the line reaches the edges
+    assert.deepEqual(store.query(1.5, 2.5, 100), [[[1, 10], [2, 20], [3, 30]]]);
+    assert.equal(store.indexAt(1.5), 2);
+    assert.deepEqual(createSeriesStore([], [{ value }]).query(0, 10, 10), [[]]);
+});
+
+test("long runs keep the minimum and maximum of every column", () => {
+    const points = [];
+    const store = createSeriesStore(points, [{ value }, { value: (p) => -p.v }]);
+    for (let t = 0; t < 100000; t += 1) points.push({ t, v: t === 54321 ? 1e6 : t % 97 });
+    const [up, down] = store.query(0, 100000, 50);
+    assert.ok(up.length <= 2 * 50 + 4, `${up.length} points`);
+    assert.ok(up.some(([t, v]) => t === 54321 && v === 1e6), "the spike survives");
+    assert.equal(Math.min(...up.map(([, v]) => v)), 0);
+    assert.equal(Math.min(...down.map(([, v]) => v)), -1e6);
+    for (let i = 1; i < up.length; i += 1) assert.ok(up[i][0] >= up[i - 1][0], "in time order");
+});
+
+test("points appended after a query are summarized on the next one", () => {
+    const points = [];
+    const store = createSeriesStore(points, [{ value }]);
+    for (let t = 0; t < 1000; t += 1) points.push({ t, v: 1 });
+    assert.equal(Math.max(...store.query(0, 2000, 20)[0].map(([, v]) => v)), 1);
+    for (let t = 1000; t < 2000; t += 1) points.push({ t, v: t === 1500 ? 9 : 1 });
+    assert.ok(store.query(0, 2000, 20)[0].some(([t, v]) => t === 1500 && v === 9));
+});
+
+test("NaN values are left out of a series", () => {
+    const points = [{ t: 0, v: 1 }, { t: 1, v: NaN }, { t: 2, v: 3 }];
+    assert.deepEqual(createSeriesStore(points, [{ value }]).query(0, 2, 10), [[[0, 1], [2, 3]]]);
+});
@@ -0,0 +1,405 @@
+// Unit tests for the headless engine: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const BEHAVIOR = engine.DEFAULT_CONFIG.behavior;
+const TOLERANCE = { up: 0.1, down: 0.1 };
+const groups = (ready, unready = 0, missing = 0) => ({ ready, unready, missing });
+
+test("computeDesiredReplicas scales ready pods by the ratio", () => {
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(4), 150, 100, TOLERANCE), { desired: 6, ratio: 1.5, gated: false, reason: "ratio" });
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(4), 105, 100, TOLERANCE), { desired: 4, ratio: 1.05, gated: true, reason: "tolerance" });
+    // No ready pod has reported yet: hold
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(0, 4), 150, 100, TOLERANCE), { desired: 4, ratio: 1, gated: false, reason: "no-data" });
+});
+
+test("computeDesiredReplicas counts unready pods at 0% when scaling up", () => {
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(3, 1), 200, 100, TOLERANCE),
+        { desired: 6, ratio: 1.5, rawRatio: 2, gated: false, reason: "ratio" });
+    // 2 ready pods at 150% and 2 unready ones at 0% average 75%: the scale-up is dropped
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(2, 2), 150, 100, TOLERANCE),
+        { desired: 4, ratio: 0.75, rawRatio: 1.5, gated: false, reason: "flipped" });
+});
+
+test("computeDesiredReplicas counts missing pods at 100% down and 0% up", () => {
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(3, 0, 1), 50, 100, TOLERANCE),
+        { desired: 3, ratio: 0.625, rawRatio: 0.5, gated: false, reason: "ratio" });
+    assert.deepEqual(engine.computeDesiredReplicas(4, groups(3, 0, 1), 200, 100, TOLERANCE),
+        { desired: 6, ratio: 1.5, rawRatio: 2, gated: false, reason: "ratio" });
+});
+
+test("only CPU metrics count started pods that are not Ready yet as unready", () => {
+    const groupsAt30 = (m) => {
+        const metrics = [Object.assign({ scenario: "custom", customFormula: "200" }, m)];
+        const run = engine.simulate({ initialReplicas: 2, podStartupSeconds: 30, metrics }, { duration: 30 });
+        return [run.decisions[1].replicas, run.decisions[1].trace.metrics[0].groups];
+    };
+    // The two pods added at t=15 are still starting at t=30
+    assert.deepEqual(groupsAt30({ type: "Resource", name: "cpu", targetType: "Utilization", target: 100 }), [4, groups(2, 2)]);
+    assert.deepEqual(groupsAt30({ type: "Resource", name: "memory", targetType: "Utilization", target: 100 }), [8, groups(4)]);
+    assert.deepEqual(groupsAt30({ type: "Pods", name: "rps", targetType: "AverageValue", target: 100 }), [8, groups(4)]);
+});
+
+test("applyStabilization keeps the highest recommendation in the scale-down window", () => {
+    const history = [{ t: 0, desired: 10 }, { t: 100, desired: 6 }];
+    assert.equal(engine.applyStabilization(BEHAVIOR, history, 200, "down", 4, 10), 10);
+    assert.equal(engine.applyStabilization(BEHAVIOR, history, 350, "down", 4, 10), 6);
+    // A sample exactly one window old is already out of it
+    assert.equal(engine.applyStabilization(BEHAVIOR, history, 400, "down", 4, 10), 4);
+    // Never above the current count, and no scale-up window by default
+    assert.equal(engine.applyStabilization(BEHAVIOR, [{ t: 0, desired: 12 }], 100, "down", 4, 10), 10);
+    assert.equal(engine.applyStabilization(BEHAVIOR, history, 200, "up", 12, 10), 12);
+});
+
+test("stabilize reports the window and the sample that won", () => {
+    const history = [{ t: 0, desired: 10 }, { t: 100, desired: 6 }];
+    assert.deepEqual(engine.stabilize(BEHAVIOR, history, 200, "down", 4, 10),
+        { stabilized: 10, window: 300, from: -100, pick: { t: 0, desired: 10 }, capped: false, toward: "down" });
+    assert.deepEqual(engine.stabilize(BEHAVIOR, history, 200, "down", 4, 8),
+        { stabilized: 8, window: 300, from: -100, pick: { t: 0, desired: 10 }, capped: true, toward: "down" });
+    // The new recommendation wins when nothing in the window beats it
+    assert.deepEqual(engine.stabilize(BEHAVIOR, history, 350, "down", 7, 10).pick, { t: 350, desired: 7 });
+    assert.equal(engine.stabilize(BEHAVIOR, history, 200, "hold", 10, 10).pick, null);
+});
+
+test("the Kubernetes version and the feature gate decide which tolerance applies", () => {
+    const behavior = { up: Object.assign({}, BEHAVIOR.up, { tolerance: 0.05 }), down: Object.assign({}, BEHAVIOR.down, { tolerance: 0.3 }) };
+    const config = (kubernetesVersion, hpaConfigurableTolerance) => engine.withDefaults({ kubernetesVersion, hpaConfigurableTolerance, controllerTolerance: 0.2, behavior });
+    const global = { up: 0.2, down: 0.2, global: true };
+    assert.deepEqual(engine.effectiveTolerance(config("1.23", true)), global);
+    assert.deepEqual(engine.effectiveTolerance(config("1.30", true)), global);
+    // 1.33 only reads the per-direction fields behind HPAConfigurableTolerance, which is off by default
+    assert.deepEqual(engine.effectiveTolerance(config("1.33")), global);
+    assert.deepEqual(engine.effectiveTolerance(config("1.33", true)), { up: 0.05, down: 0.3, global: false });
+    assert.equal(engine.versionProfile("9.99").id, "1.33");
+    assert.equal(engine.withinTolerance({ up: 0.05, down: 0.3 }, 0.75), true);
+    assert.equal(engine.withinTolerance({ up: 0.05, down: 0.3 }, 1.06), false);
+    // |1 - 1.1| is a hair above 0.1 in floating point; the 1.33 band takes 1.1 as its edge
+    assert.equal(engine.withinTolerance({ up: 0.1, down: 0.1, global: true }, 1.1), false);
+    assert.equal(engine.withinTolerance({ up: 0.1, down: 0.1, global: false }, 1.1), true);
+});
+
+test("before 1.21 stabilization only looks at the window toward the recommendation", () => {
+    const behavior = { up: Object.assign({}, BEHAVIOR.up, { stabilizationWindowSeconds: 60 }), down: BEHAVIOR.down };
+    const history = [{ t: 0, desired: 10 }, { t: 100, desired: 4 }];
+    // Scaling up from 6 to 8: 1.21+ keeps 6 (the scale-down window's 10 and the scale-up window's
+    // 4 hold it at the current count); before, the 4 in the scale-up window wins outright
+    assert.deepEqual(engine.stabilize(behavior, history, 120, "up", 8, 6), { stabilized: 6, window: 60, from: 60, pick: { t: 100, desired: 4 }, capped: true, toward: "up" });
+    assert.deepEqual(engine.stabilize(behavior, history, 120, "up", 8, 6, "direction"),
+        { stabilized: 4, window: 60, from: 60, pick: { t: 100, desired: 4 }, capped: false, toward: "up" });
+    // Scaling down only looks at the scale-down window, holding the count up even above current
+    assert.equal(engine.applyStabilization(behavior, history, 120, "down", 5, 6, "direction"), 10);
+    // A recommendation equal to the current count takes the scale-up window
+    assert.equal(engine.stabilize(behavior, history, 120, "hold", 6, 6, "direction").toward, "up");
+});
+
+test("simulate follows the version's stabilization", () => {
+    const config = (kubernetesVersion) => ({
+        kubernetesVersion,
+        initialReplicas: 4,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "if(t < 40, 250, 50)" }],
+        behavior: { up: Object.assign({}, BEHAVIOR.up, { stabilizationWindowSeconds: 0, policies: [{ type: "Pods", value: 1, periodSeconds: 60 }] }), down: BEHAVIOR.down },
+    });
+    const run = (v) => engine.simulate(config(v), { duration: 120 }).decisions.map((d) => d.replicas);
+    // The load drops at t=40 while scale-up is still rate limited at 5 pods. Before 1.21 the
+    // recommendation of 13 in the scale-down window keeps scaling up; later versions hold at 5
+    assert.deepEqual(run("1.20"), [5, 5, 5, 5, 6, 6, 6, 6]);
+    assert.deepEqual(run("1.23"), [5, 5, 5, 5, 5, 5, 5, 5]);
+    assert.deepEqual(run("1.33"), run("1.23"));
+});
+
+test("simulate records one recommendation per sync for stabilization", () => {
+    const config = {
+        initialReplicas: 10,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "if(t < 100, 50, 100)" }],
+        behavior: { down: Object.assign({}, BEHAVIOR.down, { stabilizationWindowSeconds: 30 }) },
+    };
+    const sim = engine.createSimulation(engine.withDefaults(config));
+    for (let i = 0; i < 60; i += 1) sim.tick(1);
+    assert.deepEqual(sim.state.desiredHistory.map((d) => d.t), [45, 60]);
+    // The first sync counts the running replicas as a recommendation, so the window holds them
+    const [first, second, third] = engine.simulate(config, { duration: 45 }).decisions;
+    assert.deepEqual([first.desired, first.stabilized, first.replicas], [5, 10, 10]);
+    assert.deepEqual([second.stabilized, third.stabilized], [10, 5]);
+});
+
+test("computeScaleLimit counts from the replicas at the start of each period", () => {
+    const up = BEHAVIOR.up;
+    const fresh = engine.computeScaleLimit(up, "up", 3, [], 20);
+    assert.equal(fresh.limit, 7);
+    assert.equal(fresh.policy.type, "Pods");
+    assert.deepEqual(fresh.candidates.map((c) => [c.periodStart, c.proposed]), [[3, 6], [3, 7]]);
+    assert.equal(engine.computeScaleLimit(Object.assign({}, up, { selectPolicy: "Min" }), "up", 3, [], 20).limit, 6);
+    const events = [{ t: 10, direction: "up", count: 2 }];
+    assert.equal(engine.computeScaleLimit(up, "up", 3, events, 20).limit, 5);
+    assert.equal(engine.computeScaleLimit(up, "up", 3, events, 25).limit, 7);
+    const down = { selectPolicy: "Max", policies: [{ type: "Percent", value: 50, periodSeconds: 60 }] };
+    assert.equal(engine.computeScaleLimit(down, "down", 10, [], 0).limit, 5);
+    assert.equal(engine.computeScaleLimit(Object.assign({}, down, { selectPolicy: "Disabled" }), "down", 10, [], 0).limit, 10);
+});
+
+test("simulate doubles replicas each sync under a constant 200% load", () => {
+    const config = {
+        initialReplicas: 2,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "200" }],
+    };
+    const run = engine.simulate(config, { duration: 60 });
+    assert.equal(run.timeline.length, 60);
+    assert.deepEqual(run.decisions.map((d) => [d.t, d.replicas]), [[15, 4], [30, 8], [45, 16], [60, 32]]);
+    assert.equal(run.timeline[run.timeline.length - 1].replicas, 32);
+    // The same config always gives the same run
+    assert.deepEqual(engine.simulate(config, { duration: 60 }), run);
+});
+
+test("simulate replays recorded samples through seriesSource", () => {
+    const config = {
+        initialReplicas: 4,
+        minReplicas: 1,
+        metrics: [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 50 }],
+        behavior: { down: Object.assign({}, BEHAVIOR.down, { stabilizationWindowSeconds: 0 }) },
+    };
+    const series = [[{ t: 0, value: 50 }, { t: 30, value: 25 }]];
+    assert.equal(engine.seriesSource(series)(config.metrics[0], 0, 15), 37.5);
+    const run = engine.simulate(config, { duration: 30, series });
+    assert.deepEqual(run.decisions.map((d) => [d.direction, d.replicas]), [["down", 3], ["down", 2]]);
+});
+
+test("traceValue replays a trimmed, scaled trace column", () => {
+    const samples = [{ t: 0, value: 10 }, { t: 10, value: 20 }, { t: 20, value: 40 }];
+    assert.equal(engine.sampleAt(samples, 5), 15);
+    assert.equal(engine.sampleAt(samples, 15, "step"), 20);
+    assert.equal(engine.sampleAt(samples, 99), 40);
+    const recorded = { series: { load: samples }, column: "load", start: 10, end: 15, scale: 2 };
+    const m = { name: "cpu", target: 50, scenario: "trace" };
+    assert.equal(engine.traceValue(recorded, m, 0), 40);
+    assert.equal(engine.traceValue(recorded, m, 30), 60);
+    assert.equal(engine.scenarioValue(m, 0, { trace: recorded }), 40);
+    assert.equal(engine.scenarioValue(m, 0), 50);
+});
+
+test("sharedSource gives every compared config the same seeded stream", () => {
+    assert.deepEqual([1, 2, 3].map(engine.createRandom(42)), [1, 2, 3].map(engine.createRandom(42)));
+    assert.notEqual(engine.createRandom(1)(), engine.createRandom(2)());
+    const metrics = [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 60, scenario: "noisy" }];
+    const source = engine.sharedSource(metrics, { random: engine.createRandom(7) });
+    const first = source(metrics[0], 0, 15);
+    // Another run asking later, with its own target, reads the same value
+    assert.equal(source(Object.assign({}, metrics[0], { target: 90 }), 0, 15), first);
+    assert.ok(first >= 45 && first < 75);
+});
+
+test("summarize reports replicas, pod-hours, cost and SLO numbers", () => {
+    const config = engine.withDefaults({
+        initialReplicas: 2,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "200" }],
+    });
+    const summary = engine.summarize(config, engine.simulate(config, { duration: 60 }), { pricePerPodHour: 0.5 });
+    assert.equal(summary.syncs, 4);
+    assert.equal(summary.scaleUps, 4);
+    assert.equal(summary.scaleDowns, 0);
+    assert.equal(summary.peakReplicas, 32);
+    assert.equal(summary.lowestReplicas, 2);
+    assert.equal(summary.timeAboveTarget, 60);
+    assert.equal(summary.timeSaturated, 60);
+    assert.deepEqual([summary.peakOvershoot, summary.peakOvershootAt, summary.peakOvershootMetric], [1, 1, "rps"]);
+    // Replicas change right after the syncs at 15, 30, 45 and 60s
+    assert.equal(summary.podHours, (14 * 2 + 15 * 4 + 15 * 8 + 15 * 16 + 32) / 3600);
+    assert.equal(summary.cost, summary.podHours * 0.5);
+    assert.equal(engine.summarize(config, engine.simulate(config, { duration: 60 }), { saturation: 3 }).timeSaturated, 0);
+});
+
+test("summarize counts a scale event against the one before as a reversal", () => {
+    const config = engine.withDefaults({
+        initialReplicas: 4,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "if(t < 20, 200, 20)" }],
+        behavior: { down: Object.assign({}, BEHAVIOR.down, { stabilizationWindowSeconds: 0 }) },
+    });
+    const run = engine.simulate(config, { duration: 60 });
+    assert.deepEqual(run.decisions.map((d) => d.appliedChange > 0 ? "up" : d.appliedChange < 0 ? "down" : "-").slice(0, 2), ["up", "down"]);
+    assert.equal(engine.summarize(config, run).reversals, 1);
+    assert.equal(engine.summarize(config, run, { flapWindowSeconds: 10 }).reversals, 0);
+});
+test("scenario layers compose in order and replay from the seed", () => {
+    const ramp = { type: "ramp", params: { start: 0, end: 100, from: 1, to: 2 } };
+    const sale = { type: "flash-sale", params: { start: 50, duration: 100, factor: 3, edgeSeconds: 0 } };
+    assert.equal(engine.layeredValue([ramp], 100, 50, 1), 150);
+    assert.equal(engine.layeredValue([ramp, sale], 100, 100, 1), 600);
+    assert.equal(engine.layeredValue([{ type: "unknown" }, sale], 100, 0, 1), 100);
+    // Missing parameters fall back to the layer type's defaults
+    assert.deepEqual(engine.createScenarioLayer("noise"), { type: "noise", params: { amplitude: 0.1, intervalSeconds: 5 } });
+    const noisy = [engine.createScenarioLayer("noise"), engine.createScenarioLayer("spikes")];
+    const curve = (seed) => [0, 7, 61, 3599].map((t) => engine.layeredValue(noisy, 100, t, seed));
+    assert.deepEqual(curve(3), curve(3));
+    assert.notDeepEqual(curve(3), curve(4));
+    const config = { seed: 9, metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "noisy" }] };
+    assert.deepEqual(engine.simulate(config, { duration: 120 }), engine.simulate(config, { duration: 120 }));
+});
+
+test("custom f(t) scenarios run through the expression sandbox", () => {
+    const m = { type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom" };
+    assert.equal(engine.scenarioValue(Object.assign({}, m, { customFormula: "target + t" }), 5), 105);
+    assert.equal(engine.scenarioValue(Object.assign({}, m, { customFormula: "replicas * 10" }), 5, { replicas: 3 }), 30);
+    // Invalid or non-finite expressions hold the target
+    assert.equal(engine.scenarioValue(Object.assign({}, m, { customFormula: "alert(1)" }), 5), 100);
+    assert.equal(engine.scenarioValue(Object.assign({}, m, { customFormula: "1 / 0" }), 5), 100);
+});
+
+test("createRun in slices matches a whole simulate()", () => {
+    const config = { seed: 5, metrics: [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 60, scenario: "noisy" }] };
+    const run = engine.createRun(config, { duration: 300, timeStep: 2 });
+    assert.equal(run.steps, 150);
+    assert.equal(run.advance(100), false);
+    assert.equal(run.done, 100);
+    assert.equal(run.advance(100), true);
+    assert.equal(run.done, 150);
+    assert.deepEqual({ timeline: run.timeline, decisions: run.decisions }, engine.simulate(config, { duration: 300, timeStep: 2 }));
+});
+
+test("each sync decision carries a trace of every stage", () => {
+    const config = {
+        initialReplicas: 4,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "if(t < 20, 400, 50)" }],
+    };
+    const [up, down] = engine.simulate(config, { duration: 30 }).decisions;
+    assert.equal(up.trace.metrics[0].reason, "ratio");
+    assert.deepEqual(up.trace.metrics[0].groups, groups(4));
+    assert.equal(up.trace.limits.policy.type, "Percent");
+    assert.deepEqual(up.trace.clamp, { min: 1, max: 50, before: 8, after: 8 });
+    assert.equal(up.replicas, 8);
+    // Scale-down is held by the window: the trace names the sample that won
+    assert.equal(down.boundBy, "stabilization window");
+    assert.equal(down.trace.stabilization.rule, "highest");
+    assert.deepEqual(down.trace.stabilization.pick, { t: 15, desired: 16 });
+    assert.equal(down.trace.stabilization.capped, true);
+});
+
+test("containerMetric reads Resource across containers and ContainerResource from one", () => {
+    const containers = [
+        { name: "app", requests: { cpu: 0.5 }, levels: { cpu: 80 }, scenario: "custom", customFormula: "target" },
+        { name: "proxy", requests: { cpu: 0.1 }, levels: { cpu: 20 }, scenario: "custom", customFormula: "target" },
+    ];
+    const resource = engine.containerMetric({ type: "Resource", name: "cpu", targetType: "Utilization" }, containers, 0, {});
+    assert.equal(resource.value.toFixed(6), (((0.4 + 0.02) / 0.6) * 100).toFixed(6));
+    assert.deepEqual(resource.containers.map((c) => c.name), ["app", "proxy"]);
+    const app = engine.containerMetric({ type: "ContainerResource", name: "cpu", container: "app", targetType: "Utilization" }, containers, 0, {});
+    assert.equal(app.value, 80);
+    // A missing container or request leaves the metric without data
+    assert.ok(Number.isNaN(engine.containerMetric({ type: "ContainerResource", name: "cpu", container: "db", targetType: "Utilization" }, containers, 0, {}).value));
+    assert.ok(Number.isNaN(engine.containerMetric({ type: "Resource", name: "memory", targetType: "Utilization" }, containers, 0, {}).value));
+    assert.equal(engine.containerMetric({ type: "Resource", name: "cpu", targetType: "AverageValue" }, containers, 0, {}, 2).value.toFixed(6), (0.84).toFixed(6));
+});
+
+test("simulate holds the count when a ContainerResource metric has no data", () => {
+    const config = {
+        initialReplicas: 3,
+        containers: [{ name: "app", requests: { cpu: 1 }, levels: { cpu: 200 }, scenario: "custom", customFormula: "target" }],
+        metrics: [{ type: "ContainerResource", name: "cpu", container: "sidecar", targetType: "Utilization", target: 50 }],
+    };
+    const [d] = engine.simulate(config, { duration: 15 }).decisions;
+    assert.deepEqual([d.replicas, d.trace.metrics[0].reason], [3, "no-data"]);
+    config.metrics[0].container = "app";
+    assert.equal(engine.simulate(config, { duration: 15 }).decisions[0].replicas, 7);
+});
+
+test("the metrics pipeline delays, averages and drops what the HPA reads", () => {
+    const config = {
+        initialReplicas: 2,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "t < 20 ? 100 : 200" }],
+    };
+    const ideal = engine.simulate(config, { duration: 30 }).decisions;
+    assert.deepEqual(ideal.map((d) => d.replicas), [2, 4]);
+    assert.equal(ideal[1].trace.metrics[0].pipeline, null);
+    // Scrapes every 10s from t=1 arrive 15s late: at t=30 the HPA still reads the t=11 scrape
+    const late = engine.simulate(Object.assign({ scrapeInterval: 10, metricLatency: 15 }, config), { duration: 30 }).decisions;
+    assert.deepEqual(late.map((d) => d.replicas), [2, 2]);
+    assert.deepEqual(late[1].trace.metrics[0].pipeline, { trueValue: 200, sampledAt: 11, age: 19, stale: false });
+    // Stale scrapes are no data and the count holds
+    const stale = engine.simulate(Object.assign({ scrapeInterval: 10, metricLatency: 15, metricStaleAfter: 10 }, config), { duration: 30 }).decisions;
+    assert.deepEqual([stale[1].replicas, stale[1].trace.metrics[0].reason], [2, "no-data"]);
+    // A window averages the true values it covers: the t=31 scrape sees t=12..31
+    const averaged = engine.simulate(Object.assign({ scrapeInterval: 15, scrapeWindow: 20 }, config), { duration: 31 }).timeline;
+    assert.equal(averaged[30].observed[0], (100 * 8 + 200 * 12) / 20);
+    assert.equal(averaged[30].metrics[0], 200);
+});
+
+test("an outage loses every scrape in it and drops repeat from the seed", () => {
+    const config = {
+        initialReplicas: 2,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "200" }],
+        scrapeInterval: 15,
+        metricStaleAfter: 20,
+        metricOutageStart: 10,
+        metricOutageSeconds: 40,
+    };
+    // Scrapes at t=16, 31 and 46 are lost, so the t=1 scrape goes stale until t=61
+    const run = engine.simulate(config, { duration: 75 });
+    assert.deepEqual(run.decisions.map((d) => Number.isNaN(run.timeline[d.t - 1].observed[0])), [false, true, true, true, false]);
+    const dropped = Object.assign({}, config, { metricOutageSeconds: 0, metricDropRate: 0.5, seed: 3 });
+    assert.deepEqual(engine.simulate(dropped, { duration: 300 }), engine.simulate(dropped, { duration: 300 }));
+});
+
+test("nodeFit reports the limit that binds pods per node", () => {
+    const config = Object.assign({}, engine.DEFAULT_CONFIG, { containers: [{ name: "app", requests: { cpu: 0.5, memory: 0 } }] });
+    assert.deepEqual(engine.nodeFit(config), { pods: 8, boundBy: "cpu" });
+    config.containers = [{ name: "app", requests: { cpu: 0.1, memory: 4 * 1024 * 1024 * 1024 } }];
+    assert.deepEqual(engine.nodeFit(config), { pods: 4, boundBy: "memory" });
+    config.podsPerNode = 3;
+    assert.deepEqual(engine.nodeFit(config), { pods: 3, boundBy: "pods" });
+});
+
+test("pods wait Pending until the node pool has room for them", () => {
+    const config = {
+        initialReplicas: 2,
+        maxNodes: 3,
+        podsPerNode: 2,
+        nodeProvisionSeconds: 30,
+        podStartupSeconds: 10,
+        metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "custom", customFormula: "200" }],
+    };
+    const run = engine.simulate(config, { duration: 60 });
+    const at = (t) => run.timeline[t - 1];
+    // The two new pods wait for a node added at t=15; Pending pods count as unready, so the t=30
+    // sync holds at 4. At t=45 they are scheduled and, starting, already count for a Pods metric.
+    assert.deepEqual([at(15).pending, at(15).nodes, at(44).pending], [2, 1, 2]);
+    assert.deepEqual([at(45).nodes, at(45).capacity], [2, 4]);
+    assert.deepEqual(run.decisions.map((d) => d.replicas), [4, 4, 8, 8]);
+    assert.deepEqual(run.decisions[1].trace.metrics[0].groups, { ready: 2, unready: 2, missing: 0 });
+    const summary = engine.summarize(config, run);
+    assert.deepEqual([summary.timePending, summary.peakPending, summary.peakNodes], [46, 4, 2]);
+    // Without a pool there is nothing to wait for
+    assert.equal(engine.summarize(Object.assign({}, config, { maxNodes: 0 }), engine.simulate(Object.assign({}, config, { maxNodes: 0 }), { duration: 60 })).peakNodes, null);
+});
+
+test("simulate wakes a workload from zero with HPAScaleToZero", () => {
+    const metrics = [{ type: "External", name: "queue", targetType: "AverageValue", target: 10, scenario: "custom", customFormula: "if(t < 30, 0, 30)" }];
+    const gated = engine.simulate({ minReplicas: 0, initialReplicas: 0, hpaScaleToZero: true, metrics }, { duration: 60 });
+    const wake = gated.decisions.find((d) => d.appliedChange !== 0);
+    assert.deepEqual([wake.t, wake.replicas], [30, 3]);
+    // Without the feature gate the HPA is disabled at zero
+    const disabled = engine.simulate({ minReplicas: 0, initialReplicas: 0, metrics }, { duration: 60 });
+    assert.ok(disabled.decisions.every((d) => d.replicas === 0 && d.boundBy === "scaling disabled"));
+    // Like the API, scale to zero needs an Object or External metric
+    assert.equal(engine.scaleToZeroMode({ minReplicas: 0, hpaScaleToZero: true, metrics: [{ type: "Pods" }] }), null);
+});
+
+test("KEDA-style activation polls, wakes to 1 and scales to 0 after the cooldown", () => {
+    const config = {
+        minReplicas: 0,
+        initialReplicas: 0,
+        kedaActivation: true,
+        kedaCooldownPeriod: 60,
+        metrics: [{ type: "External", name: "queue", targetType: "AverageValue", target: 10, scenario: "custom", customFormula: "if(t < 30, 0, if(t < 100, 30, 0))" }],
+    };
+    assert.equal(engine.hpaMinReplicas(config), 1);
+    const run = engine.simulate(config, { duration: 200 });
+    const activations = run.decisions.filter((d) => d.trace.activation).map((d) => [d.t, d.replicas, d.boundBy]);
+    // Polls every 30s from t=1: active at 31 and 91, idle for the cooldown at 151
+    assert.deepEqual(activations, [[31, 1, "activation"], [151, 0, "cooldown"]]);
+    assert.equal(run.decisions.find((d) => d.t === 45).replicas, 3);
+    const summary = engine.summarize(config, run);
+    assert.deepEqual([summary.syncs, summary.wakeUps, summary.timeAtZero], [13, 1, 80]);
+});
@@ -0,0 +1,61 @@
+// Unit tests for the custom metric expression language: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const expr = require("../expr.js");
+
+const run = (src, vars = {}) => expr.compile(src).evaluate(Object.assign({ t: 0, target: 0, replicas: 0 }, vars));
+
+test("evaluates arithmetic with the usual precedence", () => {
+    assert.equal(run("1 + 2 * 3"), 7);
+    assert.equal(run("(1 + 2) * 3"), 9);
+    assert.equal(run("-2^2"), -4);
+    assert.equal(run("2 ** 3 ^ 2"), 512);
+    assert.equal(run("7 % 4 - 1e1"), -7);
+    assert.equal(run("t < 30 ? target : target * 2", { t: 45, target: 50 }), 100);
+    assert.equal(run("t >= 10 && !(replicas == 3) || 0", { t: 10, replicas: 4 }), 1);
+    assert.equal(run("1 === 1"), 1);
+});
+
+test("offers only the whitelisted functions, variables and constants", () => {
+    assert.equal(run("100 + 60*Math.sin(t/30)", { t: 0 }), 100);
+    assert.equal(run("max(1, t, 3)", { t: 5 }), 5);
+    assert.equal(run("clamp(t, 0, 10) + step(t, 5) + between(t, 0, 5)", { t: 7 }), 8);
+    assert.equal(run("pi"), Math.PI);
+    assert.throws(() => expr.compile("constructor(1)"), { name: "ExprError", message: "Unknown function \"constructor\"" });
+    assert.throws(() => expr.compile("process.exit(1)"), { name: "ExprError", message: "Unknown function \"process.exit\"" });
+    assert.throws(() => expr.compile("globalThis"), /Unknown name "globalThis" \(use t, target, replicas, pi or e\)/);
+    assert.throws(() => expr.compile("Math.constructor"), /Unknown name "Math.constructor"/);
+    assert.throws(() => expr.compile("t[0]"), { message: "Unexpected \"[\"", index: 1 });
+    assert.throws(() => expr.compile("'a'"), /Unexpected "'"/);
+});
+
+test("conditionals only evaluate the branch they return", () => {
+    assert.equal(run("if(t < 10, 1, log(-1))", { t: 0 }), 1);
+    assert.equal(run("piecewise(t < 10, 1, t < 20, 2, 3)", { t: 15 }), 2);
+    assert.equal(run("piecewise(t < 10, 1, t < 20, 2, 3)", { t: 25 }), 3);
+    assert.ok(Number.isNaN(run("piecewise(t < 10, 1)", { t: 25 })));
+});
+
+test("reports syntax errors with the character index", () => {
+    const cases = [
+        ["", "Expression is empty", 0],
+        ["1 +", "Unexpected end of input", 3],
+        ["(1 + 2", "Expected \")\" but found end of input", 6],
+        ["sin(1, 2)", "sin() takes 1 argument(s), got 2", 0],
+        ["clamp(1)", "clamp() takes 3 argument(s), got 1", 0],
+        ["1 2", "Unexpected \"2\"", 2],
+        ["t ? 1", "Expected \":\" but found end of input", 5],
+    ];
+    cases.forEach(([src, message, index]) => {
+        assert.throws(() => expr.compile(src), (e) => e instanceof expr.ExprError && e.message === message && e.index === index, src);
+    });
+});
+
+test("uses() tells which variables an expression reads", () => {
+    const f = expr.compile("target * replicas");
+    assert.equal(f.uses("replicas"), true);
+    assert.equal(f.uses("t"), false);
+});
@@ -0,0 +1,221 @@
+// Unit tests for HPA manifest import, export and validation: node --test test/
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const manifest = require("../manifest.js");
+
+const HPA = `
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: web   # trailing comment
+  namespace: shop
+spec:
+  scaleTargetRef: {apiVersion: apps/v1, kind: Deployment, name: web}
+  minReplicas: 2
+  maxReplicas: 20
+  metrics:
+    - type: Resource
+      resource:
+        name: cpu
+        target:
+          type: Utilization
+          averageUtilization: 60
+    - type: Pods
+      pods:
+        metric:
+          name: "http_requests"
+        target:
+          type: AverageValue
+          averageValue: 500m
+  behavior:
+    scaleDown:
+      stabilizationWindowSeconds: 60
+      policies:
+        - type: Pods
+          value: 1
+          periodSeconds: 30
+`;
+
+test("parseYamlDocuments reads mappings, sequences, flow collections and scalars", () => {
+    const docs = manifest.parseYamlDocuments("a: 1\nb: [x, 'y z']\nc: {d: true, e: null}\nf:\n  - g: 1.5\n---\nh: |\n  one\n  two\n");
+    assert.deepEqual(docs, [
+        { a: 1, b: ["x", "y z"], c: { d: true, e: null }, f: [{ g: 1.5 }] },
+        { h: "one\ntwo\n" },
+    ]);
+    assert.deepEqual(manifest.parseYamlDocuments('{"a": [1, 2]}'), [{ a: [1, 2] }]);
+    assert.throws(() => manifest.parseYamlDocuments("a: 'open"), /^Error: YAML line 1/);
+});
+
+test("parseQuantity understands Kubernetes suffixes", () => {
+    assert.equal(manifest.parseQuantity("500m"), 0.5);
+    assert.equal(manifest.parseQuantity("2k"), 2000);
+    assert.equal(manifest.parseQuantity("1Ki"), 1024);
+    assert.equal(manifest.parseQuantity(3), 3);
+    assert.ok(Number.isNaN(manifest.parseQuantity("5 pods")));
+    assert.ok(Number.isNaN(manifest.parseQuantity(null)));
+});
+
+test("importHpaManifest maps an autoscaling/v2 HPA and fills in behavior defaults", () => {
+    const [hpa] = manifest.importHpaManifest(HPA);
+    assert.equal(hpa.name, "web");
+    assert.deepEqual(hpa.errors, []);
+    const p = hpa.params;
+    assert.equal(p.minReplicas, 2);
+    assert.equal(p.maxReplicas, 20);
+    assert.deepEqual(p.metrics, [
+        { type: "Resource", name: "cpu", targetType: "Utilization", target: 60 },
+        { type: "Pods", name: "http_requests", targetType: "AverageValue", target: 0.5 },
+    ]);
+    assert.equal(p.down.stabilizationWindowSeconds, 60);
+    assert.deepEqual(p.down.policies, [{ type: "Pods", value: 1, periodSeconds: 30 }]);
+    // scaleUp was omitted: the API default applies
+    assert.equal(p.up.stabilizationWindowSeconds, 0);
+    assert.equal(p.up.policies.length, 2);
+    assert.deepEqual(p.metadata, { name: "web", namespace: "shop" });
+});
+
+test("importHpaManifest finds HPAs in lists and multi-document files", () => {
+    const v1 = "apiVersion: autoscaling/v1\nkind: HorizontalPodAutoscaler\nmetadata: {name: old}\nspec: {maxReplicas: 5, targetCPUUtilizationPercentage: 70}\n";
+    const list = JSON.stringify({ kind: "List", items: [{ kind: "Service" }, manifest.parseYamlDocuments(v1)[0]] });
+    assert.deepEqual(manifest.importHpaManifest(list).map((h) => h.name), ["old"]);
+    const both = manifest.importHpaManifest(`${v1}---\nkind: ConfigMap\n---\n${HPA}`);
+    assert.deepEqual(both.map((h) => h.name), ["old", "web"]);
+    assert.deepEqual(both[0].params.metrics, [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 70 }]);
+});
+
+test("importHpaManifest reports every invalid field instead of guessing", () => {
+    const [hpa] = manifest.importHpaManifest(`
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata: {name: bad}
+spec:
+  minReplicas: 5
+  maxReplicas: 3
+  replicas: 4
+  metrics:
+    - type: Pods
+      pods:
+        metric: {name: rps}
+        target: {type: Utilization, averageUtilization: 50}
+  behavior:
+    scaleUp:
+      selectPolicy: Fastest
+`);
+    assert.equal(hpa.params, null);
+    assert.deepEqual(hpa.errors, [
+        "spec.replicas: unsupported field",
+        "spec.minReplicas: 5 is greater than spec.maxReplicas 3",
+        "spec.metrics[0].pods.target.type: must be one of AverageValue, got \"Utilization\"",
+        "spec.behavior.scaleUp.selectPolicy: must be Max, Min or Disabled, got \"Fastest\"",
+    ]);
+});
+
+const CONFIG = {
+    name: "web",
+    namespace: "shop",
+    scaleTargetRef: { apiVersion: "apps/v1", kind: "Deployment", name: "web" },
+    minReplicas: 2,
+    maxReplicas: 20,
+    metrics: [
+        { type: "Resource", name: "cpu", targetType: "Utilization", target: 60 },
+        { type: "External", name: "queue", targetType: "Value", target: 0.25 },
+    ],
+    behavior: {
+        up: { stabilizationWindowSeconds: 0, selectPolicy: "Max", policies: [{ type: "Percent", value: 100, periodSeconds: 15 }] },
+        down: { stabilizationWindowSeconds: 300, selectPolicy: "Min", policies: [{ type: "Pods", value: 2, periodSeconds: 60 }] },
+    },
+};
+
+test("buildHpaManifest writes an autoscaling/v2 object that imports back unchanged", () => {
+    const hpa = manifest.buildHpaManifest(CONFIG);
+    assert.equal(hpa.apiVersion, "autoscaling/v2");
+    assert.deepEqual(hpa.spec.metrics[1], { type: "External", external: { metric: { name: "queue" }, target: { type: "Value", value: "250m" } } });
+    assert.deepEqual(Object.keys(hpa.spec.behavior), ["scaleDown", "scaleUp"]);
+    assert.deepEqual(manifest.validateHpaManifest(hpa), []);
+    for (const text of [manifest.toYaml(hpa), JSON.stringify(hpa)]) {
+        const [back] = manifest.importHpaManifest(text);
+        assert.deepEqual(back.errors, []);
+        assert.deepEqual(back.params.metrics, CONFIG.metrics);
+        assert.equal(back.params.down.selectPolicy, "Min");
+        assert.deepEqual(back.params.down.policies, CONFIG.behavior.down.policies);
+    }
+    // Releases before 1.23 only serve autoscaling/v2beta2
+    const beta = manifest.buildHpaManifest(CONFIG, { apiVersion: "autoscaling/v2beta2" });
+    assert.equal(beta.apiVersion, "autoscaling/v2beta2");
+    assert.deepEqual(manifest.importHpaManifest(manifest.toYaml(beta))[0].errors, []);
+});
+
+test("toYaml quotes strings that would read back as another type", () => {
+    assert.equal(manifest.toYaml({ a: "true", b: "80", c: "plain", d: [], e: [1, { f: "x y" }] }),
+        "a: \"true\"\nb: \"80\"\nc: plain\nd: []\ne:\n  - 1\n  - f: x y");
+});
+
+test("validateHpaManifest checks names, replica bounds, targets and policies", () => {
+    const bad = manifest.buildHpaManifest(Object.assign({}, CONFIG, {
+        name: "Web_App",
+        minReplicas: 3,
+        maxReplicas: 2,
+        metrics: [{ type: "Object", name: "", targetType: "Value", target: 0 }],
+        behavior: {
+            up: { stabilizationWindowSeconds: 4000, selectPolicy: "Max", policies: [] },
+            down: { stabilizationWindowSeconds: 300, selectPolicy: "Max", policies: [{ type: "Pods", value: 1.5, periodSeconds: 60 }] },
+        },
+    }));
+    assert.deepEqual(manifest.validateHpaManifest(bad), [
+        "metadata.name: must be a lowercase DNS subdomain, got \"Web_App\"",
+        "spec.maxReplicas: must be >= minReplicas (3)",
+        "spec.metrics[0]: metric name is required",
+        "spec.metrics[0].object.describedObject: required (import a manifest that defines it)",
+        "spec.metrics[0]: target must be positive, got 0",
+        "spec.behavior.scaleUp.stabilizationWindowSeconds: must be an integer between 0 and 3600, got 4000",
+        "spec.behavior.scaleUp.policies: at least one policy is required unless selectPolicy is Disabled",
+        "spec.behavior.scaleDown.policies[0].value: must be a positive integer, got 1.5",
+    ]);
+});
+
+test("ContainerResource metrics and the target's container requests import and export", () => {
+    const text = `
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata: {name: web}
+spec:
+  scaleTargetRef: {apiVersion: apps/v1, kind: Deployment, name: web}
+  maxReplicas: 10
+  metrics:
+    - type: ContainerResource
+      containerResource: {name: cpu, container: app, target: {type: Utilization, averageUtilization: 70}}
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata: {name: web}
+spec:
+  template:
+    spec:
+      containers:
+        - name: app
+          resources: {requests: {cpu: 250m, memory: 256Mi}}
+        - name: proxy
+`;
+    const [hpa] = manifest.importHpaManifest(text);
+    assert.deepEqual(hpa.errors, []);
+    assert.deepEqual(hpa.params.metrics, [{ type: "ContainerResource", name: "cpu", container: "app", targetType: "Utilization", target: 70 }]);
+    assert.deepEqual(hpa.params.containers, [
+        { name: "app", requests: { cpu: 0.25, memory: 268435456 } },
+        { name: "proxy", requests: { cpu: 0, memory: 0 } },
+    ]);
+    const out = manifest.buildHpaManifest(Object.assign({}, CONFIG, { metrics: hpa.params.metrics }));
+    assert.deepEqual(out.spec.metrics[0], { type: "ContainerResource", containerResource: { name: "cpu", container: "app", target: { type: "Utilization", averageUtilization: 70 } } });
+    assert.deepEqual(manifest.validateHpaManifest(out), []);
+    const noContainer = manifest.buildHpaManifest(Object.assign({}, CONFIG, { metrics: [{ type: "ContainerResource", name: "cpu", targetType: "Utilization", target: 70 }] }));
+    assert.deepEqual(manifest.validateHpaManifest(noContainer), ["spec.metrics[0].containerResource.container: required"]);
+});
+
+test("behaviorToSpec leaves tolerance out for versions without the field", () => {
+    assert.equal(manifest.buildHpaManifest(CONFIG).spec.behavior.scaleUp.tolerance, undefined);
+    const withTolerance = { up: Object.assign({ tolerance: 0.05 }, CONFIG.behavior.up), down: CONFIG.behavior.down };
+    assert.equal(manifest.behaviorToSpec(withTolerance).scaleUp.tolerance, 0.05);
+    assert.equal(manifest.behaviorToSpec(withTolerance, { tolerance: false }).scaleUp.tolerance, undefined);
+});
@@ -0,0 +1,76 @@
+// Unit tests for template bundles: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+const templates = require("../templates.js");
+
+const SCENARIOS = ["rise-and-fall", "burst", "custom"];
+
+test("parseBundle fills in defaults and keeps extra params", () => {
+    const bundle = templates.parseBundle(JSON.stringify({
+        kind: "HPATemplateBundle",
+        name: " Platform profiles ",
+        templates: [{
+            name: " API ",
+            tags: "api, latency,",
+            scenario: "burst",
+            params: { minReplicas: 3, maxReplicas: 40, up: { stabilizationWindowSeconds: 30 }, metrics: [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 70 }] },
+        }],
+    }), { scenarios: SCENARIOS });
+    assert.equal(bundle.name, "Platform profiles");
+    const [t] = bundle.templates;
+    assert.equal(t.name, "API");
+    assert.deepEqual(t.tags, ["api", "latency"]);
+    assert.equal(t.scenario, "burst");
+    assert.equal(t.description, "");
+    assert.equal(t.params.initialReplicas, 3);
+    assert.equal(t.params.targetValue, 100);
+    assert.equal(t.params.syncPeriod, 15);
+    assert.equal(t.params.up.stabilizationWindowSeconds, 30);
+    assert.deepEqual(t.params.up.policies, engine.DEFAULT_CONFIG.behavior.up.policies);
+    assert.deepEqual(t.params.down, engine.DEFAULT_CONFIG.behavior.down);
+    assert.deepEqual(t.params.metrics, [{ type: "Resource", name: "cpu", targetType: "Utilization", target: 70 }]);
+});
+
+test("parseBundle accepts a bare list and round-trips buildBundle output", () => {
+    const list = [{ name: "a", params: { minReplicas: 0, maxReplicas: 5 } }, { name: "b", description: "x", params: { minReplicas: 1, maxReplicas: 2 } }];
+    const first = templates.parseBundle(JSON.stringify(list));
+    assert.equal(first.name, "");
+    const again = templates.parseBundle(templates.buildBundle("Mine", first.templates));
+    assert.equal(again.name, "Mine");
+    assert.deepEqual(again.templates, first.templates);
+    // A minReplicas of 0 still starts from one pod
+    assert.equal(first.templates[0].params.initialReplicas, 1);
+});
+
+test("parseBundle rejects bundles the simulator could not load", () => {
+    const one = (t) => JSON.stringify({ templates: [t] });
+    const params = { minReplicas: 1, maxReplicas: 5 };
+    const cases = [
+        ["{", /Template bundle JSON: /],
+        ["{}", /expected \{ "templates": \[\.\.\.\] \} or a list of templates/],
+        [JSON.stringify({ kind: "ConfigMap", templates: [] }), /Template bundle kind: expected HPATemplateBundle, got "ConfigMap"/],
+        ["[]", /Template bundle templates: no templates found/],
+        [one({ params }), /templates\[0\]: name is required/],
+        [one({ name: "x" }), /templates\[0\] \(x\): params is required/],
+        [one({ name: "x", scenario: "tsunami", params }), /unknown scenario "tsunami" \(use one of rise-and-fall, burst, custom\)/],
+        [one({ name: "x", params: { minReplicas: 6, maxReplicas: 5 } }), /maxReplicas must be >= minReplicas/],
+        [one({ name: "x", params: { minReplicas: 1.5, maxReplicas: 5 } }), /minReplicas must be an integer >= 0, got 1.5/],
+        [one({ name: "x", params: { minReplicas: 1 } }), /maxReplicas is required/],
+        [one({ name: "x", params: Object.assign({ targetValue: 0 }, params) }), /targetValue must be positive/],
+        [one({ name: "x", params: Object.assign({ down: { selectPolicy: "Fastest" } }, params) }), /params\.down: selectPolicy must be Max, Min or Disabled/],
+        [one({ name: "x", params: Object.assign({ up: { policies: [{ type: "Pods", value: 0, periodSeconds: 15 }] } }, params) }), /params\.up\.policies\[0\]: value must be an integer >= 1/],
+        [one({ name: "x", params: Object.assign({ metrics: [{ type: "Custom", name: "rps", targetType: "Value", target: 1 }] }, params) }), /params\.metrics\[0\]\.type: must be one of Resource, ContainerResource, Pods, Object, External, got "Custom"/],
+        [one({ name: "x", params: Object.assign({ metrics: [{ type: "Pods", name: "rps", targetType: "Utilization", target: 1 }] }, params) }), /params\.metrics\[0\]\.targetType: must be one of AverageValue for Pods/],
+        [one({ name: "x", params: Object.assign({ metrics: [{ type: "Pods", name: "<img src=x onerror=alert(1)>", targetType: "AverageValue", target: 1 }] }, params) }), /params\.metrics\[0\]\.name: invalid metric name/],
+        [one({ name: "x", params: Object.assign({ metrics: [{ type: "ContainerResource", name: "cpu", targetType: "Utilization", target: 60 }] }, params) }), /params\.metrics\[0\]\.container: a container name is required/],
+        [one({ name: "x", params: Object.assign({ metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: "100" }] }, params) }), /params\.metrics\[0\]\.target: must be a positive number, got "100"/],
+        [one({ name: "x", params: Object.assign({ scenarioLayers: [{ type: "earthquake" }] }, params) }), /params\.scenarioLayers\[0\]\.type: must be one of diurnal, /],
+        [one({ name: "x", params: Object.assign({ scenarioLayers: [{ type: "flash-sale", params: { factor: "3" } }] }, params) }), /params\.scenarioLayers\[0\]\.params\.factor: must be a number/],
+        [JSON.stringify([{ name: "x", params }, { name: "x", params }]), /duplicate name "x"/],
+    ];
+    cases.forEach(([text, message]) => assert.throws(() => templates.parseBundle(text, { scenarios: SCENARIOS }), message, text));
+});
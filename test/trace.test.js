@@ -0,0 +1,61 @@
+// Unit tests for recorded metric traces: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const trace = require("../trace.js");
+
+test("parseTrace reads CSV with quoted headers, gaps and ISO timestamps", () => {
+    const csv = "time,cpu,\"queue, depth\"\n2024-05-01T10:00:30Z,80,\n2024-05-01T10:00:00Z,60,5\n\n2024-05-01T10:01:00Z,,7\n";
+    const t = trace.parseTrace(csv);
+    assert.deepEqual(t.columns, ["cpu", "queue, depth"]);
+    assert.deepEqual(t.series.cpu, [{ t: 0, value: 60 }, { t: 30, value: 80 }]);
+    assert.deepEqual(t.series["queue, depth"], [{ t: 0, value: 5 }, { t: 60, value: 7 }]);
+    assert.equal(t.duration, 60);
+});
+
+test("parseTrace reads JSON rows and per-metric sample lists", () => {
+    const rows = trace.parseTrace('[{"t": 100, "cpu": 50}, {"t": 115, "cpu": "70"}]');
+    assert.deepEqual(rows.series.cpu, [{ t: 0, value: 50 }, { t: 15, value: 70 }]);
+    const lists = trace.parseTrace('{"cpu": [[10, 1], [20, 2]], "rps": [[0, 9]]}');
+    assert.deepEqual(lists.series, { cpu: [{ t: 10, value: 1 }, { t: 20, value: 2 }], rps: [{ t: 0, value: 9 }] });
+    assert.equal(lists.duration, 20);
+});
+
+test("parseTrace names the line or sample it cannot read", () => {
+    assert.throws(() => trace.parseTrace("t,cpu\n0,80\n15,high\n"), { message: "Trace line 3: invalid value \"high\"" });
+    assert.throws(() => trace.parseTrace("t,cpu\nyesterday,80\n"), { message: "Trace line 2: invalid time \"yesterday\"" });
+    assert.throws(() => trace.parseTrace("t,cpu\n"), /expected a header row/);
+    assert.throws(() => trace.parseTrace('{"cpu": [[0]]}'), { message: "Trace cpu[0]: expected [t, value]" });
+    assert.throws(() => trace.parseTrace("[{\"cpu\": 1}]"), { message: "Trace row 1: missing t" });
+});
+
+test("parseTrace reads a Prometheus range query with one column per series", () => {
+    const body = {
+        status: "success",
+        data: {
+            resultType: "matrix",
+            result: [
+                { metric: { __name__: "rps", pod: "a" }, values: [[1700000000, "10"], [1700000015, "NaN"], [1700000030, "12.5"]] },
+                { metric: {}, values: [[1700000015, "3"]] },
+            ],
+        },
+    };
+    const t = trace.parseTrace(JSON.stringify(body));
+    assert.deepEqual(t.columns, ["rps{pod=\"a\"}", "value"]);
+    assert.deepEqual(t.series["rps{pod=\"a\"}"], [{ t: 0, value: 10 }, { t: 30, value: 12.5 }]);
+    assert.deepEqual(t.series.value, [{ t: 15, value: 3 }]);
+    assert.throws(() => trace.parseTrace('{"status": "error", "error": "bad query"}'), { message: "Trace Prometheus: bad query" });
+    assert.throws(() => trace.parseTrace('{"status": "success", "data": {"resultType": "vector", "result": []}}'),
+        /expected a range query \(matrix\) result, got vector/);
+});
+
+test("seriesForMetrics matches columns to metric names", () => {
+    const t = trace.parseTrace("t,cpu,rps\n0,1,2\n");
+    assert.deepEqual(trace.seriesForMetrics(t, [{ name: "rps" }, { name: "cpu" }]), [[{ t: 0, value: 2 }], [{ t: 0, value: 1 }]]);
+    // A single unnamed column feeds the first metric
+    const single = trace.parseTrace("t,value\n0,5\n");
+    assert.deepEqual(trace.seriesForMetrics(single, [{ name: "cpu" }]), [[{ t: 0, value: 5 }]]);
+    assert.throws(() => trace.seriesForMetrics(t, [{ name: "cpu" }, { name: "memory" }]), /no column for metric "memory" \(found cpu, rps\)/);
+});
@@ -0,0 +1,55 @@
+// Unit tests for the behavior tuner: node --test (or npm test)
+
+/* global require */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+const tuner = require("../tuner.js");
+
+const CONFIG = {
+    initialReplicas: 2,
+    seed: 3,
+    metrics: [{ type: "Pods", name: "rps", targetType: "AverageValue", target: 100, scenario: "burst" }],
+};
+
+function runSearch(options, config = CONFIG) {
+    const search = tuner.createSearch(config, Object.assign({ duration: 300, budget: 12 }, options));
+    let rounds = 0;
+    while (!search.advance(1000)) rounds += 1;
+    return { search, rounds, result: search.result() };
+}
+
+test("ranks the candidates that meet the goal first, cheapest first", () => {
+    const { search, rounds, result } = runSearch({ goals: { maxMetricPercent: 150, attainment: 0.9 } });
+    assert.equal(search.steps, 12 * 300);
+    assert.equal(search.done, search.steps);
+    assert.ok(rounds > 0, "advance() returns before the whole search is done");
+    assert.ok(result.length >= 2 && result.length <= 10);
+    for (let i = 1; i < result.length; i += 1) {
+        const [a, b] = [result[i - 1], result[i]];
+        assert.ok(a.meetsGoal >= b.meetsGoal);
+        if (a.meetsGoal && b.meetsGoal) assert.ok(a.summary.podHours <= b.summary.podHours);
+    }
+    result.forEach((r) => assert.equal(r.meetsGoal, r.attainment >= 0.9));
+});
+
+test("always lists the current and the default behavior", () => {
+    const down = { stabilizationWindowSeconds: 60, tolerance: 0.1, selectPolicy: "Max", policies: [{ type: "Pods", value: 1, periodSeconds: 60 }] };
+    const { result } = runSearch({ budget: 30, keep: 1 }, Object.assign({ behavior: { down } }, CONFIG));
+    const labelled = result.filter((r) => r.label);
+    assert.deepEqual(labelled.map((r) => r.label).sort(), ["current", "default"]);
+    assert.deepEqual(labelled.find((r) => r.label === "default").behavior, engine.DEFAULT_CONFIG.behavior);
+    assert.deepEqual(labelled.find((r) => r.label === "current").behavior.down, down);
+});
+
+test("the same seed gives the same search and every candidate is a valid behavior", () => {
+    const a = runSearch({ seed: 11 }).result;
+    assert.deepEqual(runSearch({ seed: 11 }).result, a);
+    a.forEach(({ behavior }) => ["up", "down"].forEach((dir) => {
+        const rules = behavior[dir];
+        assert.ok(["Max", "Min"].includes(rules.selectPolicy));
+        assert.ok(rules.policies.length >= 1 && rules.policies.length <= 2);
+        rules.policies.forEach((p) => assert.ok(p.value > 0 && p.periodSeconds > 0));
+    }));
+});
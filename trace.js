@@ -0,0 +1,185 @@
+// Recorded metric traces: parses CSV or JSON samples into per-metric series the engine can
+// replay (see seriesSource in engine.js). Loaded as window.HPA_TRACE in the browser and with
+// require() in Node.
+//
+// CSV:  a header row, then one row per sample. The first column is the time (seconds or an
+//       ISO 8601 timestamp); every other column is a metric named by its header. Empty cells
+//       are missing samples.
+// JSON: either rows like the CSV ([{ "t": 0, "cpu": 80 }, ...]), one sample list per metric
+//       ({ "cpu": [[0, 80], [15, 95]], ... }), or the body of a Prometheus /api/v1/query_range
+//       response, with one column per returned series.
+// Times are made relative to the earliest sample, so a trace always starts at t = 0.
+
+/* global module, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.HPA_TRACE = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    function traceError(where, message) {
+        return new Error(`Trace ${where}: ${message}`);
+    }
+
+    // Seconds for a numeric time or an ISO 8601 timestamp
+    function parseTime(value, where) {
+        if (typeof value === "number" && Number.isFinite(value)) return value;
+        const text = String(value).trim();
+        if (text !== "" && Number.isFinite(Number(text))) return Number(text);
+        const ms = Date.parse(text);
+        if (Number.isNaN(ms)) throw traceError(where, `invalid time "${text}"`);
+        return ms / 1000;
+    }
+
+    function parseValue(value, where) {
+        const n = typeof value === "number" ? value : Number(String(value).trim());
+        if (!Number.isFinite(n)) throw traceError(where, `invalid value "${value}"`);
+        return n;
+    }
+
+    function splitCsvLine(line) {
+        const cells = [];
+        let cell = "";
+        let quoted = false;
+        for (let i = 0; i < line.length; i += 1) {
+            const c = line[i];
+            if (quoted) {
+                if (c === "\"" && line[i + 1] === "\"") {
+                    cell += "\"";
+                    i += 1;
+                } else if (c === "\"") {
+                    quoted = false;
+                } else {
+                    cell += c;
+                }
+            } else if (c === "\"") {
+                quoted = true;
+            } else if (c === ",") {
+                cells.push(cell.trim());
+                cell = "";
+            } else {
+                cell += c;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    function parseCsv(text) {
+        const lines = text.split(/\r?\n/).map((l, i) => ({ n: i + 1, text: l })).filter((l) => l.text.trim() !== "");
+        if (lines.length < 2) throw traceError("line 1", "expected a header row and at least one sample");
+        const header = splitCsvLine(lines[0].text);
+        if (header.length < 2) throw traceError("line 1", "expected a time column and at least one metric column");
+        const columns = header.slice(1);
+        const series = {};
+        columns.forEach((c) => (series[c] = []));
+        lines.slice(1).forEach((l) => {
+            const where = `line ${l.n}`;
+            const cells = splitCsvLine(l.text);
+            const t = parseTime(cells[0], where);
+            columns.forEach((c, i) => {
+                const cell = cells[i + 1];
+                if (cell == null || cell === "") return;
+                series[c].push({ t, value: parseValue(cell, where) });
+            });
+        });
+        return { columns, series };
+    }
+
+    // Column name for a Prometheus series: its metric name and labels, PromQL style
+    function promSeriesName(labels) {
+        const name = labels.__name__ || "";
+        const rest = Object.keys(labels).filter((k) => k !== "__name__").map((k) => `${k}="${labels[k]}"`);
+        if (rest.length === 0) return name || "value";
+        return `${name}{${rest.join(",")}}`;
+    }
+
+    // Prometheus range query body: { status, data: { resultType: "matrix", result: [{ metric, values }] } }.
+    // NaN and infinite samples (e.g. from division by zero) are skipped as missing.
+    function parsePrometheus(doc) {
+        if (doc.status === "error") throw traceError("Prometheus", doc.error || "query failed");
+        if (doc.data.resultType !== "matrix") {
+            throw traceError("Prometheus", `expected a range query (matrix) result, got ${doc.data.resultType}`);
+        }
+        const series = {};
+        doc.data.result.forEach((r, i) => {
+            const where = `result[${i}]`;
+            if (!Array.isArray(r.values)) throw traceError(where, "missing values");
+            let name = promSeriesName(r.metric || {});
+            if (series[name]) name = `${name} #${i + 1}`;
+            series[name] = [];
+            r.values.forEach((v, j) => {
+                if (!Array.isArray(v) || v.length !== 2) throw traceError(`${where}.values[${j}]`, "expected [timestamp, value]");
+                const value = Number(v[1]);
+                if (Number.isFinite(value)) series[name].push({ t: parseTime(v[0], where), value });
+            });
+        });
+        return { columns: Object.keys(series), series };
+    }
+
+    function parseJson(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw traceError("JSON", e.message);
+        }
+        if (doc && (doc.status === "error" || (doc.data && Array.isArray(doc.data.result)))) return parsePrometheus(doc);
+        const series = {};
+        if (Array.isArray(doc)) {
+            doc.forEach((row, i) => {
+                const where = `row ${i + 1}`;
+                if (!row || typeof row !== "object") throw traceError(where, "expected an object");
+                const timeKey = ["t", "time", "timestamp"].find((k) => k in row);
+                if (!timeKey) throw traceError(where, "missing t");
+                const t = parseTime(row[timeKey], where);
+                Object.keys(row).filter((k) => k !== timeKey).forEach((k) => {
+                    if (row[k] == null || row[k] === "") return;
+                    if (!series[k]) series[k] = [];
+                    series[k].push({ t, value: parseValue(row[k], where) });
+                });
+            });
+        } else if (doc && typeof doc === "object") {
+            Object.keys(doc).forEach((k) => {
+                if (!Array.isArray(doc[k])) throw traceError(k, "expected a list of [t, value] samples");
+                series[k] = doc[k].map((s, i) => {
+                    const where = `${k}[${i}]`;
+                    if (!Array.isArray(s) || s.length !== 2) throw traceError(where, "expected [t, value]");
+                    return { t: parseTime(s[0], where), value: parseValue(s[1], where) };
+                });
+            });
+        } else {
+            throw traceError("JSON", "expected an array of rows or an object of sample lists");
+        }
+        return { columns: Object.keys(series), series };
+    }
+
+    // Parse a CSV or JSON trace into { columns, series, duration } where series maps each
+    // column name to samples [{ t, value }] sorted by t and starting at t = 0.
+    function parseTrace(text) {
+        const trimmed = text.trim();
+        const trace = trimmed.startsWith("[") || trimmed.startsWith("{") ? parseJson(trimmed) : parseCsv(text);
+        const all = trace.columns.reduce((acc, c) => acc.concat(trace.series[c]), []);
+        if (all.length === 0) throw traceError("data", "no samples found");
+        const start = all.reduce((min, s) => Math.min(min, s.t), Infinity);
+        trace.columns.forEach((c) => {
+            trace.series[c] = trace.series[c].map((s) => ({ t: s.t - start, value: s.value })).sort((a, b) => a.t - b.t);
+        });
+        trace.duration = all.reduce((max, s) => Math.max(max, s.t), -Infinity) - start;
+        return trace;
+    }
+
+    // Samples for each metric, in metric order, for engine.seriesSource(). A metric uses the
+    // column with its name; a trace with a single column feeds the first metric.
+    function seriesForMetrics(trace, metrics) {
+        return metrics.map((m, i) => {
+            if (trace.series[m.name]) return trace.series[m.name];
+            if (i === 0 && trace.columns.length === 1) return trace.series[trace.columns[0]];
+            throw traceError("columns", `no column for metric "${m.name}" (found ${trace.columns.join(", ")})`);
+        });
+    }
+
+    return {
+        parseTrace,
+        seriesForMetrics,
+    };
+});
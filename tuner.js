@@ -0,0 +1,212 @@
+/*
+ Behavior tuner
+ Searches scaling behaviors (stabilization windows, tolerances, policy types, values and periods,
+ selectPolicy) for the cheapest one that meets a goal. Every candidate runs through the headless
+ engine against the same metric stream: the config's scenarios or recorded trace, evaluated once.
+
+ Browser: loaded with a <script> tag after engine.js, exposed as window.HPA_TUNER.
+ Node:    const tuner = require("./tuner.js");
+          const search = tuner.createSearch(config, { duration: 3600, goals: { maxMetricPercent: 120, attainment: 0.99 } });
+          while (!search.advance(20000)) {}
+          search.result(); // ranked [{ behavior, summary, attainment, meetsGoal, label }]
+*/
+
+/* global module, require, self */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./engine.js"));
+    else root.HPA_TUNER = factory(root.HPA_ENGINE);
+})(typeof self !== "undefined" ? self : this, function (engine) {
+    // Values the search picks from; mutations step to a neighbouring value
+    const SPACE = {
+        windows: {
+            up: [0, 15, 30, 60, 120, 180, 300],
+            down: [0, 30, 60, 120, 300, 600, 900],
+        },
+        tolerances: [0.02, 0.05, 0.1, 0.15, 0.2],
+        selectPolicies: ["Max", "Min"],
+        periods: [15, 30, 60, 120, 300],
+        values: {
+            up: { Pods: [1, 2, 4, 8, 16], Percent: [10, 25, 50, 100, 200, 400] },
+            down: { Pods: [1, 2, 5, 10], Percent: [5, 10, 25, 50, 100] },
+        },
+    };
+
+    const DEFAULT_GOALS = {
+        maxMetricPercent: 120, // keep every metric under this % of its target...
+        attainment: 0.99, // ...for this fraction of the time
+        maxReversalsPerHour: null, // optional cap on flapping, see engine.summarize()
+    };
+
+    const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+    // The value next to current in list, one step up or down
+    function neighbour(random, list, current) {
+        const i = list.indexOf(current);
+        if (i < 0) return pick(random, list);
+        const j = i === 0 ? 1 : i === list.length - 1 ? i - 1 : i + (random() < 0.5 ? -1 : 1);
+        return list[Math.max(0, Math.min(list.length - 1, j))];
+    }
+
+    function randomPolicy(random, dir, type) {
+        return { type, value: pick(random, SPACE.values[dir][type]), periodSeconds: pick(random, SPACE.periods) };
+    }
+
+    // fixedTolerance, when set, is kept instead of picking one
+    function randomRules(random, dir, fixedTolerance) {
+        const first = pick(random, ["Pods", "Percent"]);
+        const policies = [randomPolicy(random, dir, first)];
+        if (random() < 0.5) policies.push(randomPolicy(random, dir, first === "Pods" ? "Percent" : "Pods"));
+        return {
+            stabilizationWindowSeconds: pick(random, SPACE.windows[dir]),
+            tolerance: fixedTolerance != null ? fixedTolerance : pick(random, SPACE.tolerances),
+            selectPolicy: policies.length > 1 ? pick(random, SPACE.selectPolicies) : "Max",
+            policies,
+        };
+    }
+
+    // A copy of behavior with one field moved to a neighbouring value; tolerance only if tuneTolerance
+    function mutate(random, behavior, tuneTolerance) {
+        const out = JSON.parse(JSON.stringify(behavior));
+        const dir = random() < 0.5 ? "up" : "down";
+        const rules = out[dir];
+        if (rules.policies.length === 0) rules.policies.push(randomPolicy(random, dir, pick(random, ["Pods", "Percent"])));
+        const p = pick(random, rules.policies);
+        switch (Math.floor(random() * 6)) {
+            case 0:
+                rules.stabilizationWindowSeconds = neighbour(random, SPACE.windows[dir], rules.stabilizationWindowSeconds);
+                break;
+            case 1:
+                if (tuneTolerance) rules.tolerance = neighbour(random, SPACE.tolerances, rules.tolerance);
+                else rules.stabilizationWindowSeconds = neighbour(random, SPACE.windows[dir], rules.stabilizationWindowSeconds);
+                break;
+            case 2:
+                p.value = neighbour(random, SPACE.values[dir][p.type], p.value);
+                break;
+            case 3:
+                p.periodSeconds = neighbour(random, SPACE.periods, p.periodSeconds);
+                break;
+            case 4:
+                if (rules.policies.length > 1) rules.selectPolicy = rules.selectPolicy === "Max" ? "Min" : "Max";
+                else rules.stabilizationWindowSeconds = neighbour(random, SPACE.windows[dir], rules.stabilizationWindowSeconds);
+                break;
+            default:
+                // Add the other policy type, or drop one of two
+                if (rules.policies.length > 1) {
+                    rules.policies = [p];
+                    rules.selectPolicy = "Max";
+                } else {
+                    rules.policies.push(randomPolicy(random, dir, p.type === "Pods" ? "Percent" : "Pods"));
+                }
+        }
+        return out;
+    }
+
+    // Goal first, then fewer pod-hours, then fewer reversals; runs that miss the goal rank by how
+    // close they came
+    function compare(a, b) {
+        if (a.meetsGoal !== b.meetsGoal) return a.meetsGoal ? -1 : 1;
+        if (!a.meetsGoal && a.attainment !== b.attainment) return b.attainment - a.attainment;
+        return a.summary.podHours - b.summary.podHours || a.summary.reversals - b.summary.reversals;
+    }
+
+    // Search behaviors for config. advance(ticks) runs candidates until about that many simulation
+    // ticks are spent and returns true when the search is over; done and steps count ticks. Options:
+    //   duration   seconds each candidate runs (required)
+    //   timeStep   seconds per tick (default 1)
+    //   goals      see DEFAULT_GOALS
+    //   budget     candidates to run (default 150): the current behavior, the Kubernetes default,
+    //              random ones for half the budget, then variations of the best found so far
+    //   keep       results to return (default 10)
+    //   seed       seeds the search (default 1); metric noise uses config.seed as usual
+    // Tolerances are only searched when the controller reads per-direction tolerance: a version
+    // that has it, with the HPAConfigurableTolerance feature gate on.
+    function createSearch(config, options) {
+        const cfg = engine.withDefaults(config);
+        const tuneTolerance = engine.configurableTolerance(cfg);
+        const keepTolerance = (dir) => (tuneTolerance ? null : cfg.behavior[dir].tolerance);
+        const goals = Object.assign({}, DEFAULT_GOALS, options.goals);
+        const timeStep = options.timeStep || 1;
+        const budget = Math.max(2, options.budget || 150);
+        const keep = options.keep || 10;
+        const random = engine.createRandom(options.seed != null ? options.seed : 1);
+        const source = engine.sharedSource(cfg.metrics, {
+            random: engine.createRandom(cfg.seed != null ? cfg.seed : 1),
+            trace: cfg.trace,
+            layers: cfg.scenarioLayers,
+            seed: cfg.seed,
+        });
+        const ticksPerRun = Math.max(1, Math.round(options.duration / timeStep));
+        const seen = new Set();
+        const ranked = [];
+        const queue = [
+            { behavior: cfg.behavior, label: "current" },
+            { behavior: engine.DEFAULT_CONFIG.behavior, label: "default" },
+        ];
+        let evaluated = 0;
+
+        function evaluate(behavior, label) {
+            const candidate = Object.assign({}, cfg, { behavior });
+            const run = engine.simulate(candidate, { duration: options.duration, timeStep, source });
+            const summary = engine.summarize(candidate, run, { saturation: goals.maxMetricPercent / 100 });
+            const attainment = summary.duration ? 1 - summary.timeSaturated / summary.duration : 1;
+            const meetsGoal = attainment >= goals.attainment
+                && (goals.maxReversalsPerHour == null || summary.reversalsPerHour <= goals.maxReversalsPerHour);
+            ranked.push({ behavior: JSON.parse(JSON.stringify(behavior)), summary, attainment, meetsGoal, label: label || null });
+            ranked.sort(compare);
+        }
+
+        // The next behavior not tried yet; gives up on duplicates after a while
+        function nextCandidate() {
+            if (queue.length) return queue.shift();
+            for (let tries = 0; tries < 50; tries += 1) {
+                const explore = evaluated < budget / 2 || ranked.length === 0;
+                const behavior = explore
+                    ? { up: randomRules(random, "up", keepTolerance("up")), down: randomRules(random, "down", keepTolerance("down")) }
+                    : mutate(random, ranked[Math.floor(random() * Math.min(3, ranked.length))].behavior, tuneTolerance);
+                if (!seen.has(JSON.stringify(behavior))) return { behavior };
+            }
+            return null;
+        }
+
+        const search = {
+            steps: budget * ticksPerRun,
+            done: 0,
+            advance(ticks) {
+                const end = search.done + ticks;
+                while (evaluated < budget && search.done < end) {
+                    const next = nextCandidate();
+                    evaluated += 1;
+                    search.done = evaluated * ticksPerRun;
+                    if (!next) continue;
+                    const key = JSON.stringify(next.behavior);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    evaluate(next.behavior, next.label);
+                }
+                return evaluated >= budget;
+            },
+            // Ranked candidates, best first: { behavior, summary, attainment, meetsGoal, label }
+            // where label marks the "current" and "default" behaviors, which are always included.
+            // Behaviors that produced the very same run are listed once, as the first found.
+            result() {
+                const outcomes = new Set();
+                const distinct = ranked.filter((r) => {
+                    const s = r.summary;
+                    const key = [s.podSeconds, s.timeSaturated, s.scaleUps, s.scaleDowns, s.peakReplicas].join();
+                    if (outcomes.has(key) && !r.label) return false;
+                    outcomes.add(key);
+                    return true;
+                });
+                return distinct.slice(0, keep).concat(distinct.slice(keep).filter((r) => r.label));
+            },
+        };
+        return search;
+    }
+
+    return {
+        SPACE,
+        DEFAULT_GOALS,
+        createSearch,
+    };
+});
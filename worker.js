@@ -0,0 +1,31 @@
+/*
+ Background runner for long computations
+ Runs "Run to T" timelines and behavior tuner searches off the page's thread and posts their
+ progress, so a day of simulated traffic or a few hundred candidate runs do not freeze the UI.
+
+ Request:  { type: "run", config, duration, timeStep }          see engine.createRun()
+           { type: "tune", config, duration, timeStep, goals, budget }   see tuner.createSearch()
+ Replies:  { type: "progress", done, steps } a few times a second
+           { type: "done", result }
+           { type: "error", message }
+*/
+
+/* global self, importScripts */
+
+importScripts("expr.js", "engine.js", "tuner.js");
+
+// Ticks between progress messages
+const SLICE = 20000;
+
+self.onmessage = (e) => {
+    const request = e.data;
+    try {
+        const job = request.type === "tune"
+            ? self.HPA_TUNER.createSearch(request.config, request)
+            : self.HPA_ENGINE.createRun(request.config, request);
+        while (!job.advance(SLICE)) self.postMessage({ type: "progress", done: job.done, steps: job.steps });
+        self.postMessage({ type: "done", result: job.result() });
+    } catch (err) {
+        self.postMessage({ type: "error", message: err.message });
+    }
+};